@@ -5,13 +5,19 @@
 /**
  * Imports
  */
- const { randomUUID } = require('crypto').webcrypto;
- const gen = require('random-seed');
  const Server = require("./../src/server.js")
  const Client = require("./../src/client.js")
+ const FixedPointEncoder = require("./../src/encoder.js")
+ const { LocalTransport } = require("./../src/transport.js")
+ const Simulation = require("./../src/simulation.js")
+ const { parseArguments } = require("./../src/arguments.js")
  const fs = require('fs')
  
  
+ /* The client IDs, the secret values and the dropouts are drawn from the seed given with --seed */
+ const simulation = new Simulation(parseArguments(process.argv.slice(2)).options.seed)
+ 
+ 
  /**
   * This functions runs the protocol multiple times and stores the computation 
   * time of one client and of the server at each round
@@ -41,12 +47,19 @@
  
          let clientsArray = []
          const maxSecretValue = Math.floor(16384/nbClient)
+         const config = { encoder: new FixedPointEncoder({ clipRange: [-maxSecretValue, maxSecretValue] }) }
  
  
          for (let i = 0; i < nbClient; ++i) {
-             clientsArray.push(new Client(randomUUID(), gen.create().floatBetween(-maxSecretValue, maxSecretValue -1), nbClient, nbClient))
+             clientsArray.push(new Client(simulation.uuid(), simulation.floatBetween(-maxSecretValue, maxSecretValue -1), nbClient, nbClient, config))
+         }
+         const server = new Server(nbClient, 2, config);
+ 
+         const transport = new LocalTransport();
+         transport.registerServer(server);
+         for (let i = 0; i < nbClient; ++i) {
+             transport.registerClient(clientsArray[i]);
          }
-         const server = new Server(clientsArray, nbClient, 2);
          
  
          /* Round 0v*/
@@ -86,16 +99,16 @@
          /* Round 2 */
  
          const startClient2 = new Date().getTime()
-         clientsArray[0].round2()
+         await clientsArray[0].round2()
          const endClient2 = new Date().getTime()
          benchmark['clientRound2'].push(endClient2 - startClient2)
          
          for (let i = 1; i < nbClient; ++i) {
-             clientsArray[i].round2();
+             await clientsArray[i].round2();
          }
  
          const startServer2 = new Date().getTime()
-         server.round2();
+         await server.round2();
          const endServer2 = new Date().getTime()
          benchmark['serverRound2'].push(endServer2 - startServer2)
  
@@ -156,13 +169,14 @@
  /**
   * This functions runs the protocol with dropouts multiple times and stores the computation 
   * time of one client and of the server at each round
-  * Clients drop at the end of round 1 as it is the "worst case" dropout
+  * Clients drop at the end of round 1 as it is the "worst case" dropout, unless a dropout model of src/dropout.js draws the dropouts
   * @param {Number} nbClient  Number of clients simulated
   * @param {Number} dropouts Number of users dropping out during the protocol
   * @param {Number} nbIterPerBenchmark Number of iterations simulated
+  * @param {DropoutModel} model Dropout model drawing the dropped clients and their moments, the measured client never dropping
   * @returns The computation time at each round for each iteration
   */
- async function benchmarkWithDropouts(nbClient, dropouts, nbIterPerBenchmark) {
+ async function benchmarkWithDropouts(nbClient, dropouts, nbIterPerBenchmark, model = null) {
  
      console.log(`Benchmark with dropouts for ${nbClient} clients, ${dropouts} dropouts, and ${nbIterPerBenchmark} iterations`)
      
@@ -184,11 +198,9 @@
          /* Generation of the dropped clients indexes */
  
          let dropoutArray = []
-         const randomNumberGenerator = gen.create()
- 
          let nbDropout = 0
-         while (nbDropout < dropouts) {
-             const randomNumber = randomNumberGenerator(nbClient)
+         while (model === null && nbDropout < dropouts) {
+             const randomNumber = simulation.int(nbClient)
              if ((!dropoutArray.includes(randomNumber)) && (randomNumber != 0)) {
                  dropoutArray.push(randomNumber)
                  ++nbDropout
@@ -199,14 +211,27 @@
  
          let clientsArray = []
          const maxSecretValue = Math.floor(131072/nbClient)
+         const config = { encoder: new FixedPointEncoder({ clipRange: [-maxSecretValue, maxSecretValue] }) }
  
          for (let i = 0; i < nbClient; ++i) {
-             clientsArray.push(new Client(randomUUID(), gen.create().floatBetween(-maxSecretValue, maxSecretValue -1), nbClient, 2))
+             clientsArray.push(new Client(simulation.uuid(), simulation.floatBetween(-maxSecretValue, maxSecretValue -1), nbClient, 2, config))
          }
-         const server = new Server(clientsArray, nbClient, 2);
+         const server = new Server(nbClient, 2, config);
+ 
+         const transport = new LocalTransport();
+         transport.registerServer(server);
+         for (let i = 0; i < nbClient; ++i) {
+             transport.registerClient(clientsArray[i]);
+         }
+
+         /* Clients dropped by the model at a moment of Simulation.dropoutSpots */
+         const schedule = model === null ? {} : model.schedule(clientsArray.slice(1).map(client => client.id), simulation)
+         const putDown = spot => (schedule[spot] || []).forEach(id => clientsArray.find(client => client.id == id).putDown())
  
  
          /* Round 0 */
+
+         putDown('beforeClientRound0')
  
          const startClient0 = new Date().getTime()
          await clientsArray[0].round0()
@@ -217,12 +242,15 @@
              await clientsArray[i].round0();
          }
  
+         putDown('beforeServerRound0')
          const startServer0 = new Date().getTime()
          await server.round0();
          const endServer0 = new Date().getTime()
          benchmark['serverRound0'].push(endServer0 - startServer0)
          
  
+         putDown('beforeClientRound1')
+
          /* Round 1 */
  
          const startClient1 = new Date().getTime()
@@ -234,6 +262,7 @@
              await clientsArray[i].round1();
          }
          
+         putDown('beforeServerRound1')
          const startServer1 = new Date().getTime()
          await server.round1();
          const endServer1 = new Date().getTime()
@@ -247,23 +276,28 @@
          }
  
  
+         putDown('beforeClientRound2')
+
          /* Round 2 */
  
          const startClient2 = new Date().getTime()
-         clientsArray[0].round2()
+         await clientsArray[0].round2()
          const endClient2 = new Date().getTime()
          benchmark['clientRound2'].push(endClient2 - startClient2)
          
          for (let i = 1; i < nbClient; ++i) {
-             clientsArray[i].round2();
+             await clientsArray[i].round2();
          }
  
+         putDown('beforeServerRound2')
          const startServer2 = new Date().getTime()
-         server.round2();
+         await server.round2();
          const endServer2 = new Date().getTime()
          benchmark['serverRound2'].push(endServer2 - startServer2)
  
  
+         putDown('beforeClientRound3')
+
          /* Round 3*/
  
          const startClient3 = new Date().getTime()
@@ -331,6 +365,8 @@
   */
  async function benchmarks() {
 
+     console.log(`Simulation seed: ${simulation.seed}`)
+
      await benchmarksWithoutDropouts(5, 51, 5, 10, 0)
      await benchmarksWithDropouts(5, 51, 5, 0.2, 0.61, 0.2, 10, 0)
  
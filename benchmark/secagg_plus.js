@@ -0,0 +1,90 @@
+/**
+ * This file compares the computation time of the protocol with the complete communication graph
+ * and with the sparse SecAgg+ communication graph
+ *
+ * Usage: node benchmark/secagg_plus.js [--clients 16,32,64] [--dropout 0.1]
+ */
+
+/**
+ * Imports
+ */
+const { randomUUID } = require('crypto');
+const { performance } = require('perf_hooks');
+const Server = require("./../src/server.js")
+const Client = require("./../src/client.js")
+const Group = require("./../src/group.js")
+const { LocalTransport } = require("./../src/transport.js")
+const { logarithmicDegree } = require("./../src/graph.js")
+const { parseArguments } = require("./../src/arguments.js")
+
+
+/**
+ * Run the protocol once and measure the computation time of the clients and of the server
+ * @param {Number} nbClients Number of clients
+ * @param {Object} graph Communication graph of the configuration, null for the complete graph
+ * @param {Number} dropoutRate Fraction of the clients dropping before sending their masked input
+ * @returns The mean time of a client and the time of the server, in ms
+ */
+async function benchmarkGraph(nbClients, graph, dropoutRate) {
+    const threshold = Math.ceil(nbClients / 2);
+    const config = { group: Group.powerOfTwo(64), graph: graph };
+
+    const server = new Server(nbClients, threshold, config);
+    const transport = new LocalTransport();
+    transport.registerServer(server);
+
+    let clientsArray = [];
+    for (let i = 0; i < nbClients; ++i) {
+        const client = new Client(randomUUID(), [i], nbClients, threshold, config);
+        transport.registerClient(client);
+        clientsArray.push(client);
+    }
+    const nbDropouts = Math.floor(dropoutRate * nbClients);
+
+    let clientTime = 0;
+    let serverTime = 0;
+    const runClients = async (round, clients) => {
+        for (const client of clients) {
+            const start = performance.now();
+            await client[round]();
+            clientTime += performance.now() - start;
+        }
+    };
+    const runServer = async round => {
+        const start = performance.now();
+        await server[round]();
+        serverTime += performance.now() - start;
+    };
+
+    await runClients('round0', clientsArray);
+    await runServer('round0');
+    await runClients('round1', clientsArray);
+    await runServer('round1');
+    await runClients('round2', clientsArray.slice(nbDropouts));
+    await runServer('round2');
+    await runClients('round3', clientsArray.slice(nbDropouts));
+    await runServer('round3');
+
+    return { client: clientTime / nbClients, server: serverTime };
+}
+
+async function benchmarkSecAggPlus(clientCounts, dropoutRate) {
+    console.log(`Dropout rate ${dropoutRate}, threshold of half the clients, neighbourhood threshold of half the degree plus one`)
+    console.log('Clients | Degree | Complete graph client (ms) | Complete graph server (ms) | SecAgg+ client (ms) | SecAgg+ server (ms)')
+    for (const nbClients of clientCounts) {
+        const degree = logarithmicDegree(nbClients);
+        const complete = await benchmarkGraph(nbClients, null, dropoutRate);
+        const sparse = await benchmarkGraph(nbClients, { degree: degree, threshold: degree / 2 + 1 }, dropoutRate);
+        console.log([
+            nbClients,
+            Math.min(degree, nbClients - 1),
+            complete.client.toFixed(0),
+            complete.server.toFixed(0),
+            sparse.client.toFixed(0),
+            sparse.server.toFixed(0)
+        ].join(' | '))
+    }
+}
+
+const { options } = parseArguments(process.argv.slice(2));
+benchmarkSecAggPlus(String(options.clients || '16,32,64').split(',').map(Number), Number(options.dropout || 0.1))
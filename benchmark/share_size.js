@@ -0,0 +1,74 @@
+/**
+ * This file measures the size of the share payloads encrypted by a client for each other client,
+ * comparing the binary encoding of src/shares.js with the former | and , delimited string
+ *
+ * Usage: node benchmark/share_size.js
+ */
+
+/**
+ * Imports
+ */
+const { randomUUID, randomBytes } = require('crypto');
+const { subtle } = require('crypto').webcrypto;
+const { split } = require("./../src/shamir.js")
+const Helper = require("./../src/helper.js")
+const PRG = require("./../src/prg.js")
+const { encodeSharePayload } = require("./../src/shares.js")
+
+
+/* Size in bytes of the AES-GCM authentication tag added to every ciphertext */
+const tagLength = 16
+
+
+/**
+ * Former encoding of the shares: the IDs, the shares as comma separated bytes and the index separated by |
+ */
+function encodeLegacySharePayload(senderID, receiverID, index, keyShare, seedShare) {
+    return new TextEncoder().encode(`${senderID}|${receiverID}|${keyShare}|${seedShare}|${index}`);
+}
+
+/**
+ * Measure the size of the payload and of the revealed share of every other client, with both encodings
+ * @param {Number} nbClients Number of clients in the protocol
+ * @returns The average sizes in bytes
+ */
+async function measure(nbClients) {
+    const seedKey = await subtle.generateKey(Helper.ecdhKeyParams, true, ["deriveKey", "deriveBits"]);
+    const exportedKey = new TextEncoder().encode(JSON.stringify(await subtle.exportKey("jwk", seedKey.privateKey)));
+    const keyShares = split(randomBytes, nbClients, Math.ceil(nbClients / 2), exportedKey);
+    const seedShares = split(randomBytes, nbClients, Math.ceil(nbClients / 2), PRG.generateSeed());
+
+    const senderID = randomUUID();
+    let sizes = { legacyPayload: 0, binaryPayload: 0, legacyRevealedKeyShare: 0, binaryRevealedKeyShare: 0 };
+    for (let index = 1; index <= nbClients; ++index) {
+        sizes.legacyPayload += encodeLegacySharePayload(senderID, randomUUID(), index, keyShares[index], seedShares[index]).length;
+        sizes.binaryPayload += encodeSharePayload(index, keyShares[index], seedShares[index]).length;
+        /* The revealed shares are sent in JSON, as a string or in base64 */
+        sizes.legacyRevealedKeyShare += JSON.stringify(keyShares[index].toString()).length;
+        sizes.binaryRevealedKeyShare += JSON.stringify(Buffer.from(keyShares[index]).toString('base64')).length;
+    }
+    for (const name in sizes) {
+        sizes[name] = Math.round(sizes[name] / nbClients);
+    }
+    return sizes;
+}
+
+async function benchmarkShareSize() {
+    console.log('Clients | Ciphertext legacy | Ciphertext binary | Reduction | Revealed key share legacy | Revealed key share binary | Reduction')
+    for (const nbClients of [5, 20, 100, 1000]) {
+        const sizes = await measure(nbClients);
+        const legacyCiphertext = sizes.legacyPayload + tagLength;
+        const binaryCiphertext = sizes.binaryPayload + tagLength;
+        console.log([
+            nbClients,
+            legacyCiphertext,
+            binaryCiphertext,
+            (legacyCiphertext / binaryCiphertext).toFixed(2) + 'x',
+            sizes.legacyRevealedKeyShare,
+            sizes.binaryRevealedKeyShare,
+            (sizes.legacyRevealedKeyShare / sizes.binaryRevealedKeyShare).toFixed(2) + 'x'
+        ].join(' | '))
+    }
+}
+
+benchmarkShareSize()
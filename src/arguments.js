@@ -0,0 +1,39 @@
+/**
+ * This file provides the parsing of the command line arguments of the runnable scripts
+ */
+
+
+/**
+ * Parse command line arguments of the form --name value or --flag
+ * The arguments not starting with -- are returned as positional arguments
+ * @param {Array<String>} argv Arguments, without the node executable and the script path
+ * @returns {{positionals: Array<String>, options: Object}} The positional arguments and the options, with the option name as key
+ */
+function parseArguments(argv) {
+    let positionals = [];
+    let options = {};
+
+    for (let i = 0; i < argv.length; ++i) {
+        const argument = argv[i];
+        if (argument.startsWith('--')) {
+            const [name, inlineValue] = argument.slice(2).split(/=(.*)/s);
+            if (inlineValue !== undefined) {
+                options[name] = inlineValue;
+            }
+            else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                options[name] = argv[i + 1];
+                ++i;
+            }
+            else {
+                options[name] = true;
+            }
+        }
+        else {
+            positionals.push(argument);
+        }
+    }
+
+    return { positionals, options };
+}
+
+module.exports = { parseArguments }
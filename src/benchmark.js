@@ -5,10 +5,12 @@
 /**
  * Imports
  */
-const { randomUUID } = require('crypto').webcrypto;
+const { randomUUID } = require('crypto');
 const gen = require('random-seed');
 const Server = require("./server.js")
 const Client = require("./client.js")
+const FixedPointEncoder = require("./encoder.js")
+const { LocalTransport } = require("./transport.js")
 const fs = require('fs')
 
 
@@ -41,12 +43,19 @@ async function benchmarkWithoutDropouts(nbClient, nbIterPerBenchmark) {
 
         let clientsArray = []
         const maxSecretValue = Math.floor(16384/nbClient)
+        const config = { encoder: new FixedPointEncoder({ clipRange: [-maxSecretValue, maxSecretValue] }) }
 
 
         for (let i = 0; i < nbClient; ++i) {
-            clientsArray.push(new Client(randomUUID(), gen.create().floatBetween(-maxSecretValue, maxSecretValue -1), nbClient, nbClient))
+            clientsArray.push(new Client(randomUUID(), gen.create().floatBetween(-maxSecretValue, maxSecretValue -1), nbClient, nbClient, config))
+        }
+        const server = new Server(nbClient, 2, config);
+
+        const transport = new LocalTransport();
+        transport.registerServer(server);
+        for (let i = 0; i < nbClient; ++i) {
+            transport.registerClient(clientsArray[i]);
         }
-        const server = new Server(clientsArray, nbClient, 2);
         
 
         /* Round 0v*/
@@ -86,16 +95,16 @@ async function benchmarkWithoutDropouts(nbClient, nbIterPerBenchmark) {
         /* Round 2 */
 
         const startClient2 = new Date().getTime()
-        clientsArray[0].round2()
+        await clientsArray[0].round2()
         const endClient2 = new Date().getTime()
         benchmark['clientRound2'].push(endClient2 - startClient2)
         
         for (let i = 1; i < nbClient; ++i) {
-            clientsArray[i].round2();
+            await clientsArray[i].round2();
         }
 
         const startServer2 = new Date().getTime()
-        server.round2();
+        await server.round2();
         const endServer2 = new Date().getTime()
         benchmark['serverRound2'].push(endServer2 - startServer2)
 
@@ -199,11 +208,18 @@ async function benchmarkWithDropouts(nbClient, dropouts, nbIterPerBenchmark) {
 
         let clientsArray = []
         const maxSecretValue = Math.floor(131072/nbClient)
+        const config = { encoder: new FixedPointEncoder({ clipRange: [-maxSecretValue, maxSecretValue] }) }
+
+        for (let i = 0; i < nbClient; ++i) {
+            clientsArray.push(new Client(randomUUID(), gen.create().floatBetween(-maxSecretValue, maxSecretValue -1), nbClient, 2, config))
+        }
+        const server = new Server(nbClient, 2, config);
 
+        const transport = new LocalTransport();
+        transport.registerServer(server);
         for (let i = 0; i < nbClient; ++i) {
-            clientsArray.push(new Client(randomUUID(), gen.create().floatBetween(-maxSecretValue, maxSecretValue -1), nbClient, 2))
+            transport.registerClient(clientsArray[i]);
         }
-        const server = new Server(clientsArray, nbClient, 2);
 
 
         /* Round 0 */
@@ -250,16 +266,16 @@ async function benchmarkWithDropouts(nbClient, dropouts, nbIterPerBenchmark) {
         /* Round 2 */
 
         const startClient2 = new Date().getTime()
-        clientsArray[0].round2()
+        await clientsArray[0].round2()
         const endClient2 = new Date().getTime()
         benchmark['clientRound2'].push(endClient2 - startClient2)
         
         for (let i = 1; i < nbClient; ++i) {
-            clientsArray[i].round2();
+            await clientsArray[i].round2();
         }
 
         const startServer2 = new Date().getTime()
-        server.round2();
+        await server.round2();
         const endServer2 = new Date().getTime()
         benchmark['serverRound2'].push(endServer2 - startServer2)
 
@@ -0,0 +1,414 @@
+/**
+ * This file provides the command line interface running simulations of the Secure Aggregation Protocol
+ *
+ * Usage:
+ *   node src/cli.js simulate [--clients 10] [--threshold 6] [--dropouts 0,0,0,0,0,0] [--length 1] [--seed seed] [--test] [--format text|json]
+ *   node src/cli.js benchmark [--clients 5,10,20] [--threshold t] [--dropouts 0,0,0,0,0,0] [--length 1] [--repetitions 3] [--seed seed] [--test] [--format text|json]
+ *   node src/cli.js scenario <scenario files or directories> [--test] [--format text|json]
+ *   node src/cli.js verify [--clients 3,4] [--thresholds 2,3] [--max-phases 8] [--malicious] [--length 1] [--seed seed] [--test] [--format text|json]
+ *   node src/cli.js estimate [--clients 100] [--threshold 51] --model bernoulli|outage|latency [--trials 1000] [--run] [--seed seed] [--test] [--format text|json]
+ *   node src/cli.js network [--clients 100,1000,10000] [--threshold t] [--length 1] [--client-upload 10] [--client-download 50] [--latency 50] [--latency-sigma 0]
+ *                           [--server-bandwidth 1000] [--fan-out 100] [--deadline ms] [--malicious] [--no-computation] [--calibration 4,8,12] [--model ...] [--seed seed] [--format text|json]
+ *
+ * The dropouts are the numbers of clients dropping before the client round 1, before the server round 1, before the client round 2,
+ * before the server round 2, before the client round 3 and before the server round 3. The threshold defaults to a majority of the clients.
+ * simulate and benchmark can draw the dropouts from a dropout model of src/dropout.js instead:
+ *   --model bernoulli --probability 0.05               each client drops at each moment with the probability
+ *   --model outage --groups 4 --probability 0.1        each group of clients suffers an outage with the probability
+ *   --model latency --median 100 --sigma 1 --deadline 300    log-normal latencies in ms, or exponential ones with --mean 100,
+ *                                                            a client missing the deadline of a round drops
+ */
+
+/**
+ * Imports
+ */
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const FixedPointEncoder = require("./encoder.js")
+const Simulation = require("./simulation.js")
+const { loadScenario, runScenario, buildConfig } = require("./scenario.js")
+const { verify: verifyDropoutPatterns } = require("./verification.js")
+const { BernoulliDropout, GroupOutage, LatencyDropout, estimateSuccessProbability } = require("./dropout.js")
+const { Calibration, NetworkModel, NetworkSimulator } = require("./network.js")
+const { parseArguments } = require("./arguments.js")
+
+
+const usage = `Usage:
+  node src/cli.js simulate [--clients 10] [--threshold 6] [--dropouts 0,0,0,0,0,0] [--length 1] [--seed seed] [--test] [--format text|json]
+  node src/cli.js benchmark [--clients 5,10,20] [--threshold t] [--dropouts 0,0,0,0,0,0] [--length 1] [--repetitions 3] [--seed seed] [--test] [--format text|json]
+  node src/cli.js scenario <scenario files or directories> [--test] [--format text|json]
+  node src/cli.js verify [--clients 3,4] [--thresholds 2,3] [--max-phases 8] [--malicious] [--length 1] [--seed seed] [--test] [--format text|json]
+  node src/cli.js estimate [--clients 100] [--threshold 51] --model bernoulli|outage|latency [--trials 1000] [--run] [--seed seed] [--test] [--format text|json]
+  node src/cli.js network [--clients 100,1000,10000] [--threshold t] [--length 1] [--client-upload 10] [--client-download 50] [--latency 50] [--latency-sigma 0]
+                          [--server-bandwidth 1000] [--fan-out 100] [--deadline ms] [--malicious] [--no-computation] [--calibration 4,8,12] [--model ...] [--seed seed] [--format text|json]
+Dropout models, also accepted by simulate and benchmark in place of --dropouts:
+  --model bernoulli --probability 0.05
+  --model outage --groups 4 --probability 0.1
+  --model latency --median 100 --sigma 1 --deadline 300, or --mean 100 for exponential latencies`
+
+
+/**
+ * Build the dropout model given by --model
+ * @param {Object} options Options parsed from the command line
+ * @returns {DropoutModel} The model, null without --model
+ */
+function parseDropoutModel(options) {
+    switch (options.model) {
+        case undefined:
+            return null;
+        case 'bernoulli':
+            return new BernoulliDropout(Number(options.probability));
+        case 'outage':
+            return new GroupOutage({ groups: Number(options.groups), probability: Number(options.probability) });
+        case 'latency':
+            if (options.deadline === undefined) {
+                throw '--model latency requires --deadline';
+            }
+            return new LatencyDropout({
+                deadline: Number(options.deadline),
+                latency: options.mean !== undefined
+                    ? LatencyDropout.exponential(Number(options.mean))
+                    : LatencyDropout.logNormal(Number(options.median || 100), Number(options.sigma || 1))
+            });
+        default:
+            throw `--model is bernoulli, outage or latency, received ${options.model}`;
+    }
+}
+
+/**
+ * Read the options shared by the subcommands
+ * @param {Object} options Options parsed from the command line
+ * @returns The dropouts, numbers of clients or a dropout model, their description, the vector length, the simulation and the output format
+ */
+function parseCommonOptions(options) {
+    const model = parseDropoutModel(options);
+    const dropouts = String(options.dropouts || '0,0,0,0,0,0').split(',').map(Number);
+    if (dropouts.length != Simulation.randomDropoutSpots.length || !dropouts.every(nbDropouts => Number.isInteger(nbDropouts) && nbDropouts >= 0)) {
+        throw `--dropouts takes ${Simulation.randomDropoutSpots.length} comma separated numbers of clients, received ${options.dropouts}`;
+    }
+    const format = options.format || 'text';
+    if (!['text', 'json'].includes(format)) {
+        throw '--format is text or json, received ' + format;
+    }
+    return {
+        dropouts: model || dropouts,
+        dropoutsLabel: model === null ? `dropouts [${dropouts}]` : `dropouts of the ${options.model} model`,
+        vectorLength: Number(options.length || 1),
+        simulation: new Simulation(options.seed, options.test === true),
+        format: format
+    };
+}
+
+/**
+ * Threshold of a simulation, a majority of the clients by default
+ * @param {Object} options Options parsed from the command line
+ * @param {Number} nbClients Number of clients
+ * @returns {Number}
+ */
+function thresholdOf(options, nbClients) {
+    return options.threshold === undefined ? Math.floor(nbClients / 2) + 1 : Number(options.threshold);
+}
+
+/**
+ * Run one simulation and compare the secure aggregate with the aggregate computed without secrecy
+ * The two aggregates match when they differ by less than the precision of the fixed-point encoding
+ * @param {Simulation} simulation
+ * @param {Object} params Parameters of Simulation.runProtocol
+ * @returns The outcome: passed, the aborting error if any, the size of U3, both aggregates and their largest difference
+ */
+async function runAndCompare(simulation, params) {
+    const tolerance = 1 / new FixedPointEncoder().scale;
+    try {
+        const result = await simulation.runProtocol(params);
+        const difference = Math.max(...result.mean.map((value, i) => Math.abs(value - result.reference[i])));
+        return {
+            passed: difference <= tolerance,
+            error: null,
+            clientsU3: result.clientIDsU3.length,
+            mean: result.mean,
+            reference: result.reference,
+            difference: difference,
+            tolerance: tolerance
+        };
+    } catch (error) {
+        return { passed: false, error: String(error), clientsU3: null, mean: null, reference: null, difference: null, tolerance: tolerance };
+    }
+}
+
+/**
+ * simulate subcommand: run the protocol once and print the secure aggregate, the reference and the comparison
+ * @param {Object} options Options parsed from the command line
+ * @returns {Boolean} True if the secure aggregate matches the reference
+ */
+async function simulate(options) {
+    const { dropouts, dropoutsLabel, vectorLength, simulation, format } = parseCommonOptions(options);
+    const nbClients = Number(options.clients || 10);
+    const threshold = thresholdOf(options, nbClients);
+
+    const outcome = await runAndCompare(simulation, { nbClients, threshold, dropouts, vectorLength });
+
+    if (format == 'json') {
+        console.log(JSON.stringify({ seed: simulation.seed, testMode: simulation.testMode, clients: nbClients, threshold, dropouts, vectorLength, ...outcome }, null, 2));
+    } else {
+        console.log(`Simulation of ${nbClients} clients with a threshold of ${threshold}, ${dropoutsLabel}, vectors of length ${vectorLength}`)
+        if (outcome.error !== null) {
+            console.log(`The protocol aborted: ${outcome.error}`)
+        } else {
+            console.log(`Clients in U3: ${outcome.clientsU3}`)
+            console.log(`Secure aggregate: [${outcome.mean.join(', ')}]`)
+            console.log(`Plaintext reference: [${outcome.reference.join(', ')}]`)
+            console.log(`Largest difference: ${outcome.difference} (tolerance ${outcome.tolerance})`)
+        }
+        console.log(outcome.passed ? 'PASS' : `FAIL, rerun it with ${simulation.reproductionOptions()}`)
+    }
+    return outcome.passed;
+}
+
+/**
+ * benchmark subcommand: run the protocol several times for each number of clients and print the duration of the runs
+ * @param {Object} options Options parsed from the command line
+ * @returns {Boolean} True if every secure aggregate matches its reference
+ */
+async function benchmark(options) {
+    const { dropouts, dropoutsLabel, vectorLength, simulation, format } = parseCommonOptions(options);
+    const clientCounts = String(options.clients || '5,10,20').split(',').map(Number);
+    const repetitions = Number(options.repetitions || 3);
+
+    let rows = [];
+    for (const nbClients of clientCounts) {
+        const threshold = thresholdOf(options, nbClients);
+        let durations = [];
+        let failures = 0;
+        for (let i = 0; i < repetitions; ++i) {
+            const start = performance.now();
+            const outcome = await runAndCompare(simulation, { nbClients, threshold, dropouts, vectorLength });
+            durations.push(performance.now() - start);
+            failures += outcome.passed ? 0 : 1;
+        }
+        rows.push({
+            clients: nbClients,
+            threshold: threshold,
+            meanDuration: durations.reduce((a, b) => a + b, 0) / repetitions,
+            minDuration: Math.min(...durations),
+            failures: failures
+        });
+    }
+
+    if (format == 'json') {
+        console.log(JSON.stringify({ seed: simulation.seed, testMode: simulation.testMode, dropouts, vectorLength, repetitions, results: rows }, null, 2));
+    } else {
+        console.log(`Benchmark with ${dropoutsLabel}, vectors of length ${vectorLength}, ${repetitions} repetitions, seed ${simulation.seed}`)
+        console.log('Clients | Threshold | Mean duration (ms) | Min duration (ms) | Failures')
+        for (const row of rows) {
+            console.log([row.clients, row.threshold, row.meanDuration.toFixed(0), row.minDuration.toFixed(0), row.failures].join(' | '))
+        }
+    }
+    return rows.every(row => row.failures == 0);
+}
+
+/**
+ * scenario subcommand: run scenario files and check their expected outcome
+ * A directory stands for the JSON files it contains
+ * @param {Object} options Options parsed from the command line
+ * @param {Array<String>} paths Paths of the scenario files or directories
+ * @returns {Boolean} True if every scenario ended as expected
+ */
+async function scenario(options, paths) {
+    const format = options.format || 'text';
+    const files = paths.flatMap(file => fs.statSync(file).isDirectory()
+        ? fs.readdirSync(file).filter(name => name.endsWith('.json')).sort().map(name => path.join(file, name))
+        : [file]);
+    if (files.length == 0) {
+        throw 'No scenario file given';
+    }
+
+    let reports = [];
+    for (const file of files) {
+        let report;
+        try {
+            report = await runScenario(loadScenario(file), options.test === true);
+        } catch (error) {
+            report = { name: file, passed: false, outcome: null, failures: [String(error)], result: null, error: null };
+        }
+        reports.push({ file, ...report });
+        if (format == 'text') {
+            console.log(`${report.passed ? 'PASS' : 'FAIL'} ${file}: ${report.name}`)
+            report.failures.forEach(failure => console.log(`     ${failure}`));
+        }
+    }
+
+    const nbPassed = reports.filter(report => report.passed).length;
+    if (format == 'json') {
+        console.log(JSON.stringify(reports.map(({ file, name, passed, outcome, failures, error }) => ({ file, name, passed, outcome, failures, error })), null, 2));
+    } else {
+        console.log(`${nbPassed}/${reports.length} scenarios passed`)
+    }
+    return nbPassed == reports.length;
+}
+
+/**
+ * verify subcommand: run every combination of dropout moments for each number of clients and threshold, the dropping clients being drawn from the seed,
+ * and print the failing configurations as scenarios that can be saved and rerun with the scenario subcommand
+ * @param {Object} options Options parsed from the command line
+ * @returns {Boolean} True if every run ended as expected
+ */
+async function verify(options) {
+    const format = options.format || 'text';
+    const simulation = new Simulation(options.seed, options.test === true);
+    const cohortSizes = String(options.clients || '3,4').split(',').map(Number);
+    const thresholds = options.thresholds === undefined ? null : String(options.thresholds).split(',').map(Number);
+    if (![...cohortSizes, ...(thresholds || [])].every(Number.isInteger)) {
+        throw '--clients and --thresholds take comma separated integers';
+    }
+
+    if (format == 'text') {
+        console.log(`Verification of the dropout patterns, seed ${simulation.seed}`)
+    }
+    const { cohorts, failures } = await verifyDropoutPatterns({
+        cohortSizes: cohortSizes,
+        thresholds: thresholds,
+        maxPhases: options['max-phases'] === undefined ? Infinity : Number(options['max-phases']),
+        maliciousServer: options.malicious === true,
+        vectorLength: Number(options.length || 1),
+        simulation: simulation,
+        onCase: report => {
+            if (format == 'text' && !report.passed) {
+                console.log(`FAIL ${report.name}`)
+                report.failures.forEach(failure => console.log(`     ${failure}`));
+            }
+        }
+    });
+
+    if (format == 'json') {
+        console.log(JSON.stringify({ seed: simulation.seed, testMode: simulation.testMode, cohorts, failures }, null, 2));
+    } else {
+        console.log('Clients | Threshold | Runs | Aborts | Failures')
+        for (const cohort of cohorts) {
+            console.log([cohort.nbClients, cohort.threshold, cohort.cases, cohort.aborts, cohort.failures].join(' | '))
+        }
+        failures.forEach(failure => console.log(`Failing scenario: ${JSON.stringify(failure.scenario)}`));
+        console.log(failures.length == 0 ? 'PASS' : `FAIL, rerun it with ${simulation.reproductionOptions()}`)
+    }
+    return failures.length == 0;
+}
+
+/**
+ * estimate subcommand: estimate the probability of a successful aggregation for a number of clients and a threshold under a dropout model
+ * @param {Object} options Options parsed from the command line
+ * @returns {Boolean} True unless a run of --run contradicts the threshold rule
+ */
+async function estimate(options) {
+    const { dropouts: model, dropoutsLabel, simulation, format } = parseCommonOptions(options);
+    if (options.model === undefined) {
+        throw 'estimate requires a dropout model given with --model';
+    }
+    const nbClients = Number(options.clients || 100);
+    const threshold = thresholdOf(options, nbClients);
+    const trials = Number(options.trials || (options.run === true ? 20 : 1000));
+
+    const estimation = await estimateSuccessProbability({ nbClients, threshold, model, trials, simulation, runProtocol: options.run === true });
+
+    if (format == 'json') {
+        console.log(JSON.stringify({ seed: simulation.seed, testMode: simulation.testMode, clients: nbClients, threshold, model: options.model, ...estimation }, null, 2));
+    } else {
+        console.log(`${trials} trials of ${nbClients} clients with a threshold of ${threshold}, ${dropoutsLabel}, seed ${simulation.seed}`)
+        console.log(`Probability of a successful aggregation: ${estimation.probability.toFixed(4)} (95% interval [${estimation.interval.map(bound => bound.toFixed(4)).join(', ')}])`)
+        if (estimation.meanClientsU3 !== null) {
+            console.log(`Mean number of clients in U3 when successful: ${estimation.meanClientsU3.toFixed(2)}`)
+        }
+        if (estimation.disagreements !== null) {
+            console.log(`Runs whose outcome differs from the threshold rule: ${estimation.disagreements}`)
+        }
+        for (const spot in estimation.abortsAfter) {
+            console.log(`Aborts after ${spot}: ${estimation.abortsAfter[spot]}`)
+        }
+    }
+    return !estimation.disagreements;
+}
+
+/**
+ * network subcommand: calibrate the sizes of the messages and the computation times on small cohorts,
+ * then estimate the wall-clock time of each round over a modeled network for each number of clients
+ * @param {Object} options Options parsed from the command line
+ * @returns {Boolean} True if every simulated run reached the end of the protocol
+ */
+async function network(options) {
+    const { dropouts: model, vectorLength, simulation, format } = parseCommonOptions(options);
+    const clientCounts = String(options.clients || '100,1000,10000').split(',').map(Number);
+    const maliciousServer = options.malicious === true;
+    const latency = Number(options.latency || 50);
+    const networkModel = new NetworkModel({
+        clientUpload: Number(options['client-upload'] || 10),
+        clientDownload: Number(options['client-download'] || 50),
+        clientLatency: options['latency-sigma'] === undefined ? latency : LatencyDropout.logNormal(latency, Number(options['latency-sigma'])),
+        serverBandwidth: Number(options['server-bandwidth'] || 1000),
+        fanOut: Number(options['fan-out'] || 100)
+    });
+
+    const calibration = await Calibration.measure({
+        sizes: String(options.calibration || '4,8,12').split(',').map(Number),
+        vectorLength: vectorLength,
+        config: simulation.config(buildConfig({ maliciousServer })),
+        simulation: simulation
+    });
+
+    let results = [];
+    for (const nbClients of clientCounts) {
+        const simulator = new NetworkSimulator({
+            network: networkModel,
+            calibration: calibration,
+            threshold: thresholdOf(options, nbClients),
+            maliciousServer: maliciousServer,
+            deadline: options.deadline === undefined ? Infinity : Number(options.deadline),
+            computation: options['no-computation'] !== true
+        });
+        /* The simulated dropouts come from --model, the numbers of --dropouts only apply to the runs of the protocol */
+        const ids = Array.from({ length: nbClients }, (_, i) => 'client' + i);
+        const dropouts = Array.isArray(model) ? {} : model.schedule(ids, simulation);
+        results.push(simulator.run(nbClients, { dropouts, simulation }));
+    }
+
+    if (format == 'json') {
+        console.log(JSON.stringify({ seed: simulation.seed, vectorLength, calibration, results }, null, 2));
+    } else {
+        console.log(`Network simulation with vectors of length ${vectorLength}, seed ${simulation.seed}`)
+        console.log('Clients | Threshold | Outcome | Duration of each round (s) | Total (s) | Sent by the clients (MB) | Sent by the server (MB)')
+        for (const result of results) {
+            const sum = field => result.rounds.reduce((total, round) => total + round[field], 0);
+            console.log([
+                result.nbClients,
+                result.threshold,
+                result.outcome == 'success' ? 'success' : `abort after ${result.abortedAfter}`,
+                result.rounds.map(round => `${round.round} ${(round.duration / 1000).toFixed(1)}`).join(', '),
+                (result.total / 1000).toFixed(1),
+                (sum('bytesToServer') / 10**6).toFixed(1),
+                (sum('bytesToClients') / 10**6).toFixed(1)
+            ].join(' | '))
+        }
+    }
+    return results.every(result => result.outcome == 'success');
+}
+
+const commands = { simulate, benchmark, scenario, verify, estimate, network }
+
+if (require.main === module) {
+    const { positionals, options } = parseArguments(process.argv.slice(2));
+    const command = commands[positionals[0]];
+    if (command === undefined) {
+        console.log(usage);
+        process.exitCode = 2;
+    } else {
+        command(options, positionals.slice(1))
+            .then(passed => {
+                process.exitCode = passed ? 0 : 1;
+            })
+            .catch(error => {
+                console.log(error);
+                console.log(usage);
+                process.exitCode = 2;
+            });
+    }
+}
+
+module.exports = { runAndCompare, simulate, benchmark, scenario, verify, estimate, network }
@@ -6,10 +6,14 @@
  * Imports
  */
 const { subtle } = require('crypto').webcrypto;
-const gen = require('random-seed');
-const { split } = require('shamir');
-const { randomBytes } = require('crypto');
+const { split } = require("./shamir.js")
 const Helper = require("./helper.js")
+const PRG = require("./prg.js")
+const { resolveConfig } = require("./config.js")
+const { ShareRevealError } = require("./errors.js")
+const { encodeSharePayload, decodeSharePayload } = require("./shares.js")
+const Messages = require("./messages.js")
+const { MessageType } = Messages
 
 
 /**
@@ -20,16 +24,94 @@ class Client {
     /**
      * Constructor of our client
      * @param {String} id Random ID designing the client
-     * @param {Number} secretValue value representing the gradient
+     * @param {Float32Array|Array<Number>|Number} secretValue vector representing the gradient, a single number is treated as a vector of length 1
      * @param {Number} nbClients number of clients in the protocol
      * @param {Number} threshold threshold for shamir t out of n sharing
+     * @param {Object} config protocol configuration, identical for the clients and the server
+     * @param {Number} weight weight of the client in the mean, such as its number of examples, only used when the encoder has a largest weight
      */
-    constructor(id, secretValue, nbClients, threshold) {
+    constructor(id, secretValue, nbClients, threshold, config = {}, weight = 1) {
         this.id = id;
-        this.secretValue = secretValue;
+        this.secretValue = typeof secretValue === 'number' ? [secretValue] : secretValue;
+        this.weight = weight;
         this.nbClients = nbClients
         this.threshold = threshold;
+        this.config = resolveConfig(config);
+        this.group = this.config.group;
+        this.encoder = this.config.encoder;
+        this.revealedShares = {};
+        this.inbox = [];
+        this.transport = null;
         this.isUp = true;
+        this.iteration = 0;
+        this.keysShared = false;
+
+        if (this.config.maliciousServer && this.config.identityRegistry === null) {
+            throw 'Client ' + this.id + ' requires an identity registry to run against a malicious server';
+        }
+
+        /* With a SecAgg+ communication graph, the secrets are shared within the neighbourhood with its own threshold */
+        this.shareThreshold = this.config.graph === null ? this.threshold : this.config.graph.threshold;
+    }
+
+
+    /* ======== Messages ======== */
+
+
+    /**
+     * Receive a message from the server through the transport
+     * A client that is down does not receive anything, and the messages of another iteration are ignored
+     * @param {Object} message 
+     */
+    receive(message) {
+        if (this.isUp && message.iteration === this.iteration) {
+            this.inbox.push(message);
+        }
+    }
+
+    /**
+     * Take from the inbox the oldest message of a given type
+     * @param {String} type Type of the message
+     * @returns {Object} The message
+     */
+    takeMessage(type) {
+        const index = this.inbox.findIndex(message => message.type == type);
+        if (index == -1) {
+            throw 'Client ' + this.id + ' | No ' + type + ' message received from the server. Aborted.';
+        }
+        return this.inbox.splice(index, 1)[0];
+    }
+
+    /**
+     * Send a message to the server through the transport, tagged with the current iteration
+     * @param {Object} message 
+     */
+    async send(message) {
+        await this.transport.sendToServer({ ...message, iteration: this.iteration });
+    }
+
+
+    /* ======== Iterations ======== */
+
+
+    /**
+     * Prepare the client for a new iteration of an aggregation session
+     * Everything derived during the previous iteration is forgotten, only the identity and the record of the revealed shares are kept
+     * @param {Number} iteration Iteration number, increasing along the session
+     * @param {Float32Array|Array<Number>|Number} secretValue vector of the client for this iteration
+     * @param {Number} nbClients number of clients in the cohort of this iteration
+     * @param {Number} weight weight of the client in the mean of this iteration
+     */
+    startIteration(iteration, secretValue, nbClients, weight = 1) {
+        this.iteration = iteration;
+        this.secretValue = typeof secretValue === 'number' ? [secretValue] : secretValue;
+        this.weight = weight;
+        this.nbClients = nbClients;
+        this.inbox = [];
+        for (const state of ['clientList', 'clientListU2', 'ciphertexts', 'selfMaskSeed', 'secretKeyShamir', 'selfMaskSeedShamir',
+                             'maskedGradient', 'clientIDsU2', 'clientIDsU3', 'IDsinU2NotInU3', 'clientIDsU3Signature', 'signaturesU3', 'splits']) {
+            delete this[state];
+        }
     }
 
 
@@ -41,22 +123,63 @@ class Client {
      */
     async generateKeyPairs() {
         const ecdhKeyParams = Helper.ecdhKeyParams
-        const seedKey = await subtle.generateKey(ecdhKeyParams, true, ["deriveKey", "deriveBits"]);
+        const seedKey = await this.config.randomness.generateKeyPair(ecdhKeyParams, ["deriveKey", "deriveBits"]);
         this.seedPrivateKey = seedKey.privateKey;
         this.seedPublicKey = seedKey.publicKey;
 
-        const encryptionKey = await subtle.generateKey(ecdhKeyParams, true, ["deriveKey", "deriveBits"]);
+        const encryptionKey = await this.config.randomness.generateKeyPair(ecdhKeyParams, ["deriveKey", "deriveBits"]);
         this.encryptionPrivateKey = encryptionKey.privateKey;
         this.encryptionPublicKey = encryptionKey.publicKey;
     }
 
     /**
-     * At round 0, the client generates its own key pairs and send it to the server
-     * In our case, it's the server which fetches the public key pair from the client
+     * Generate the long-term ECDSA identity key pair and register its public key
+     * The key pair is only generated once, as it identifies the client across executions of the protocol
+     */
+    async generateIdentityKeys() {
+        if (this.identityPrivateKey === undefined) {
+            const identityKey = await this.config.randomness.generateKeyPair(Helper.ecdsaKeyParams, ["sign", "verify"]);
+            this.identityPrivateKey = identityKey.privateKey;
+            this.identityPublicKey = identityKey.publicKey;
+            this.config.identityRegistry.register(this.id, this.identityPublicKey);
+        }
+    }
+
+    /**
+     * Sign the public keys of round 0 with the identity key so that the other clients can authenticate them
+     * @param {Uint8Array} encryptionKeyBytes Raw encryption public key
+     * @param {Uint8Array} seedKeyBytes Raw seed public key
+     */
+    async signPublicKeys(encryptionKeyBytes, seedKeyBytes) {
+        const message = Helper.encodePublicKeys(this.config.sessionID, this.iteration, this.id, encryptionKeyBytes, seedKeyBytes);
+        this.keySignature = await Helper.sign(this.identityPrivateKey, message, this.config.randomness);
+    }
+
+    /**
+     * At round 0, the client generates its own key pairs and send the public keys to the server
+     * Against a malicious server, the client also signs its public keys with its identity key
+     * New key pairs are generated at every iteration: if the client drops in a later iteration, the server reconstructs its seed private key,
+     * which would unmask the inputs of every iteration sharing that key pair.
+     * Unless the configuration rotates the keys, the key pairs of the previous iteration are only reused when the client never sent the shares
+     * of its seed private key, so that no share of a reused key can have been revealed
      * @param {*} ecdh_params Parameters of the ECDH curve used to generate the keys
      */
     async round0(ecdh_params) {
-        await this.generateKeyPairs(ecdh_params);
+        if (this.isUp) {
+            if (this.config.rotateKeys || this.seedPrivateKey === undefined || this.keysShared) {
+                await this.generateKeyPairs(ecdh_params);
+                this.keysShared = false;
+            }
+            const encryptionKeyBytes = await Helper.exportPublicKey(this.encryptionPublicKey);
+            const seedKeyBytes = await Helper.exportPublicKey(this.seedPublicKey);
+
+            if (this.config.maliciousServer) {
+                await this.generateIdentityKeys();
+                await this.signPublicKeys(encryptionKeyBytes, seedKeyBytes);
+            }
+
+            await this.send(Messages.advertiseKeys(this.id, encryptionKeyBytes, seedKeyBytes, this.keySignature));
+        }
     }
  
  
@@ -65,43 +188,71 @@ class Client {
 
 
     /**
-     * Receive the clients from the server, verifies that there is no ID collision and that the number of Clients is higher than the threshold
+     * Receive the clients from the server, verifies that there is no public key collision and that the number of Clients is higher than the threshold
+     * With a SecAgg+ communication graph, the clients received are the neighbours of the client and the client itself
+     * @param {Object} clientList Raw public keys and signature of each client, with the client ID as key
      */
     async receiveClients(clientList) {
 
-        if (clientList.length < this.threshold) {
-            throw 'Not enough client for user ' + this.id + 'with only' + this.clientList.length + 'clients. Aborted.';
+        const nbClientsReceived = Object.keys(clientList).length
+        if (nbClientsReceived < this.shareThreshold) {
+            throw 'Not enough client for user ' + this.id + ' with only ' + nbClientsReceived + ' clients. Aborted.';
         }
 
-        for (let i = 0; i < clientList.length; ++i) {
-            for (let j = i + 1; j < clientList.length; ++j) {
-                if (clientList[i].publicKey == clientList[j].publicKey) {
-                    throw 'Collision between two public key pairs for client';
+        let publicKeys = new Set()
+        for (const clientIteratedID in clientList) {
+            for (const publicKey of [clientList[clientIteratedID].encryptionPublicKey, clientList[clientIteratedID].seedPublicKey]) {
+                const encodedPublicKey = Buffer.from(publicKey).toString('base64')
+                if (publicKeys.has(encodedPublicKey)) {
+                    throw 'Collision between two public key pairs for client ' + clientIteratedID;
                 }
+                publicKeys.add(encodedPublicKey)
             }
         }
 
+        if (this.config.maliciousServer) {
+            await this.verifyPublicKeys(clientList);
+        }
+
         this.clientList = clientList
     }
 
+    /**
+     * Verify that the public keys of every client are signed by the identity key registered for this client
+     * It prevents the server from substituting its own keys to the ones of a client
+     * @param {Object} clientList Clients sent by the server
+     */
+    async verifyPublicKeys(clientList) {
+        for (const clientIteratedID in clientList) {
+            const client = clientList[clientIteratedID];
+            const identityPublicKey = this.config.identityRegistry.getPublicKey(clientIteratedID);
+            const message = Helper.encodePublicKeys(this.config.sessionID, this.iteration, clientIteratedID, client.encryptionPublicKey, client.seedPublicKey);
+
+            if (client.keySignature === undefined || !(await Helper.verify(identityPublicKey, client.keySignature, message))) {
+                throw 'Client ' + this.id + ' | Invalid signature of the public keys of client ' + clientIteratedID + '. Aborted.';
+            }
+        }
+    }
+
 
     /**
-     * Generate a random number which will be used to create the self mask
+     * Generate a 256 bits random seed which will be used to create the self mask
      */
     generateSelfMaskSeed() {
-        const selfMaskSeed = gen.create()(2 ** 32);
+        const selfMaskSeed = PRG.generateSeed(this.config.randomness);
         this.selfMaskSeed = selfMaskSeed;
     }
 
 
     /**
      * Generate shamir shares of the seed private key
+     * One share is generated for each client received, including the client itself
      */
     async generateSecretKeyShares() {
         const utf8Encoder = new TextEncoder();
         const exportedKey = await subtle.exportKey("jwk", this.seedPrivateKey);
         const exportedKeyEncoded = utf8Encoder.encode(JSON.stringify(exportedKey));
-        const secretKeyShamir = split(randomBytes, this.nbClients, this.threshold, exportedKeyEncoded);
+        const secretKeyShamir = split(length => this.config.randomness.bytes(length), Object.keys(this.clientList).length, this.shareThreshold, exportedKeyEncoded);
         this.secretKeyShamir = secretKeyShamir;
     }
 
@@ -109,31 +260,28 @@ class Client {
      * Generate shamir shares of the self mask seed
      */
     generateSelfMaskSeedShares() {
-        const utf8Encoder = new TextEncoder();
-        const secretKeyByte = utf8Encoder.encode(this.selfMaskSeed);
-        const selfMaskSeedShamir = split(randomBytes, this.nbClients, this.threshold, secretKeyByte);
+        const selfMaskSeedShamir = split(length => this.config.randomness.bytes(length), Object.keys(this.clientList).length, this.shareThreshold, this.selfMaskSeed);
         this.selfMaskSeedShamir = selfMaskSeedShamir;
     }
 
 
     /** 
      * Store the pairwise information with all clients. 
-     * It creates the shared seed by deriving a shared number between its seed private key and the other client seed public key
-     * This seed is used to create a Personalized Random number Generator
-     * It also creates an AES Key with its encryption private key and the other client seed public key
+     * It creates the shared seed by deriving the ECDH shared secret between its seed private key and the other client seed public key
+     * This seed is later expanded by the PRG into the pairwise mask
+     * It also creates an AES Key with its encryption private key and the other client encryption public key
      */
     async computePairwiseEncryption() {
         let clientList_ = {};
         for (const clientIteratedID in this.clientList) {
             if (clientIteratedID != this.id) {
-                const seedPublicKey = this.clientList[clientIteratedID].seedPublicKey;
-                const seedBuffer = await Helper.deriveSharedNumber(this.seedPrivateKey, seedPublicKey);
-                const seed = new DataView(seedBuffer, 0).getInt16(1);
-                const PRNG = Helper.getPRNGFromSeed(seed);
+                const seedPublicKey = await Helper.importPublicKey(this.clientList[clientIteratedID].seedPublicKey);
+                const seed = await Helper.deriveSharedSeed(this.seedPrivateKey, seedPublicKey, this.iteration);
 
-                const AESKey = await Helper.deriveEncryptionKey(this.encryptionPrivateKey, this.clientList[clientIteratedID].encryptionPublicKey);
+                const encryptionPublicKey = await Helper.importPublicKey(this.clientList[clientIteratedID].encryptionPublicKey);
+                const AESKey = await Helper.deriveEncryptionKey(this.encryptionPrivateKey, encryptionPublicKey);
 
-                clientList_[clientIteratedID] = new ClientForClient(clientIteratedID, seedPublicKey, seed, AESKey, PRNG);
+                clientList_[clientIteratedID] = new ClientForClient(clientIteratedID, this.clientList[clientIteratedID].seedPublicKey, seed, AESKey);
             }
         }
         
@@ -142,12 +290,12 @@ class Client {
 
     /**
      * Generate the ciphertexts
-     * The method firstly concatenates the emitting client ID, the receiving client ID, the private key share
-     * as well as the self mask seed share, and the index
+     * The method firstly encodes the private key share, the self mask seed share and the index in the binary payload of src/shares.js
      * The index is necessary for the library to reconstruct the secret
-     * The concatenation uses the character | as a separation
-     * Then, the concatenation is stocked into the ciphertexts variable, that has as key the concatenation of 
+     * Then, the encrypted payload is stocked into the ciphertexts variable, that has as key the concatenation of 
      * the emitting client ID and the receiving client ID with the character | as a separation
+     * The session ID, the iteration, the emitting and the receiving client IDs are authenticated as associated data of the encryption,
+     * so that a ciphertext cannot be replayed in another session, iteration, or to another client
      */
     async generateCiphertexts() {
         let ciphertexts = {};
@@ -155,8 +303,9 @@ class Client {
 
         for (const clientIteratedID in this.clientList) {
             if (clientIteratedID != this.id) {
-                const secret = `${this.id}|${clientIteratedID}|${this.secretKeyShamir[index]}|${this.selfMaskSeedShamir[index]}|${index}`;
-                ciphertexts[`${this.id}|${clientIteratedID}`] = await Helper.AESGCMEncrypt(this.clientList[clientIteratedID].AESKey, secret);
+                const secret = encodeSharePayload(index, this.secretKeyShamir[index], this.selfMaskSeedShamir[index]);
+                const associatedData = Helper.encodeShareAssociatedData(this.config.sessionID, this.iteration, this.id, clientIteratedID);
+                ciphertexts[`${this.id}|${clientIteratedID}`] = await Helper.AESGCMEncrypt(this.clientList[clientIteratedID].AESKey, secret, associatedData, this.config.randomness);
             }
             index += 1
         }
@@ -168,18 +317,22 @@ class Client {
     }
 
     /**
-     * In the round 1, the client generates its self mask seed.
+     * In the round 1, the client receives the list of clients from the server and generates its self mask seed.
      * Then, it generates the shamir t out of n shares for its self mask seed and its secret key.
      * It also computes the pairwise seeds and encryption.
-     * Then, it encrypts into ciphertexts the pairwise information
+     * Then, it encrypts into ciphertexts the pairwise information and sends them to the server
      */
     async round1() {
         if (this.isUp) {
+            await this.receiveClients(this.takeMessage(MessageType.CLIENT_LIST).clients);
             this.generateSelfMaskSeed();
             await this.generateSecretKeyShares();
             this.generateSelfMaskSeedShares();
             await this.computePairwiseEncryption();
             await this.generateCiphertexts();
+            /* From now on the shares of the seed private key can be revealed, the key pairs must not be reused */
+            this.keysShared = true;
+            await this.send(Messages.shareKeys(this.id, this.ciphertexts));
         }
     }
 
@@ -209,49 +362,53 @@ class Client {
             }
         }
 
-        if (count < this.threshold - 1) {
-            throw 'Not enough ciphertexts for user ' + this.id + ' with only ' + count + ' ciphertexts received for a threshold of ' + this.threshold;
+        if (count < this.shareThreshold - 1) {
+            throw 'Not enough ciphertexts for user ' + this.id + ' with only ' + count + ' ciphertexts received while ' + (this.shareThreshold - 1) + ' are required';
         }
     }
  
      /**
       * Computes the masked input vector, putting pairwise masks or self mask depending on the client ID
+      * The secret vector is first clipped and encoded, the number of clipped values is kept to be reported
+      * With weights, the encoded vector holds the weighted values followed by the weight, both masked
+      * With differential privacy, the noise of the client is added to the encoded vector under the masks
+      * Each mask is expanded by the group to the length of the secret vector
+      * All the computations are performed in the group of the configuration
       */
-     computeMaskedInputVector() {
-
-        const buffer = new ArrayBuffer(4)
-        const view = new DataView(buffer)
-        view.setInt32(0, 0)
+     async computeMaskedInputVector() {
+
+        const { encoded, clippedCount } = this.encoder.encode(this.secretValue, this.weight)
+        const length = encoded.length
+        const maskedGradient = this.group.zeros(length)
+        const noise = this.config.privacy !== null ? this.config.privacy.noise(this.encoder, length, this.config.randomness) : null
+        for (let i = 0; i < length; ++i) {
+            maskedGradient[i] = this.group.encode(noise === null ? encoded[i] : encoded[i] + noise[i]);
+        }
+        this.clippedCount = clippedCount;
 
         for (const clientIteratedID in this.clientListU2) {
-            const mask = this.clientList[clientIteratedID].PRNG(2**32);
+            const mask = await this.group.mask(this.clientList[clientIteratedID].seed, length)
             if (clientIteratedID < this.id) {
-                view.setInt32(0, view.getInt32(0) + mask);
+                this.group.addInPlace(maskedGradient, mask);
             } else if (clientIteratedID > this.id) {
-                view.setInt32(0, view.getInt32(0) - mask);
+                this.group.subInPlace(maskedGradient, mask);
             }
         }
 
-        const secretValueRounded = Number.parseInt(this.secretValue.toFixed(4) * (10**4))
-        view.setInt32(0, view.getInt32(0) + secretValueRounded);
-
-        const buffer2 = new ArrayBuffer(4)
-        const view2 = new DataView(buffer2)
-        view2.setInt32(0, secretValueRounded);
-
-        const selfMask = gen.create(this.selfMaskSeed)(2 ** 32);
-        view.setInt32(0, view.getInt32(0) + selfMask);
+        const selfMask = await this.group.mask(this.selfMaskSeed, length);
+        this.group.addInPlace(maskedGradient, selfMask);
 
-        const maskedGradient = Number.parseInt(view.getInt32(0))
         this.maskedGradient = maskedGradient;
     }
      
      /**
-      * Represents the second round of the client. At this point, it only computes the masked input vector.
+      * Represents the second round of the client. It receives the ciphertexts, computes the masked input vector and sends it.
       */
-     round2() {
+     async round2() {
          if (this.isUp) {
-            this.computeMaskedInputVector();
+            this.receiveCiphertexts(this.takeMessage(MessageType.CIPHERTEXTS).ciphertexts);
+            await this.computeMaskedInputVector();
+            await this.send(Messages.maskedInput(this.id, this.maskedGradient, this.clippedCount));
          }
      }
  
@@ -268,8 +425,8 @@ class Client {
      */
     receiveclientIDsU3(clientIDsU3) {
 
-        if (clientIDsU3.length < this.threshold) {
-            throw 'Only ' + clientIDsU3.length + ' clients up for threshold of ' + this.threshold + ' for user ' + this.id;
+        if (clientIDsU3.length < this.shareThreshold) {
+            throw 'Only ' + clientIDsU3.length + ' clients up for threshold of ' + this.shareThreshold + ' for user ' + this.id;
         }
         
         this.clientIDsU2 = Object.keys(this.clientListU2)
@@ -285,10 +442,99 @@ class Client {
 
         this.IDsinU2NotInU3 = this.clientIDsU2.filter(key => !this.clientIDsU3.includes(key))
     }
+
+
+    /* ======== Consistency check ======== */
+
+
+    /**
+     * Encode the list U3 of an iteration as the message signed during the consistency check
+     * The IDs are sorted so that every client signs the same message for the same set,
+     * and the session and the iteration are part of the message so that a signature of another iteration is rejected
+     * @param {String} sessionID ID of the aggregation session
+     * @param {Number} iteration Iteration of the session
+     * @param {Array} clientIDsU3 array of the ID of the clients in U3
+     * @returns {String} The message to sign
+     */
+    static encodeClientIDsU3(sessionID, iteration, clientIDsU3) {
+        return JSON.stringify([sessionID, iteration, [...clientIDsU3].sort()]);
+    }
+
+    /**
+     * Sign the list U3 received from the server with the identity key
+     */
+    async signClientIDsU3() {
+        this.clientIDsU3Signature = await Helper.sign(this.identityPrivateKey, Client.encodeClientIDsU3(this.config.sessionID, this.iteration, this.clientIDsU3), this.config.randomness);
+    }
+
+    /**
+     * Receive from the server the signatures of U3 of the clients in U4
+     * @param {Object} signatures signatures of U3, with the ID of the signing client as key
+     */
+    receiveSignaturesU3(signatures) {
+        this.signaturesU3 = signatures;
+    }
+
+    /**
+     * Verify that at least threshold clients of U3 signed the same list U3 as this client
+     * Otherwise the server may have sent different lists to different clients, and the client refuses to send its shares
+     */
+    async verifySignaturesU3() {
+        if (this.signaturesU3 === undefined) {
+            throw 'Client ' + this.id + ' | No signature of U3 received from the server. Aborted.';
+        }
+
+        const message = Client.encodeClientIDsU3(this.config.sessionID, this.iteration, this.clientIDsU3);
+        let count = 0;
+        for (const clientIteratedID in this.signaturesU3) {
+            if (!this.clientIDsU3.includes(clientIteratedID)) {
+                throw 'Client ' + this.id + ' | Signature of U3 received from client ' + clientIteratedID + ' which is not part of U3. Aborted.';
+            }
+            const identityPublicKey = this.config.identityRegistry.getPublicKey(clientIteratedID);
+            if (!(await Helper.verify(identityPublicKey, this.signaturesU3[clientIteratedID], message))) {
+                throw 'Client ' + this.id + ' | Invalid signature of U3 from client ' + clientIteratedID + '. Aborted.';
+            }
+            count += 1;
+        }
+
+        if (count < this.threshold) {
+            throw 'Client ' + this.id + ' | Only ' + count + ' signatures of U3 for a threshold of ' + this.threshold + '. Aborted.';
+        }
+    }
+
+    /**
+     * Against a malicious server, the client signs the list U3 it received so that all clients can check they received the same list
+     * Against an honest but curious server, this round does nothing
+     */
+    async roundConsistencyCheck() {
+        if (this.isUp && this.config.maliciousServer) {
+            this.receiveclientIDsU3(this.takeMessage(MessageType.CLIENT_IDS_U3).clientIDsU3);
+            await this.signClientIDsU3();
+            await this.send(Messages.signatureU3(this.id, this.clientIDsU3Signature));
+        }
+    }
  
+    /**
+     * Record that a share of a peer is revealed to the server
+     * The client never reveals both the key share and the self mask seed share of the same peer, even across repeated requests.
+     * The record is kept for the whole session and keyed by the seed public key of the peer, so that it also holds across iterations
+     * @param {String} peerID ID of the peer
+     * @param {String} kind Kind of the share, 'keySplit' or 'seedSplit'
+     */
+    recordRevealedShare(peerID, kind) {
+        const key = peerID + '|' + Buffer.from(this.clientList[peerID].seedPublicKey).toString('base64')
+        const revealed = this.revealedShares[key]
+        if (revealed !== undefined && revealed != kind) {
+            throw new ShareRevealError(this.id, peerID, revealed, kind)
+        }
+        this.revealedShares[key] = kind
+    }
+
     /**
      * Decrypt the ciphertext then store the important information to send them later.
      * The important information is the key shares for the dropped users, or the self mask seed share for the remaining users
+     * Every released share is recorded, and a request for the other kind of share of the same peer raises a ShareRevealError
+     * The decryption fails if the ciphertext was not created for this session, this iteration, and from the peer to this client
      */
     async decryptCiphertext() {
 
@@ -296,44 +542,51 @@ class Client {
         for (const clientIteratedID in this.clientListU2) {
             if (clientIteratedID != this.id) {
                 const ciphertext = this.clientList[clientIteratedID].ciphertext
-                const decoded = await Helper.AESGCMDecrypt(this.clientList[clientIteratedID].AESKey, ciphertext['ciphertext'], ciphertext['iv'])
-                const correctCipher = decoded.split("|")
-                const u = correctCipher[0]
-                const v = correctCipher[1]
-                const keySplit = correctCipher[2]
-                const seedSplit = correctCipher[3]
-                const index = correctCipher[4]
-                if (u != clientIteratedID) {
-                    throw 'Client ' + this.id + "| Error in decryptCiphertext: metadata for ciphertext sender is " + clientIteratedID + "while the encrypted ID of the sender is " + u
-                }
-
-                if (v != this.id) {
-                    throw 'Client ' + this.id + "| Error in decryptCiphertext: the ciphertext should have been sent to " + v + " and not this client"
+                const associatedData = Helper.encodeShareAssociatedData(this.config.sessionID, this.iteration, clientIteratedID, this.id)
+                let decoded
+                try {
+                    decoded = await Helper.AESGCMDecrypt(this.clientList[clientIteratedID].AESKey, ciphertext['ciphertext'], ciphertext['iv'], associatedData)
+                } catch (error) {
+                    throw 'Client ' + this.id + '| Error in decryptCiphertext: the ciphertext of client ' + clientIteratedID + ' does not authenticate for session ' + this.config.sessionID + ' and iteration ' + this.iteration + '. Aborted.'
                 }
+                const { index, keyShare: keySplit, seedShare: seedSplit } = decodeSharePayload(decoded)
 
                 if (this.clientIDsU3.includes(clientIteratedID)) {
+                    this.recordRevealedShare(clientIteratedID, 'seedSplit')
                     splits[clientIteratedID] = { 'seedSplit': seedSplit, 'index': index }
                 }
                 else {
+                    this.recordRevealedShare(clientIteratedID, 'keySplit')
                     splits[clientIteratedID] = { 'keySplit': keySplit, 'index': index }
                 }
             }
         } 
-        splits[this.id] = {'seedSplit': this.ownSelfMaskSeedShare.toString(), 'index': this.ownIndex}
+        splits[this.id] = {'seedSplit': this.ownSelfMaskSeedShare, 'index': this.ownIndex}
         this.splits = splits
     }
 
     /**
-     * Decrypt the ciphertext and send the seed share
+     * Receive U3, decrypt the ciphertext and send the shares
+     * Against a malicious server, U3 was received during the consistency check,
+     * and the shares are only sent if enough clients signed the same list U3
      */
     async round3() {
         if (this.isUp) {
+            if (this.config.maliciousServer) {
+                this.receiveSignaturesU3(this.takeMessage(MessageType.SIGNATURES_U3).signatures)
+                await this.verifySignaturesU3()
+            }
+            else {
+                this.receiveclientIDsU3(this.takeMessage(MessageType.CLIENT_IDS_U3).clientIDsU3)
+            }
             await this.decryptCiphertext()
+            await this.send(Messages.unmaskingResponse(this.id, this.splits))
         }
     }
 
     /**
      * Drop down an user
+     * The client stops receiving and sending messages, the server only notices it by the missing messages at the deadline of the round
      */
     putDown() {
         this.isUp = false;
@@ -344,12 +597,11 @@ class Client {
  * Data Storing class representing the clients in a client
  */
 class ClientForClient {
-    constructor(id, seedPublicKey, seed, AESKey, PRNG) {
+    constructor(id, seedPublicKey, seed, AESKey) {
         this.id = id
         this.seedPublicKey = seedPublicKey
         this.seed = seed
         this.AESKey = AESKey
-        this.PRNG = PRNG;
     }
 }
 
@@ -0,0 +1,68 @@
+/**
+ * This file runs a client of the Secure Aggregation Protocol as a standalone process over HTTP
+ *
+ * Usage: node src/client_process.js --server http://127.0.0.1:8080 --clients 4 --threshold 2 --values 1.5,-2,3 [--id <client ID>] [--session <session ID>]
+ */
+
+/**
+ * Imports
+ */
+const { randomUUID } = require('crypto');
+const Client = require("./client.js")
+const { HttpClientTransport } = require("./http_transport.js")
+const { MessageType } = require("./messages.js")
+const { networkConfig } = require("./config.js")
+const { parseArguments } = require("./arguments.js")
+
+
+/**
+ * Round of the client to run when a message of the server is received
+ */
+const roundOfMessage = {
+    [MessageType.CLIENT_LIST]: 'round1',
+    [MessageType.CIPHERTEXTS]: 'round2',
+    [MessageType.CLIENT_IDS_U3]: 'round3'
+}
+
+/**
+ * Run a client: it registers on the server, advertises its keys, then runs the round answering each message of the server
+ * The client stops after sending its shares, or when the server stops answering
+ * @param {String} url Base URL of the server
+ * @param {String} id ID of the client
+ * @param {Array<Number>} values Secret vector of the client
+ * @param {Number} nbClients Number of clients in the protocol
+ * @param {Number} threshold Shamir t out of n threshold
+ * @param {String} sessionID ID of the aggregation session, identical for all the clients
+ */
+async function runClient(url, id, values, nbClients, threshold, sessionID) {
+    const client = new Client(id, values, nbClients, threshold, { ...networkConfig, sessionID: sessionID });
+    const transport = new HttpClientTransport(url);
+    transport.registerClient(client);
+    await transport.register();
+
+    await client.round0();
+
+    let finished = false;
+    while (!finished) {
+        const messages = await transport.poll();
+        for (const message of messages) {
+            const round = roundOfMessage[message.type];
+            if (round !== undefined) {
+                await client[round]();
+                finished = round == 'round3';
+            }
+        }
+    }
+}
+
+if (require.main === module) {
+    const { options } = parseArguments(process.argv.slice(2));
+    const values = String(options.values).split(',').map(Number);
+    runClient(options.server, options.id || randomUUID(), values, Number(options.clients), Number(options.threshold), options.session || 'default')
+        .catch(error => {
+            console.log(`Client aborted: ${error}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { runClient }
@@ -0,0 +1,179 @@
+/**
+ * This file provides the clocks used by the server to enforce the deadlines of the rounds
+ */
+
+
+/**
+ * Interface of a clock
+ * The time is a number of milliseconds, only differences of times are meaningful
+ */
+class Clock {
+
+    /**
+     * @returns {Number} The current time in ms
+     */
+    now() {
+        throw 'now is not implemented by this clock';
+    }
+
+    /**
+     * Call a callback once a delay elapsed
+     * @param {Function} callback
+     * @param {Number} delay Delay in ms
+     * @returns A timer that can be cancelled with clearTimeout
+     */
+    setTimeout(callback, delay) {
+        throw 'setTimeout is not implemented by this clock';
+    }
+
+    /**
+     * Cancel a timer created by setTimeout
+     * @param timer
+     */
+    clearTimeout(timer) {
+        throw 'clearTimeout is not implemented by this clock';
+    }
+}
+
+
+/**
+ * Clock following the time of the system
+ */
+class SystemClock extends Clock {
+
+    now() {
+        return Date.now();
+    }
+
+    setTimeout(callback, delay) {
+        return setTimeout(callback, delay);
+    }
+
+    clearTimeout(timer) {
+        clearTimeout(timer);
+    }
+}
+
+
+/**
+ * Clock whose time only moves when advance is called, to simulate the deadlines deterministically
+ * The timers that expire during an advance are called in the order of their expiration time, then of their creation.
+ * The timers are kept in a binary heap, so that a simulation can hold the timers of a large number of clients
+ */
+class ManualClock extends Clock {
+
+    /**
+     * @param {Number} start Initial time in ms
+     */
+    constructor(start = 0) {
+        super();
+        this.time = start;
+        this.timers = [];
+        this.nextTimerID = 0;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, delay) {
+        const timer = { id: this.nextTimerID++, time: this.time + Math.max(0, delay), callback: callback, cancelled: false };
+        this.timers.push(timer);
+        this.siftUp(this.timers.length - 1);
+        return timer;
+    }
+
+    clearTimeout(timer) {
+        /* As the timers of the system, clearing a missing timer does nothing */
+        if (timer === undefined || timer === null) {
+            return;
+        }
+        /* The cancelled timer stays in the heap until it is popped */
+        timer.cancelled = true;
+    }
+
+    /**
+     * Move the time forward and call the timers that expire meanwhile
+     * @param {Number} duration Duration in ms
+     */
+    advance(duration) {
+        const target = this.time + duration;
+        for (;;) {
+            const timer = this.nextTimer();
+            if (timer === null || timer.time > target) {
+                break;
+            }
+            this.popTimer();
+            this.time = timer.time;
+            timer.callback();
+        }
+        this.time = target;
+    }
+
+    /**
+     * Call the timers in order, including the timers they create, until none is left
+     * The time stops at the expiration of the last timer
+     */
+    runUntilIdle() {
+        for (let timer = this.nextTimer(); timer !== null; timer = this.nextTimer()) {
+            this.advance(timer.time - this.time);
+        }
+    }
+
+    /**
+     * @returns The first timer to expire that is not cancelled, null if there is none
+     */
+    nextTimer() {
+        while (this.timers.length > 0 && this.timers[0].cancelled) {
+            this.popTimer();
+        }
+        return this.timers.length > 0 ? this.timers[0] : null;
+    }
+
+    /**
+     * Remove the first timer to expire from the heap
+     */
+    popTimer() {
+        const last = this.timers.pop();
+        if (this.timers.length > 0) {
+            this.timers[0] = last;
+            this.siftDown(0);
+        }
+    }
+
+    /**
+     * Order of the timers: expiration time, then creation
+     */
+    static before(timer, other) {
+        return timer.time < other.time || (timer.time == other.time && timer.id < other.id);
+    }
+
+    siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!ManualClock.before(this.timers[index], this.timers[parent])) {
+                break;
+            }
+            [this.timers[index], this.timers[parent]] = [this.timers[parent], this.timers[index]];
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        for (;;) {
+            let first = index;
+            for (const child of [2 * index + 1, 2 * index + 2]) {
+                if (child < this.timers.length && ManualClock.before(this.timers[child], this.timers[first])) {
+                    first = child;
+                }
+            }
+            if (first == index) {
+                break;
+            }
+            [this.timers[index], this.timers[first]] = [this.timers[first], this.timers[index]];
+            index = first;
+        }
+    }
+}
+
+module.exports = { Clock, SystemClock, ManualClock }
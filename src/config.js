@@ -0,0 +1,60 @@
+/**
+ * This file provides the protocol configuration shared by the clients and the server
+ */
+
+/**
+ * Imports
+ */
+const Group = require("./group.js")
+const FixedPointEncoder = require("./encoder.js")
+const { SystemClock } = require("./clock.js")
+const { SystemRandomness } = require("./randomness.js")
+
+
+/**
+ * Fill the missing protocol parameters with their default value
+ * The clients and the server must be created with the same configuration
+ * @param {Object} config Partial configuration
+ * @param {Group} config.group Group in which the inputs are masked, integers modulo 2^64 by default, which holds the sum of the default encoding for millions of clients
+ * @param {FixedPointEncoder} config.encoder Encoding of the inputs, four decimals in [-16384, 16384] by default
+ * @param {String} config.overflowPolicy 'reject' to refuse configurations where the sum can overflow the group, 'flag' to only flag them
+ * @param {Boolean} config.maliciousServer Protect against an active adversary with signed keys and the consistency check round
+ * @param {IdentityRegistry} config.identityRegistry Registry of the identity keys, shared by all the clients, required against an active adversary
+ * @param {Clock} config.clock Clock of the server, the time of the system by default
+ * @param {Number} config.roundTimeout Duration in ms the server waits for the messages of a round, counted from the start of the round.
+ * Infinity (the default) never considers a slow client as dropped, which suits the simulations running every client in the same process
+ * @param {Boolean} config.rotateKeys Generate new round 0 key pairs at every iteration (the default). False reuses the key pairs of the previous iteration
+ * while the client never sent the shares of its seed private key, as when an iteration aborted before the client round 1
+ * @param {String} config.sessionID ID of the aggregation session, authenticated with every share ciphertext and every signature
+ * @param {Object} config.graph SecAgg+ communication graph {degree, threshold}: each client shares its keys with degree random neighbours,
+ * and threshold of them are needed to reconstruct its secrets. Null (the default) shares the keys with all the clients
+ * @param {DistributedDiscreteGaussian} config.privacy Noise added by the clients to their encoded input for differential privacy, null (the default) adds no noise
+ * @param {Randomness} config.randomness Source of all the randomness of the protocol, a SeededRandomness makes the transcript reproducible in tests
+ * @returns The complete configuration
+ */
+function resolveConfig(config = {}) {
+    return {
+        group: Group.powerOfTwo(64),
+        encoder: new FixedPointEncoder(),
+        overflowPolicy: 'reject',
+        maliciousServer: false,
+        identityRegistry: null,
+        clock: new SystemClock(),
+        roundTimeout: Infinity,
+        rotateKeys: true,
+        sessionID: 'default',
+        graph: null,
+        privacy: null,
+        randomness: new SystemRandomness(),
+        ...config
+    }
+}
+
+/**
+ * Configuration of the server and the clients running in separate processes, which cannot share a configuration object
+ */
+const networkConfig = {
+    group: Group.powerOfTwo(64)
+}
+
+module.exports = { resolveConfig, networkConfig }
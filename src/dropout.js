@@ -0,0 +1,244 @@
+/**
+ * This file provides the dropout models of the simulations and the estimation of the probability of a successful aggregation
+ *
+ * A dropout model draws, from the simulation, the clients dropping at each moment of Simulation.dropoutSpots.
+ * The schedule it returns can be given to Simulation.runCohort, and a model can be given to Simulation.runProtocol in place of the numbers of dropouts
+ */
+
+/**
+ * Imports
+ */
+const FixedPointEncoder = require("./encoder.js")
+const Simulation = require("./simulation.js")
+const { sweptSpots, expectedOutcome } = require("./verification.js")
+
+
+/* Moments before each round of the clients, a straggler missing the deadline of a round drops at the moment of the round */
+const clientRoundSpots = ['beforeClientRound0', 'beforeClientRound1', 'beforeClientRound2', 'beforeClientRound3']
+
+
+/**
+ * Interface of a dropout model
+ */
+class DropoutModel {
+
+    /**
+     * Draw the clients dropping during one run of the protocol
+     * @param {Array<String>} ids IDs of the clients
+     * @param {Simulation} simulation Simulation drawing the dropouts
+     * @returns {Object} IDs of the clients dropping at each moment, with the moment of Simulation.dropoutSpots as key
+     */
+    schedule(ids, simulation) {
+        throw 'schedule is not implemented by this dropout model';
+    }
+}
+
+/**
+ * Independent dropouts: at each moment, each client still running drops with the probability of the moment
+ */
+class BernoulliDropout extends DropoutModel {
+
+    /**
+     * @param {Number|Object} probabilities Probability of a client to drop at each moment, or the probability of each moment with the moment as key.
+     * A single probability applies to every moment of the protocol but the consistency check
+     */
+    constructor(probabilities) {
+        super();
+        this.probabilities = typeof probabilities === 'number'
+            ? Object.fromEntries(sweptSpots(false).map(spot => [spot, probabilities]))
+            : probabilities;
+        for (const spot in this.probabilities) {
+            if (!Simulation.dropoutSpots.includes(spot)) {
+                throw `Unknown dropout moment ${spot}, the moments are ${Simulation.dropoutSpots.join(', ')}`;
+            }
+            if (!(this.probabilities[spot] >= 0 && this.probabilities[spot] <= 1)) {
+                throw `The dropout probability ${this.probabilities[spot]} of ${spot} is not between 0 and 1`;
+            }
+        }
+    }
+
+    schedule(ids, simulation) {
+        let running = [...ids];
+        let dropouts = {};
+        for (const spot of Simulation.dropoutSpots.filter(spot => this.probabilities[spot] !== undefined)) {
+            dropouts[spot] = running.filter(() => simulation.float() < this.probabilities[spot]);
+            running = running.filter(id => !dropouts[spot].includes(id));
+        }
+        return dropouts;
+    }
+}
+
+/**
+ * Correlated dropouts: the clients are split into groups sharing a network or a region, and a group suffers an outage with some probability,
+ * all its clients dropping at the same moment, drawn uniformly among the moments of the model
+ */
+class GroupOutage extends DropoutModel {
+
+    /**
+     * @param {Object} params
+     * @param {Number} params.groups Number of groups, the clients being split into groups of consecutive clients of equal sizes
+     * @param {Number} params.probability Probability of a group to suffer an outage during a run
+     * @param {Array<String>} params.spots Moments at which an outage can happen, every moment of the protocol but the consistency check by default
+     */
+    constructor({ groups, probability, spots = sweptSpots(false) }) {
+        super();
+        if (!Number.isInteger(groups) || groups < 1) {
+            throw `The number of groups must be a positive integer, received ${groups}`;
+        }
+        if (!(probability >= 0 && probability <= 1)) {
+            throw `The outage probability ${probability} is not between 0 and 1`;
+        }
+        this.groups = groups;
+        this.probability = probability;
+        this.spots = spots;
+    }
+
+    /**
+     * Group of a client
+     * @param {Number} index Index of the client among the nbClients clients
+     * @param {Number} nbClients
+     * @returns {Number}
+     */
+    groupOf(index, nbClients) {
+        return Math.floor(index * this.groups / nbClients);
+    }
+
+    schedule(ids, simulation) {
+        let dropouts = {};
+        for (let group = 0; group < this.groups; ++group) {
+            if (simulation.float() < this.probability) {
+                const spot = this.spots[simulation.int(this.spots.length)];
+                const members = ids.filter((_, i) => this.groupOf(i, ids.length) == group);
+                dropouts[spot] = [...(dropouts[spot] || []), ...members];
+            }
+        }
+        return dropouts;
+    }
+}
+
+/**
+ * Stragglers: at each round, each client still running answers after a random latency, and a client answering after the deadline of the round
+ * is excluded by the server from the following sets, as if it dropped before the round
+ */
+class LatencyDropout extends DropoutModel {
+
+    /**
+     * @param {Object} params
+     * @param {Number} params.deadline Duration in ms given to the clients at each round, the roundTimeout of the configuration
+     * @param {Function} params.latency Draw the latency in ms of a client at a round from the simulation
+     */
+    constructor({ deadline, latency }) {
+        super();
+        this.deadline = deadline;
+        this.latency = latency;
+    }
+
+    /**
+     * Exponential latencies
+     * @param {Number} mean Mean latency in ms
+     * @returns {Function} The latency of LatencyDropout
+     */
+    static exponential(mean) {
+        return simulation => -mean * Math.log(1 - simulation.float());
+    }
+
+    /**
+     * Log-normal latencies, whose heavy tail models the slow devices
+     * @param {Number} median Median latency in ms
+     * @param {Number} sigma Standard deviation of the logarithm of the latency
+     * @returns {Function} The latency of LatencyDropout
+     */
+    static logNormal(median, sigma) {
+        return simulation => {
+            const u = 1 - simulation.float();
+            const v = simulation.float();
+            return median * Math.exp(sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v));
+        };
+    }
+
+    schedule(ids, simulation) {
+        let running = [...ids];
+        let dropouts = {};
+        for (const spot of clientRoundSpots) {
+            dropouts[spot] = running.filter(() => this.latency(simulation) > this.deadline);
+            running = running.filter(id => !dropouts[spot].includes(id));
+        }
+        return dropouts;
+    }
+}
+
+/**
+ * Wilson score interval of a proportion
+ * @param {Number} successes
+ * @param {Number} trials
+ * @param {Number} z Quantile of the normal distribution, 1.96 for a 95% interval
+ * @returns {Array<Number>} The lower and upper bounds
+ */
+function wilsonInterval(successes, trials, z = 1.96) {
+    const p = successes / trials;
+    const center = (p + z * z / (2 * trials)) / (1 + z * z / trials);
+    const margin = z / (1 + z * z / trials) * Math.sqrt(p * (1 - p) / trials + z * z / (4 * trials * trials));
+    return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+/**
+ * Estimate the probability of a successful aggregation for n clients and a threshold t under a dropout model, with Monte Carlo trials.
+ * By default the outcome of a trial follows the rule checked by src/verification.js: the run aborts when the clients still running fall below
+ * the threshold before the server round 3. With runProtocol, each trial runs the protocol, which is much slower
+ * @param {Object} params
+ * @param {Number} params.nbClients Number of clients
+ * @param {Number} params.threshold Shamir t out of n threshold
+ * @param {DropoutModel} params.model
+ * @param {Number} params.trials Number of trials
+ * @param {Simulation} params.simulation Simulation drawing the dropouts
+ * @param {Boolean} params.runProtocol Run the protocol at each trial
+ * @param {Object} params.config Protocol configuration of the runs
+ * @returns The number of successes, the estimated probability with its 95% interval, the mean size of U3 over the successes,
+ * the number of runs whose outcome differs from the rule with runProtocol, and the number of aborts after each moment
+ */
+async function estimateSuccessProbability({ nbClients, threshold, model, trials = 1000, simulation = new Simulation(), runProtocol = false, config = {} }) {
+    const ids = Array.from({ length: nbClients }, (_, i) => 'client' + i);
+    let successes = 0;
+    let sizesU3 = 0;
+    let abortsAfter = {};
+    let disagreements = 0;
+
+    for (let trial = 0; trial < trials; ++trial) {
+        let outcome = 'success';
+        let clientIDsU3 = null;
+        let spot = null;
+        if (runProtocol) {
+            /* The abort moment is the one given by the rule, the rule being also compared with the run */
+            const clients = simulation.randomClients(nbClients, 1, config.encoder || new FixedPointEncoder());
+            const schedule = model.schedule(clients.map(client => client.id), simulation);
+            spot = expectedOutcome(clients.map(client => client.id), threshold, schedule).spot;
+            try {
+                clientIDsU3 = (await simulation.runCohort({ clients, threshold, dropouts: schedule, config })).clientIDsU3;
+            } catch (error) {
+                outcome = 'abort';
+            }
+            disagreements += (spot === null) == (outcome == 'success') ? 0 : 1;
+        } else {
+            ({ outcome, clientIDsU3, spot } = expectedOutcome(ids, threshold, model.schedule(ids, simulation)));
+        }
+
+        if (outcome == 'success') {
+            successes += 1;
+            sizesU3 += clientIDsU3.length;
+        } else {
+            abortsAfter[spot] = (abortsAfter[spot] || 0) + 1;
+        }
+    }
+
+    return {
+        trials: trials,
+        successes: successes,
+        probability: successes / trials,
+        interval: wilsonInterval(successes, trials),
+        meanClientsU3: successes == 0 ? null : sizesU3 / successes,
+        disagreements: runProtocol ? disagreements : null,
+        abortsAfter: Object.fromEntries(Object.entries(abortsAfter).sort(([a], [b]) => Simulation.dropoutSpots.indexOf(a) - Simulation.dropoutSpots.indexOf(b)))
+    };
+}
+
+module.exports = { DropoutModel, BernoulliDropout, GroupOutage, LatencyDropout, wilsonInterval, estimateSuccessProbability }
@@ -0,0 +1,141 @@
+/**
+ * This file provides the fixed-point encoding of the client inputs
+ */
+
+
+/**
+ * Encodes real values into signed integers by multiplying them by a scale and rounding them
+ * Values outside of the clipping range are clipped before being encoded
+ * With weights, each clipped value is multiplied by the weight of the client and the weight is appended to the encoded vector,
+ * so that the sums give the weighted mean without revealing the weight of a client
+ */
+class FixedPointEncoder {
+
+    /**
+     * Construct the encoder
+     * @param {Object} params
+     * @param {Number} params.scale Multiplier applied before rounding, 10^4 keeps four decimals
+     * @param {Array<Number>} params.clipRange [min, max] range in which the inputs are clipped
+     * @param {Number} params.maxWeight Largest weight of a client for weighted aggregation, null (the default) for the plain mean
+     */
+    constructor({ scale = 10**4, clipRange = [-16384, 16384], maxWeight = null } = {}) {
+        const [min, max] = clipRange;
+        if (!(scale > 0)) {
+            throw 'The encoding scale must be positive, received ' + scale;
+        }
+        if (!(min < max)) {
+            throw `The clipping range must be an interval [min, max] with min < max, received [${clipRange}]`;
+        }
+        if (maxWeight !== null && !(maxWeight > 0 && Number.isFinite(maxWeight))) {
+            throw 'The largest weight must be a finite positive number, received ' + maxWeight;
+        }
+        this.scale = scale;
+        this.min = min;
+        this.max = max;
+        this.maxWeight = maxWeight;
+    }
+
+    /**
+     * Clip and encode a vector of real values
+     * With weights, the encoded vector holds the weighted values followed by the weight
+     * A value which is not a finite number, NaN or an infinity, cannot be clipped meaningfully and is refused
+     * @param {Float32Array|Array<Number>} vector Values to encode
+     * @param {Number} weight Weight of the client, between 0 and the largest weight, only 1 without weights
+     * @returns {{encoded: Array<BigInt>, clippedCount: Number}} The encoded values and the number of clipped values
+     */
+    encode(vector, weight = 1) {
+        if (this.maxWeight === null && weight !== 1) {
+            throw 'The encoder has no largest weight, so the inputs cannot be weighted, received the weight ' + weight;
+        }
+        if (this.maxWeight !== null && !(weight >= 0 && weight <= this.maxWeight)) {
+            throw `The weight must be between 0 and ${this.maxWeight}, received ${weight}`;
+        }
+
+        let clippedCount = 0;
+        const encoded = Array.from(vector, (value, i) => {
+            if (!Number.isFinite(value)) {
+                throw `The input value at position ${i} is ${value}, only finite numbers can be encoded`;
+            }
+            if (value < this.min || value > this.max) {
+                clippedCount += 1;
+                value = Math.min(Math.max(value, this.min), this.max);
+            }
+            return BigInt(Math.round(value * weight * this.scale));
+        });
+        if (this.maxWeight !== null) {
+            encoded.push(BigInt(Math.round(weight * this.scale)));
+        }
+        return { encoded: encoded, clippedCount: clippedCount };
+    }
+
+    /**
+     * Decode a sum of encoded values
+     * @param {BigInt} sum Signed sum of encoded values
+     * @returns {Number} The real value of the sum
+     */
+    decode(sum) {
+        return Number(sum) / this.scale;
+    }
+
+    /**
+     * Decode the mean of the inputs from the sums of their encoded vectors
+     * Without weights, the sums are divided by the number of clients, with weights by the sum of the weights, which is the last sum
+     * @param {Array<BigInt>} sums Signed sums of the encoded vectors
+     * @param {Number} nbClients Number of clients contributing to the sums
+     * @returns {Array<Number>} The mean vector, weighted by the weights of the clients if any
+     */
+    decodeMean(sums, nbClients) {
+        if (this.maxWeight === null) {
+            return sums.map(sum => this.decode(sum) / nbClients);
+        }
+        const totalWeight = sums[sums.length - 1];
+        if (totalWeight <= 0n) {
+            throw 'The sum of the weights of the clients is ' + this.decode(totalWeight) + ', the weighted mean is undefined';
+        }
+        return sums.slice(0, -1).map(sum => Number(sum) / Number(totalWeight));
+    }
+
+    /**
+     * Largest absolute value of an encoded input
+     * With weights, both the weighted values and the weight are bounded by the largest weight
+     * @returns {BigInt}
+     */
+    maxAbsEncoded() {
+        const maxAbs = Math.max(Math.abs(this.min), Math.abs(this.max));
+        if (this.maxWeight === null) {
+            return BigInt(Math.round(maxAbs * this.scale));
+        }
+        return BigInt(Math.round(Math.max(maxAbs, 1) * this.maxWeight * this.scale));
+    }
+
+    /**
+     * Smallest modulus representing every possible sum of nbClients encoded inputs
+     * A sum s is decoded from the group element s mod m, which requires |s| <= (m - 1) / 2
+     * @param {Number} nbClients Number of clients contributing to the sum
+     * @returns {BigInt} The required modulus
+     */
+    requiredModulus(nbClients) {
+        return 2n * BigInt(nbClients) * this.maxAbsEncoded() + 1n;
+    }
+
+    /**
+     * Number of bits of the smallest power of two modulus representing every possible sum
+     * @param {Number} nbClients Number of clients contributing to the sum
+     * @returns {Number} The required bit width
+     */
+    requiredBits(nbClients) {
+        return (this.requiredModulus(nbClients) - 1n).toString(2).length;
+    }
+
+    /**
+     * Check whether the sum of nbClients inputs can overflow the group
+     * @param {Group} group Group in which the inputs are summed
+     * @param {Number} nbClients Number of clients contributing to the sum
+     * @returns {Boolean} True if the sum can wrap around the modulus
+     */
+    canOverflow(group, nbClients) {
+        return group.modulus < this.requiredModulus(nbClients);
+    }
+}
+
+module.exports = FixedPointEncoder
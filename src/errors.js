@@ -0,0 +1,43 @@
+/**
+ * This file provides the errors raised when a client detects a misbehaving server, or when a message is malformed
+ */
+
+
+/**
+ * Raised when the server asks a client for both the secret key share and the self mask seed share of the same peer
+ * Revealing both shares would let the server unmask the input of the peer
+ */
+class ShareRevealError extends Error {
+
+    /**
+     * @param {String} clientID ID of the client refusing to reveal the share
+     * @param {String} peerID ID of the peer whose shares were requested
+     * @param {String} revealed Kind of share already revealed for the peer, 'keySplit' or 'seedSplit'
+     * @param {String} requested Kind of share requested for the peer, 'keySplit' or 'seedSplit'
+     */
+    constructor(clientID, peerID, revealed, requested) {
+        super(`Client ${clientID} | The ${revealed} of client ${peerID} was already revealed, refusing to reveal its ${requested}. Aborted.`);
+        this.name = 'ShareRevealError';
+        this.clientID = clientID;
+        this.peerID = peerID;
+        this.revealed = revealed;
+        this.requested = requested;
+    }
+}
+
+
+/**
+ * Raised when a message received from another process does not follow the wire format
+ */
+class WireFormatError extends Error {
+
+    /**
+     * @param {String} reason Description of the problem
+     */
+    constructor(reason) {
+        super(`Invalid message on the wire: ${reason}`);
+        this.name = 'WireFormatError';
+    }
+}
+
+module.exports = { ShareRevealError, WireFormatError }
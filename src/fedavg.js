@@ -0,0 +1,193 @@
+/**
+ * This file trains a logistic regression with federated averaging (FedAvg) over a synthetic dataset,
+ * the model updates of the clients being aggregated with the secure aggregation protocol at every training round
+ *
+ * Usage: node src/fedavg.js [--clients 8] [--rounds 10] [--epochs 5] [--rate 0.5] [--dropout 0.25] [--seed fedavg] [--test]
+ */
+
+/**
+ * Imports
+ */
+const Group = require("./group.js")
+const FixedPointEncoder = require("./encoder.js")
+const Session = require("./session.js")
+const Simulation = require("./simulation.js")
+const { parseArguments } = require("./arguments.js")
+
+
+/**
+ * Draw a standard normal number with the Box-Muller transform
+ * @param {Simulation} simulation
+ * @returns {Number}
+ */
+function normal(simulation) {
+    const u = 1 - simulation.float();
+    const v = simulation.float();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Generate a dataset of two overlapping Gaussian classes in the plane, centered on (-1, -1) for the label 0 and on (1, 1) for the label 1
+ * @param {Simulation} simulation
+ * @param {Number} nbExamples Number of examples
+ * @returns {Array<{x: Array<Number>, y: Number}>} The examples
+ */
+function generateDataset(simulation, nbExamples) {
+    let dataset = [];
+    for (let i = 0; i < nbExamples; ++i) {
+        const y = simulation.int(2);
+        const center = y == 1 ? 1 : -1;
+        dataset.push({ x: [center + 1.5 * normal(simulation), center + 1.5 * normal(simulation)], y: y });
+    }
+    return dataset;
+}
+
+/**
+ * Split the dataset between the clients with different sizes and label proportions
+ * The examples are sorted along the first feature and cut into contiguous partitions of random sizes, so that the partitions are not identically distributed
+ * @param {Simulation} simulation
+ * @param {Array} dataset Examples to split
+ * @param {Number} nbClients Number of partitions
+ * @returns {Array<Array>} The partition of each client
+ */
+function partition(simulation, dataset, nbClients) {
+    const sorted = [...dataset].sort((a, b) => a.x[0] - b.x[0]);
+    const sizes = Array.from({ length: nbClients }, () => 1 + simulation.float());
+    const total = sizes.reduce((a, b) => a + b, 0);
+
+    let partitions = [];
+    let start = 0;
+    let cumulated = 0;
+    for (let i = 0; i < nbClients; ++i) {
+        cumulated += sizes[i];
+        const end = i == nbClients - 1 ? sorted.length : Math.round(cumulated / total * sorted.length);
+        partitions.push(sorted.slice(start, end));
+        start = end;
+    }
+    return partitions;
+}
+
+/**
+ * Probability of the label 1 given by the model [w0, w1, bias]
+ * @param {Array<Number>} model
+ * @param {Array<Number>} x Features
+ * @returns {Number}
+ */
+function predict(model, x) {
+    return 1 / (1 + Math.exp(-(model[0] * x[0] + model[1] * x[1] + model[2])));
+}
+
+/**
+ * Mean cross-entropy loss and accuracy of the model over a dataset
+ * @param {Array<Number>} model
+ * @param {Array} dataset
+ * @returns {{loss: Number, accuracy: Number}}
+ */
+function evaluate(model, dataset) {
+    let loss = 0;
+    let correct = 0;
+    for (const { x, y } of dataset) {
+        const p = Math.min(Math.max(predict(model, x), 1e-12), 1 - 1e-12);
+        loss -= y * Math.log(p) + (1 - y) * Math.log(1 - p);
+        correct += (p >= 0.5) == (y == 1) ? 1 : 0;
+    }
+    return { loss: loss / dataset.length, accuracy: correct / dataset.length };
+}
+
+/**
+ * Train the model on the partition of a client with full batch gradient descent
+ * @param {Array<Number>} model Global model, left unchanged
+ * @param {Array} dataset Partition of the client
+ * @param {Number} epochs Number of local epochs
+ * @param {Number} learningRate
+ * @returns {Array<Number>} The update of the client, difference between the trained model and the global model
+ */
+function trainLocally(model, dataset, epochs, learningRate) {
+    let local = [...model];
+    for (let epoch = 0; epoch < epochs; ++epoch) {
+        let gradient = [0, 0, 0];
+        for (const { x, y } of dataset) {
+            const error = predict(local, x) - y;
+            gradient[0] += error * x[0];
+            gradient[1] += error * x[1];
+            gradient[2] += error;
+        }
+        local = local.map((w, i) => w - learningRate * gradient[i] / dataset.length);
+    }
+    return local.map((w, i) => w - model[i]);
+}
+
+/**
+ * Train the model with FedAvg: at every round, each client of the cohort trains the global model on its partition,
+ * and the global model moves by the mean of the updates weighted by the number of examples of the clients
+ * The mean is computed by the secure aggregation protocol and compared with the mean computed without secrecy
+ * @param {Object} params
+ * @param {Number} params.nbClients Number of clients
+ * @param {Number} params.nbRounds Number of training rounds, one iteration of the aggregation session each
+ * @param {Number} params.epochs Number of local epochs of a client at each round
+ * @param {Number} params.learningRate
+ * @param {Number} params.dropoutRate Probability of a client to drop before sending its masked update at each round
+ * @param {Simulation} params.simulation Simulation drawing the dataset, the partitions, the client IDs and the dropouts
+ * @returns {Array<Number>} The trained model
+ */
+async function runFedAvg({ nbClients = 8, nbRounds = 10, epochs = 5, learningRate = 0.5, dropoutRate = 0.25, simulation = new Simulation('fedavg') } = {}) {
+
+    const dataset = generateDataset(simulation, 100 * nbClients);
+    const partitions = partition(simulation, dataset, nbClients);
+    const ids = partitions.map(() => simulation.uuid());
+
+    /* The updates stay small, the weights of the clients are bounded by the size of the dataset */
+    const config = simulation.config({
+        group: Group.powerOfTwo(64),
+        encoder: new FixedPointEncoder({ scale: 10**6, clipRange: [-8, 8], maxWeight: dataset.length })
+    });
+    const session = new Session(Math.ceil(nbClients / 2), config);
+
+    let model = [0, 0, 0];
+    const initial = evaluate(model, dataset);
+    console.log(`Partition sizes: ${partitions.map(data => data.length).join(', ')}`)
+    console.log(`Round 0 | loss ${initial.loss.toFixed(4)} | accuracy ${initial.accuracy.toFixed(3)}`)
+
+    for (let round = 1; round <= nbRounds; ++round) {
+        let inputs = {};
+        let weights = {};
+        let dropouts = {};
+        for (let i = 0; i < nbClients; ++i) {
+            inputs[ids[i]] = trainLocally(model, partitions[i], epochs, learningRate);
+            weights[ids[i]] = partitions[i].length;
+            if (simulation.float() < dropoutRate) {
+                dropouts[ids[i]] = 2;
+            }
+        }
+
+        const result = await session.runIteration(inputs, dropouts, weights);
+        const plainMean = session.server.aggregateWithoutSecrecy(Object.values(session.clients));
+        const difference = Math.max(...result.mean.map((value, i) => Math.abs(value - plainMean[i])));
+
+        model = model.map((w, i) => w + result.mean[i]);
+        const { loss, accuracy } = evaluate(model, dataset);
+        console.log(`Round ${round} | ${result.clientIDsU3.length}/${nbClients} clients | loss ${loss.toFixed(4)} | accuracy ${accuracy.toFixed(3)} | largest difference with the mean without secrecy ${difference.toExponential(2)}`)
+    }
+
+    console.log(`Model: w = [${model[0].toFixed(4)}, ${model[1].toFixed(4)}], bias = ${model[2].toFixed(4)}`)
+    return model;
+}
+
+if (require.main === module) {
+    const { options } = parseArguments(process.argv.slice(2));
+    const simulation = new Simulation(options.seed || 'fedavg', options.test === true);
+    runFedAvg({
+        nbClients: Number(options.clients || 8),
+        nbRounds: Number(options.rounds || 10),
+        epochs: Number(options.epochs || 5),
+        learningRate: Number(options.rate || 0.5),
+        dropoutRate: Number(options.dropout || 0.25),
+        simulation: simulation
+    }).catch(error => {
+        console.log(`FedAvg aborted: ${error}`);
+        console.log(`Rerun it with ${simulation.reproductionOptions()}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { generateDataset, partition, evaluate, trainLocally, runFedAvg }
@@ -0,0 +1,60 @@
+/**
+ * This file provides the communication graphs of SecAgg+ (Bell et al.), where each client only shares its keys with its neighbours
+ */
+
+/**
+ * Imports
+ */
+const { randomInt } = require('crypto');
+
+
+/**
+ * Degree of the graph recommended for a number of clients, logarithmic in the number of clients
+ * @param {Number} nbClients Number of clients
+ * @returns {Number} An even degree
+ */
+function logarithmicDegree(nbClients) {
+    return 2 * Math.ceil(Math.log2(Math.max(nbClients, 2)));
+}
+
+/**
+ * Build the Harary graph H(k, n) over a random permutation of the clients
+ * The clients are placed on a ring in a random order and each one is linked to the k / 2 closest clients on each side
+ * A degree of at least n - 1 gives the complete graph
+ * @param {Array<String>} clientIDs IDs of the n clients
+ * @param {Number} degree Even degree k of the graph
+ * @param {Function} random Function returning a random integer in [0, max), crypto.randomInt by default
+ * @returns {Object} The IDs of the neighbours of each client, with the client ID as key
+ */
+function hararyGraph(clientIDs, degree, random = max => randomInt(max)) {
+    if (!Number.isInteger(degree) || degree < 2 || degree % 2 != 0) {
+        throw 'The degree of the communication graph must be an even integer of at least 2, received ' + degree;
+    }
+
+    const n = clientIDs.length;
+    let neighbours = {};
+    if (degree >= n - 1) {
+        for (const id of clientIDs) {
+            neighbours[id] = clientIDs.filter(other => other != id);
+        }
+        return neighbours;
+    }
+
+    /* Fisher-Yates shuffle of the clients on the ring */
+    let ring = [...clientIDs];
+    for (let i = n - 1; i > 0; --i) {
+        const j = random(i + 1);
+        [ring[i], ring[j]] = [ring[j], ring[i]];
+    }
+
+    for (let i = 0; i < n; ++i) {
+        let clientNeighbours = [];
+        for (let offset = 1; offset <= degree / 2; ++offset) {
+            clientNeighbours.push(ring[(i + offset) % n], ring[(i - offset + n) % n]);
+        }
+        neighbours[ring[i]] = clientNeighbours;
+    }
+    return neighbours;
+}
+
+module.exports = { logarithmicDegree, hararyGraph }
@@ -0,0 +1,191 @@
+/**
+ * This file provides the modular arithmetic used to mask and unmask the inputs
+ */
+const PRG = require('./prg.js');
+
+
+/**
+ * Represents the additive group of integers modulo a given modulus
+ * The modulus is either a power of two 2^k with k up to 64, or a prime lower than 2^64
+ * Elements are BigInt in [0, modulus) and vectors of elements are stored in BigUint64Array
+ */
+class Group {
+
+    /**
+     * Construct the group, prefer the static constructors powerOfTwo and prime
+     * @param {BigInt} modulus Modulus of the group
+     */
+    constructor(modulus) {
+        if (typeof modulus !== 'bigint' || modulus < 2n || modulus > 2n ** 64n) {
+            throw 'The group modulus must be a BigInt between 2 and 2^64, received ' + modulus;
+        }
+        this.modulus = modulus;
+        this.bits = (modulus - 1n).toString(2).length;
+        this.isPowerOfTwo = (modulus & (modulus - 1n)) == 0n;
+    }
+
+    /**
+     * Create the group of integers modulo 2^k
+     * @param {Number} k Number of bits, between 1 and 64
+     * @returns {Group} The group
+     */
+    static powerOfTwo(k) {
+        if (!Number.isInteger(k) || k < 1 || k > 64) {
+            throw 'The number of bits of the group must be an integer between 1 and 64, received ' + k;
+        }
+        return new Group(2n ** BigInt(k));
+    }
+
+    /**
+     * Create the group of integers modulo a prime
+     * @param {BigInt} p Prime modulus lower than 2^64
+     * @returns {Group} The group
+     */
+    static prime(p) {
+        p = BigInt(p);
+        if (!Group.isPrime(p)) {
+            throw 'The group modulus ' + p + ' is not a prime';
+        }
+        return new Group(p);
+    }
+
+    /**
+     * Deterministic Miller-Rabin primality test, exact for numbers lower than 2^64
+     * @param {BigInt} n
+     * @returns {Boolean} True if n is a prime
+     */
+    static isPrime(n) {
+        const bases = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n];
+        if (n < 2n) {
+            return false;
+        }
+        for (const base of bases) {
+            if (n % base == 0n) {
+                return n == base;
+            }
+        }
+
+        let d = n - 1n;
+        let s = 0;
+        while (d % 2n == 0n) {
+            d /= 2n;
+            s += 1;
+        }
+
+        for (const base of bases) {
+            let x = Group.modPow(base, d, n);
+            if (x == 1n || x == n - 1n) {
+                continue;
+            }
+            let isWitness = true;
+            for (let i = 1; i < s; ++i) {
+                x = (x * x) % n;
+                if (x == n - 1n) {
+                    isWitness = false;
+                    break;
+                }
+            }
+            if (isWitness) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Modular exponentiation by squaring
+     * @param {BigInt} base
+     * @param {BigInt} exponent
+     * @param {BigInt} modulus
+     * @returns {BigInt} base^exponent mod modulus
+     */
+    static modPow(base, exponent, modulus) {
+        let result = 1n;
+        base %= modulus;
+        while (exponent > 0n) {
+            if (exponent & 1n) {
+                result = (result * base) % modulus;
+            }
+            base = (base * base) % modulus;
+            exponent >>= 1n;
+        }
+        return result;
+    }
+
+    /**
+     * Create the zero vector
+     * @param {Number} length
+     * @returns {BigUint64Array} The zero vector
+     */
+    zeros(length) {
+        return new BigUint64Array(length);
+    }
+
+    /**
+     * Map a signed integer to the group
+     * @param {BigInt|Number} value Signed integer
+     * @returns {BigInt} The element representing the value
+     */
+    encode(value) {
+        const remainder = BigInt(value) % this.modulus;
+        return remainder < 0n ? remainder + this.modulus : remainder;
+    }
+
+    /**
+     * Map an element of the group back to a signed integer
+     * Elements greater than half the modulus represent negative values
+     * @param {BigInt} element
+     * @returns {BigInt} The signed integer
+     */
+    decode(element) {
+        return element > (this.modulus - 1n) / 2n ? element - this.modulus : element;
+    }
+
+    /**
+     * Add element-wise a vector to an accumulator vector, in place
+     * @param {BigUint64Array} accumulator
+     * @param {BigUint64Array} vector
+     */
+    addInPlace(accumulator, vector) {
+        for (let i = 0; i < accumulator.length; ++i) {
+            accumulator[i] = (accumulator[i] + vector[i]) % this.modulus;
+        }
+    }
+
+    /**
+     * Subtract element-wise a vector from an accumulator vector, in place
+     * @param {BigUint64Array} accumulator
+     * @param {BigUint64Array} vector
+     */
+    subInPlace(accumulator, vector) {
+        for (let i = 0; i < accumulator.length; ++i) {
+            accumulator[i] = (accumulator[i] + this.modulus - vector[i]) % this.modulus;
+        }
+    }
+
+    /**
+     * Expand a seed into a vector of uniformly distributed elements
+     * A power of two modulus keeps the lowest k bits of each 64 bits word.
+     * A prime modulus reduces 128 bits words, so the bias from the uniform distribution is below 2^-64
+     * @param {Uint8Array} seed 256 bits PRG seed
+     * @param {Number} length Length of the mask vector
+     * @returns {BigUint64Array} The mask vector
+     */
+    async mask(seed, length) {
+        const bytesPerElement = this.isPowerOfTwo ? 8 : 16;
+        const stream = await PRG.expandBytes(seed, bytesPerElement * length);
+        const view = new DataView(stream.buffer);
+        const mask = this.zeros(length);
+
+        for (let i = 0; i < length; ++i) {
+            let word = view.getBigUint64(bytesPerElement * i, true);
+            if (!this.isPowerOfTwo) {
+                word = (word << 64n) | view.getBigUint64(bytesPerElement * i + 8, true);
+            }
+            mask[i] = word % this.modulus;
+        }
+        return mask;
+    }
+}
+
+module.exports = Group
@@ -1,8 +1,10 @@
 /**
  * This file provides cryptographic utility functions
  */
-const { subtle, getRandomValues } = require('crypto').webcrypto;
-const gen = require('random-seed');
+const { webcrypto } = require('crypto');
+const { subtle } = webcrypto;
+const PRG = require('./prg.js');
+const { SystemRandomness } = require('./randomness.js');
 
  
 /**
@@ -16,15 +18,19 @@ class Helper {
         namedCurve: "P-521"
     }
 
-    /**
-     * Create a personal random number generator from a seed
-     * @param {Number} seed 
-     * @returns A seeded pseudo random generator
-     */
-    static getPRNGFromSeed(seed) {
-        return gen.create(seed);
+    static ecdsaKeyParams = {
+        name: "ECDSA",
+        namedCurve: "P-521"
+    }
+
+    static ecdsaSignParams = {
+        name: "ECDSA",
+        hash: "SHA-512"
     }
 
+    /* Length in bits of a P-521 ECDH shared secret, the coordinate is padded to 66 bytes */
+    static ecdhSharedSecretLength = 528
+
     /**
      * Derive an AES-GCM 256 bits key from a public private ECDH pair
      * @param {subtle.CryptoKey} privateKey 
@@ -48,39 +54,131 @@ class Helper {
     }
 
     /**
-     * Derived an array of bits from an ECDH public and private key
+     * Derive the pairwise mask seed from an ECDH public and private key
+     * The whole ECDH shared secret is used as HKDF input keying material to obtain a PRG seed
+     * The iteration is part of the HKDF info, so that the same key pairs give a fresh seed at every iteration of a session
      * @param {subtle.CryptoKey} privateKey 
      * @param {subtle.CryptoKey} publicKey 
-     * @returns An array of bits
+     * @param {Number} iteration Iteration of the aggregation session
+     * @returns {Uint8Array} A 256 bits PRG seed
      */
-    static async deriveSharedNumber(privateKey, publicKey) {
+    static async deriveSharedSeed(privateKey, publicKey, iteration = 0) {
 
-        const sharedNumber = await subtle.deriveBits(
+        const sharedSecret = await subtle.deriveBits(
             {
                 name: "ECDH",
-                namedCurve: "P-384",
                 public: publicKey
             },
             privateKey,
-            128
+            Helper.ecdhSharedSecretLength
+        );
+
+        const keyMaterial = await subtle.importKey("raw", sharedSecret, "HKDF", false, ["deriveBits"]);
+        const seed = await subtle.deriveBits(
+            {
+                name: "HKDF",
+                hash: "SHA-256",
+                salt: new Uint8Array(0),
+                info: new TextEncoder().encode(`secure aggregation pairwise mask seed|iteration ${iteration}`)
+            },
+            keyMaterial,
+            8 * PRG.seedLength
         );
-        return sharedNumber
+        return new Uint8Array(seed)
+    }
+
+    /**
+     * Export an ECDH public key as the raw encoding of the curve point, to be sent in a message
+     * @param {subtle.CryptoKey} publicKey 
+     * @returns {Uint8Array} The raw public key
+     */
+    static async exportPublicKey(publicKey) {
+        return new Uint8Array(await subtle.exportKey("raw", publicKey));
+    }
+
+    /**
+     * Import an ECDH public key received in a message
+     * @param {Uint8Array} rawPublicKey 
+     * @returns {subtle.CryptoKey} The public key
+     */
+    static async importPublicKey(rawPublicKey) {
+        return await subtle.importKey("raw", rawPublicKey, Helper.ecdhKeyParams, true, []);
+    }
+
+    /**
+     * Encode the round 0 public keys of a client, bound to its ID, the session and the iteration, as the message to sign
+     * A signature of the keys of another iteration can then not be replayed by the server
+     * @param {String} sessionID ID of the aggregation session
+     * @param {Number} iteration Iteration of the session
+     * @param {String} id ID of the client
+     * @param {Uint8Array} encryptionKeyBytes Raw encryption public key
+     * @param {Uint8Array} seedKeyBytes Raw seed public key
+     * @returns {Uint8Array} The message to sign
+     */
+    static encodePublicKeys(sessionID, iteration, id, encryptionKeyBytes, seedKeyBytes) {
+        const encodedID = new TextEncoder().encode(JSON.stringify([sessionID, iteration, id]));
+
+        const message = new Uint8Array(encodedID.length + 1 + encryptionKeyBytes.length + seedKeyBytes.length);
+        message.set(encodedID, 0);
+        message.set(encryptionKeyBytes, encodedID.length + 1);
+        message.set(seedKeyBytes, encodedID.length + 1 + encryptionKeyBytes.length);
+        return message
+    }
+
+    /**
+     * Sign a message with an ECDSA private key
+     * @param {subtle.CryptoKey} privateKey 
+     * @param {BufferSource|String} message 
+     * @param {Randomness} randomness Source of the nonce of the signature, the system one by default
+     * @returns {Uint8Array} The signature
+     */
+    static async sign(privateKey, message, randomness = new SystemRandomness()) {
+        const data = typeof message === 'string' ? new TextEncoder().encode(message) : message
+        return new Uint8Array(await randomness.sign(Helper.ecdsaSignParams, privateKey, data));
+    }
+
+    /**
+     * Verify an ECDSA signature
+     * @param {subtle.CryptoKey} publicKey 
+     * @param {BufferSource} signature 
+     * @param {BufferSource|String} message 
+     * @returns {Boolean} True if the signature is valid
+     */
+    static async verify(publicKey, signature, message) {
+        const data = typeof message === 'string' ? new TextEncoder().encode(message) : message
+        return await subtle.verify(Helper.ecdsaSignParams, publicKey, signature, data);
+    }
+
+    /**
+     * Encode the associated data authenticated with the share ciphertext sent by a client to another
+     * The ciphertext can then only be decrypted in the session, the iteration and by the receiver it was created for
+     * @param {String} sessionID ID of the aggregation session
+     * @param {Number} iteration Iteration of the session
+     * @param {String} senderID ID of the client encrypting the shares
+     * @param {String} receiverID ID of the client the shares are encrypted for
+     * @returns {Uint8Array} The associated data
+     */
+    static encodeShareAssociatedData(sessionID, iteration, senderID, receiverID) {
+        return new TextEncoder().encode(JSON.stringify([sessionID, iteration, senderID, receiverID]));
     }
 
     /**
      * Encrypt a message using AES GCM encryption
      * @param {subtle.CryptoKey} key 
-     * @param {BufferSource} message 
+     * @param {String|BufferSource} message A string is encoded in UTF-8
+     * @param {BufferSource} associatedData Data authenticated but not encrypted, that must be given again to decrypt
+     * @param {Randomness} randomness Source of the IV, the system one by default
      * @returns an ArrayBuffer containing the ciphertext
      */
-    static async AESGCMEncrypt(key, message) {
+    static async AESGCMEncrypt(key, message, associatedData = new Uint8Array(0), randomness = new SystemRandomness()) {
         const encoder = new TextEncoder()
-        let iv = getRandomValues(new Uint8Array(16));
-        let encodedMessage = encoder.encode(message)
+        let iv = randomness.bytes(16);
+        let encodedMessage = typeof message === 'string' ? encoder.encode(message) : message
         const ciphertext = await subtle.encrypt(
             {
                 name: "AES-GCM",
-                iv: iv
+                iv: iv,
+                additionalData: associatedData
             },
             key,
             encodedMessage
@@ -93,20 +191,20 @@ class Helper {
      * @param {subtle.CryptoKey} key 
      * @param {BufferSource} ciphertext 
      * @param {typedArray} iv 
-     * @returns The decrypted message
+     * @param {BufferSource} associatedData Data authenticated with the ciphertext, the decryption fails if it differs
+     * @returns {Uint8Array} The decrypted message
      */
-    static async AESGCMDecrypt(key, ciphertext, iv) {
+    static async AESGCMDecrypt(key, ciphertext, iv, associatedData = new Uint8Array(0)) {
         const decrypted = await subtle.decrypt(
             {
                 name: "AES-GCM",
-                iv: iv
+                iv: iv,
+                additionalData: associatedData
             },
             key,
             ciphertext
         );
-        const decoder = new TextDecoder()
-        let message = decoder.decode(decrypted)
-        return message
+        return new Uint8Array(decrypted)
     }
 
 }
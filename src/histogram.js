@@ -0,0 +1,147 @@
+/**
+ * This file provides federated histograms: each client answers with a category, encoded as a one-hot vector,
+ * and the secure aggregation of the vectors counts the clients of each category without revealing the answer of a client
+ */
+
+/**
+ * Imports
+ */
+const Session = require("./session.js")
+const FixedPointEncoder = require("./encoder.js")
+
+
+/**
+ * Categories of a histogram, encoding an answer as a one-hot vector
+ */
+class Categories {
+
+    /**
+     * @param {Array} categories Distinct categories, in the order of the histogram
+     */
+    constructor(categories) {
+        if (categories.length == 0 || new Set(categories).size != categories.length) {
+            throw 'The categories of a histogram must be distinct and non empty, received ' + JSON.stringify(categories);
+        }
+        this.labels = [...categories];
+    }
+
+    /**
+     * Index of the category of an answer
+     * @param value Answer of a client
+     * @returns {Number}
+     */
+    indexOf(value) {
+        const index = this.labels.indexOf(value);
+        if (index < 0) {
+            throw `The answer ${JSON.stringify(value)} is not one of the categories ${JSON.stringify(this.labels)}`;
+        }
+        return index;
+    }
+
+    /**
+     * Encode an answer as a one-hot vector
+     * @param value Answer of a client
+     * @returns {Array<Number>} 1 at the index of the category of the answer, 0 elsewhere
+     */
+    oneHot(value) {
+        const vector = new Array(this.labels.length).fill(0);
+        vector[this.indexOf(value)] = 1;
+        return vector;
+    }
+
+    /**
+     * Convert the mean of the one-hot vectors to the histogram
+     * The counts are rounded, which only matters when noise is added for differential privacy
+     * @param {Array<Number>} mean Mean vector returned by the server
+     * @param {Number} nbClients Number of clients in the mean
+     * @returns {Object} The number of clients of each category, with the category as key
+     */
+    histogram(mean, nbClients) {
+        if (mean.length != this.labels.length) {
+            throw `The mean has ${mean.length} values while the histogram has ${this.labels.length} categories`;
+        }
+        let histogram = {};
+        for (let i = 0; i < this.labels.length; ++i) {
+            histogram[this.labels[i]] = Math.round(mean[i] * nbClients);
+        }
+        return histogram;
+    }
+}
+
+
+/**
+ * Categories of numeric answers, bucketed into the ranges between increasing edges
+ * The edges e0 < e1 < ... < ek give the buckets (-Infinity, e0), [e0, e1), ..., [ek, Infinity), so that every number has a bucket
+ */
+class Buckets extends Categories {
+
+    /**
+     * @param {Array<Number>} edges Increasing edges of the buckets
+     */
+    constructor(edges) {
+        for (let i = 1; i < edges.length; ++i) {
+            if (!(edges[i - 1] < edges[i])) {
+                throw `The edges of the buckets must be increasing, received [${edges}]`;
+            }
+        }
+        const bounds = [-Infinity, ...edges, Infinity];
+        super(bounds.slice(0, -1).map((low, i) => `${low == -Infinity ? '(' : '['}${low}, ${bounds[i + 1]})`));
+        this.edges = [...edges];
+    }
+
+    /**
+     * Index of the bucket of a number
+     * @param {Number} value Answer of a client
+     * @returns {Number}
+     */
+    indexOf(value) {
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            throw 'Only numbers can be bucketed, received ' + JSON.stringify(value);
+        }
+        let index = 0;
+        while (index < this.edges.length && value >= this.edges[index]) {
+            ++index;
+        }
+        return index;
+    }
+}
+
+
+/**
+ * Aggregation session counting the answers of the clients in a histogram
+ * The one-hot vectors are encoded as integers in [0, 1], other options such as differential privacy come from the configuration
+ */
+class HistogramSession {
+
+    /**
+     * @param {Categories} categories Categories or buckets of the histogram
+     * @param {Number} threshold Shamir t out of n threshold of every iteration
+     * @param {Object} config Protocol configuration, without encoder
+     */
+    constructor(categories, threshold, config = {}) {
+        this.categories = categories;
+        this.session = new Session(threshold, { ...config, encoder: new FixedPointEncoder({ scale: 1, clipRange: [0, 1] }) });
+    }
+
+    /**
+     * Count the answers of a cohort
+     * @param {Object} answers Answer of each client of the cohort, with the client ID as key
+     * @param {Object} dropouts Round at which a client drops, with the client ID as key
+     * @returns The iteration number, the clients of U3 whose answers are counted, the histogram and the privacy report
+     */
+    async runIteration(answers, dropouts = {}) {
+        let inputs = {};
+        for (const id in answers) {
+            inputs[id] = this.categories.oneHot(answers[id]);
+        }
+        const result = await this.session.runIteration(inputs, dropouts);
+        return {
+            iteration: result.iteration,
+            clientIDsU3: result.clientIDsU3,
+            histogram: this.categories.histogram(result.mean, result.clientIDsU3.length),
+            privacy: result.privacy
+        };
+    }
+}
+
+module.exports = { Categories, Buckets, HistogramSession }
@@ -0,0 +1,292 @@
+/**
+ * This file provides the HTTP transport, to run the server and the clients in separate processes
+ * The messages are encoded with the wire format of src/wire.js
+ * Each client registers its ID once and receives a token, which authenticates its posts and its polls
+ */
+
+/**
+ * Imports
+ */
+const http = require('http');
+const { randomBytes } = require('crypto');
+const { Transport } = require("./transport.js")
+const { encode, decode, fromWire } = require("./wire.js")
+const { WireFormatError } = require("./errors.js")
+
+
+/**
+ * Perform an HTTP request without keep-alive
+ * @param {String} method
+ * @param {String} url
+ * @param {String} body
+ * @param {String} token Token of the client, sent as a bearer token when given
+ * @returns {Promise<String>} The body of the response
+ */
+function request(method, url, body = null, token = null) {
+    return new Promise((resolve, reject) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token !== null) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        const req = http.request(url, { method: method, agent: false, headers: headers }, res => {
+            let chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const responseBody = Buffer.concat(chunks).toString();
+                if (res.statusCode >= 400) {
+                    reject(`HTTP ${res.statusCode} on ${method} ${url}: ${responseBody}`);
+                }
+                else {
+                    resolve(responseBody);
+                }
+            });
+        });
+        req.on('error', reject);
+        if (body !== null) {
+            req.write(body);
+        }
+        req.end();
+    });
+}
+
+
+/**
+ * Server side of the HTTP transport
+ * A client first registers its ID on POST /clients, which answers with the token of the client. The ID of a client can only be registered once.
+ * The clients then post their messages on POST /messages and fetch the messages of the server with long polling on GET /messages/:clientID,
+ * both requests carrying the token of the client: a message whose sender is not the client of the token is rejected,
+ * and the queue of a client can only be polled with its token
+ */
+class HttpServerTransport extends Transport {
+
+    /**
+     * @param {Number} pollTimeout Maximum duration in ms of a long polling request
+     */
+    constructor(pollTimeout = 1000) {
+        super();
+        this.server = null;
+        this.pollTimeout = pollTimeout;
+        this.queues = {};
+        this.pendingPolls = {};
+        this.tokens = {};
+        this.httpServer = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    /**
+     * Register the server on the transport
+     * @param {Server} server
+     */
+    registerServer(server) {
+        this.server = server;
+        server.transport = this;
+    }
+
+    /**
+     * Start listening for the clients
+     * @param {Number} port Port to listen on, 0 picks a free port
+     * @param {String} host
+     * @returns {Promise<Number>} The port the transport listens on
+     */
+    listen(port = 0, host = '127.0.0.1') {
+        return new Promise(resolve => {
+            this.httpServer.listen(port, host, () => resolve(this.httpServer.address().port));
+        });
+    }
+
+    /**
+     * Answer the pending polls and stop listening
+     */
+    close() {
+        for (const clientID in this.pendingPolls) {
+            this.flush(clientID);
+        }
+        return new Promise(resolve => this.httpServer.close(resolve));
+    }
+
+    /**
+     * Handle an HTTP request of a client
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    handle(req, res) {
+        let chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            try {
+                if (req.method == 'POST' && req.url == '/clients') {
+                    this.register(Buffer.concat(chunks).toString(), res);
+                }
+                else if (req.method == 'POST' && req.url == '/messages') {
+                    const message = decode(Buffer.concat(chunks).toString());
+                    if (this.authenticate(req, message.sender, res)) {
+                        this.server.receive(message);
+                        res.writeHead(204).end();
+                    }
+                }
+                else if (req.method == 'GET' && req.url.startsWith('/messages/')) {
+                    const clientID = decodeURIComponent(req.url.slice('/messages/'.length));
+                    if (this.authenticate(req, clientID, res)) {
+                        this.poll(clientID, res);
+                    }
+                }
+                else {
+                    res.writeHead(404).end();
+                }
+            } catch (error) {
+                res.writeHead(400).end(String(error));
+            }
+        });
+    }
+
+    /**
+     * Register the ID of a client and answer with its token
+     * @param {String} body JSON object with the ID of the client
+     * @param {http.ServerResponse} res
+     */
+    register(body, res) {
+        let id;
+        try {
+            id = JSON.parse(body).id;
+        } catch (error) {
+            throw 'the registration is not valid JSON';
+        }
+        if (typeof id !== 'string' || id.length == 0) {
+            throw 'the registration has no client ID';
+        }
+        if (Object.values(this.tokens).includes(id)) {
+            res.writeHead(409).end(`Client ${id} is already registered`);
+            return;
+        }
+        const token = randomBytes(32).toString('hex');
+        this.tokens[token] = id;
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ token: token }));
+    }
+
+    /**
+     * Check that a request carries the token of a client, and answer with an error otherwise
+     * @param {http.IncomingMessage} req
+     * @param {String} clientID ID of the client the request acts for, the sender of a message or the owner of a queue
+     * @param {http.ServerResponse} res
+     * @returns {Boolean} True if the token of the request is the one of the client
+     */
+    authenticate(req, clientID, res) {
+        const authorization = req.headers['authorization'] || '';
+        const token = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : null;
+        if (token === null || !this.tokens.hasOwnProperty(token)) {
+            res.writeHead(401).end('Missing or unknown client token');
+            return false;
+        }
+        if (this.tokens[token] !== clientID) {
+            res.writeHead(403).end(`The token of client ${this.tokens[token]} does not allow acting for client ${clientID}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Answer a polling request immediately if messages are queued for the client, or when a message arrives before the poll timeout
+     * @param {String} clientID
+     * @param {http.ServerResponse} res
+     */
+    poll(clientID, res) {
+        if (this.pendingPolls.hasOwnProperty(clientID)) {
+            this.flush(clientID);
+        }
+        this.pendingPolls[clientID] = res;
+        if (this.queues[clientID] !== undefined && this.queues[clientID].length > 0) {
+            this.flush(clientID);
+        }
+        else {
+            setTimeout(() => {
+                if (this.pendingPolls[clientID] === res) {
+                    this.flush(clientID);
+                }
+            }, this.pollTimeout);
+        }
+    }
+
+    /**
+     * Answer the pending poll of a client with all its queued messages
+     * @param {String} clientID
+     */
+    flush(clientID) {
+        const res = this.pendingPolls[clientID];
+        delete this.pendingPolls[clientID];
+        const messages = this.queues[clientID] || [];
+        this.queues[clientID] = [];
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(`[${messages.join(',')}]`);
+    }
+
+    async sendToClient(clientID, message) {
+        if (this.queues[clientID] === undefined) {
+            this.queues[clientID] = [];
+        }
+        this.queues[clientID].push(encode(message));
+        if (this.pendingPolls.hasOwnProperty(clientID)) {
+            this.flush(clientID);
+        }
+    }
+}
+
+
+/**
+ * Client side of the HTTP transport
+ */
+class HttpClientTransport extends Transport {
+
+    /**
+     * @param {String} url Base URL of the server, for instance http://127.0.0.1:8080
+     */
+    constructor(url) {
+        super();
+        this.url = url;
+        this.client = null;
+        this.token = null;
+    }
+
+    /**
+     * Register the client on the transport
+     * @param {Client} client
+     */
+    registerClient(client) {
+        this.client = client;
+        client.transport = this;
+    }
+
+    /**
+     * Register the client on the server and keep the token authenticating its requests
+     * The client must be registered on the transport first
+     */
+    async register() {
+        const body = await request('POST', `${this.url}/clients`, JSON.stringify({ id: this.client.id }));
+        this.token = JSON.parse(body).token;
+    }
+
+    async sendToServer(message) {
+        await request('POST', `${this.url}/messages`, encode(message), this.token);
+    }
+
+    /**
+     * Fetch the messages of the server with long polling and deliver them to the client
+     * @returns {Promise<Array<Object>>} The messages received
+     */
+    async poll() {
+        const body = await request('GET', `${this.url}/messages/${encodeURIComponent(this.client.id)}`, null, this.token);
+        let wires;
+        try {
+            wires = JSON.parse(body);
+        } catch (error) {
+            throw new WireFormatError('the poll response is not valid JSON');
+        }
+        if (!Array.isArray(wires)) {
+            throw new WireFormatError('the poll response is not an array');
+        }
+        const messages = wires.map(fromWire);
+        for (const message of messages) {
+            this.client.receive(message);
+        }
+        return messages;
+    }
+}
+
+module.exports = { HttpServerTransport, HttpClientTransport }
@@ -0,0 +1,42 @@
+/**
+ * This file provides the registry of the long-term identity keys used against an active adversary
+ */
+
+
+/**
+ * Represents the public key infrastructure of the protocol
+ * It maps every client ID to the public key of its long-term ECDSA identity key pair
+ * The registry is trusted: the clients read it directly and not through the server
+ */
+class IdentityRegistry {
+
+    constructor() {
+        this.publicKeys = {};
+    }
+
+    /**
+     * Register the identity public key of a client
+     * @param {String} id ID of the client
+     * @param {subtle.CryptoKey} publicKey ECDSA public key of the client
+     */
+    register(id, publicKey) {
+        if (this.publicKeys.hasOwnProperty(id) && this.publicKeys[id] !== publicKey) {
+            throw 'An identity key is already registered for client ' + id;
+        }
+        this.publicKeys[id] = publicKey;
+    }
+
+    /**
+     * Get the identity public key of a client
+     * @param {String} id ID of the client
+     * @returns {subtle.CryptoKey} ECDSA public key of the client
+     */
+    getPublicKey(id) {
+        if (!this.publicKeys.hasOwnProperty(id)) {
+            throw 'No identity key is registered for client ' + id;
+        }
+        return this.publicKeys[id];
+    }
+}
+
+module.exports = IdentityRegistry
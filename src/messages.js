@@ -0,0 +1,134 @@
+/**
+ * This file provides the messages exchanged between the clients and the server
+ * Every message is a plain object with a type, and only contains strings, numbers, arrays and typed arrays,
+ * so that it can be cloned or serialized and sent to another process
+ */
+
+
+/**
+ * Types of the messages, in the order in which they are sent during the protocol
+ */
+const MessageType = {
+    ADVERTISE_KEYS: 'AdvertiseKeys',
+    CLIENT_LIST: 'ClientList',
+    SHARE_KEYS: 'ShareKeys',
+    CIPHERTEXTS: 'Ciphertexts',
+    MASKED_INPUT: 'MaskedInput',
+    CLIENT_IDS_U3: 'ClientIDsU3',
+    SIGNATURE_U3: 'SignatureU3',
+    SIGNATURES_U3: 'SignaturesU3',
+    UNMASKING_RESPONSE: 'UnmaskingResponse'
+}
+
+
+/* ======== Round 0 ======== */
+
+
+/**
+ * Client to server: the public keys of the client
+ * @param {String} sender ID of the client
+ * @param {Uint8Array} encryptionPublicKey Raw encryption public key
+ * @param {Uint8Array} seedPublicKey Raw seed public key
+ * @param {Uint8Array} keySignature Signature of the public keys, only against a malicious server
+ */
+function advertiseKeys(sender, encryptionPublicKey, seedPublicKey, keySignature) {
+    return { type: MessageType.ADVERTISE_KEYS, sender, encryptionPublicKey, seedPublicKey, keySignature };
+}
+
+/**
+ * Server to client: the public keys of all the clients in U1
+ * @param {Object} clients Public keys and signature of each client, with the client ID as key
+ */
+function clientList(clients) {
+    return { type: MessageType.CLIENT_LIST, clients };
+}
+
+
+/* ======== Round 1 ======== */
+
+
+/**
+ * Client to server: the encrypted shares of the client for every other client
+ * @param {String} sender ID of the client
+ * @param {Object} ciphertexts Ciphertexts with the key `${sender}|${receiver}`
+ */
+function shareKeys(sender, ciphertexts) {
+    return { type: MessageType.SHARE_KEYS, sender, ciphertexts };
+}
+
+/**
+ * Server to client: the ciphertexts sent to the client by the other clients in U2
+ * @param {Object} ciphertexts Ciphertexts with the key `${sender}|${receiver}`
+ */
+function ciphertexts(ciphertexts) {
+    return { type: MessageType.CIPHERTEXTS, ciphertexts };
+}
+
+
+/* ======== Round 2 ======== */
+
+
+/**
+ * Client to server: the masked input of the client
+ * @param {String} sender ID of the client
+ * @param {BigUint64Array} maskedInput Masked input vector
+ * @param {Number} clippedCount Number of values clipped by the encoder
+ */
+function maskedInput(sender, maskedInput, clippedCount) {
+    return { type: MessageType.MASKED_INPUT, sender, maskedInput, clippedCount };
+}
+
+/**
+ * Server to client: the list U3 of the clients that sent their masked input
+ * @param {Array<String>} clientIDsU3 IDs of the clients in U3
+ */
+function clientIDsU3(clientIDsU3) {
+    return { type: MessageType.CLIENT_IDS_U3, clientIDsU3 };
+}
+
+
+/* ======== Consistency check ======== */
+
+
+/**
+ * Client to server: the signature of U3 by the client
+ * @param {String} sender ID of the client
+ * @param {Uint8Array} signature Signature of U3
+ */
+function signatureU3(sender, signature) {
+    return { type: MessageType.SIGNATURE_U3, sender, signature };
+}
+
+/**
+ * Server to client: the signatures of U3 of the clients in U4
+ * @param {Object} signatures Signatures with the ID of the signing client as key
+ */
+function signaturesU3(signatures) {
+    return { type: MessageType.SIGNATURES_U3, signatures };
+}
+
+
+/* ======== Round 3 ======== */
+
+
+/**
+ * Client to server: the shares revealed by the client
+ * @param {String} sender ID of the client
+ * @param {Object} splits Key share or seed share with its index, with the ID of the client it belongs to as key
+ */
+function unmaskingResponse(sender, splits) {
+    return { type: MessageType.UNMASKING_RESPONSE, sender, splits };
+}
+
+module.exports = {
+    MessageType,
+    advertiseKeys,
+    clientList,
+    shareKeys,
+    ciphertexts,
+    maskedInput,
+    clientIDsU3,
+    signatureU3,
+    signaturesU3,
+    unmaskingResponse
+}
@@ -0,0 +1,356 @@
+/**
+ * This file provides the network simulator, estimating the wall-clock time of the protocol for cohorts too large to be run
+ *
+ * The sizes of the messages and the computation times are measured on small cohorts running the protocol, and extrapolated to the simulated cohort.
+ * A discrete-event simulation then replays the messages of each round over a modeled network on a virtual clock:
+ * the server sends its messages through a limited number of simultaneous connections, each client computes, uploads its message and waits
+ * for the latency of its link, and the server receives the messages one after the other on its own link
+ */
+
+/**
+ * Imports
+ */
+const FixedPointEncoder = require("./encoder.js")
+const Simulation = require("./simulation.js")
+const { MessageType } = require("./messages.js")
+const { LocalTransport } = require("./transport.js")
+const { ManualClock } = require("./clock.js")
+const { encode } = require("./wire.js")
+
+
+/* Rounds of the protocol, with the message of the clients, the set whose size sets the size of that message, and the message the server sends to open the round.
+   Against an honest but curious server, the round 3 is opened by the list U3 as there is no consistency check */
+const rounds = [
+    { name: 'round0', clientSpot: 'beforeClientRound0', upload: MessageType.ADVERTISE_KEYS, uploadSet: null, broadcast: null },
+    { name: 'round1', clientSpot: 'beforeClientRound1', upload: MessageType.SHARE_KEYS, uploadSet: 1, broadcast: MessageType.CLIENT_LIST },
+    { name: 'round2', clientSpot: 'beforeClientRound2', upload: MessageType.MASKED_INPUT, uploadSet: null, broadcast: MessageType.CIPHERTEXTS },
+    { name: 'roundConsistencyCheck', clientSpot: 'beforeClientConsistencyCheck', upload: MessageType.SIGNATURE_U3, uploadSet: null, broadcast: MessageType.CLIENT_IDS_U3 },
+    { name: 'round3', clientSpot: 'beforeClientRound3', upload: MessageType.UNMASKING_RESPONSE, uploadSet: 2, broadcast: MessageType.SIGNATURES_U3 }
+]
+
+/* Bytes per ms of a link of one Mbit/s */
+const bytesPerMsPerMbps = 125
+
+
+/**
+ * Transport recording the type and the size in bytes of the wire format of every message
+ */
+class RecordingTransport extends LocalTransport {
+
+    constructor() {
+        super();
+        this.records = [];
+    }
+
+    async sendToServer(message) {
+        this.records.push({ type: message.type, bytes: Buffer.byteLength(encode(message)) });
+        await super.sendToServer(message);
+    }
+
+    async sendToClient(clientID, message) {
+        this.records.push({ type: message.type, bytes: Buffer.byteLength(encode(message)) });
+        await super.sendToClient(clientID, message);
+    }
+}
+
+
+/**
+ * Sizes of the messages and computation times measured on small cohorts
+ * The size of a message is affine in the number of clients it lists, and a computation time follows a power of the number of clients
+ */
+class Calibration {
+
+    /**
+     * @param {Object} messageSizes Base and bytes per client of each message type, with the type as key
+     * @param {Object} computation Coefficient and exponent of the computation time in ms of each phase of runCohort, per client for the phases of the clients
+     */
+    constructor(messageSizes, computation) {
+        this.messageSizes = messageSizes;
+        this.computation = computation;
+    }
+
+    /**
+     * Run the protocol without dropouts for each cohort size and fit the sizes of the messages and the computation times
+     * The times of the small cohorts are noisy, so the extrapolation to large cohorts is a rough estimate
+     * @param {Object} params
+     * @param {Array<Number>} params.sizes Cohort sizes of the runs, at least two
+     * @param {Number} params.vectorLength Length of the secret vector of each client
+     * @param {Object} params.config Protocol configuration of the runs, without SecAgg+ graph as the sizes then depend on the degree
+     * @param {Simulation} params.simulation Simulation drawing the secret values
+     * @returns {Calibration}
+     */
+    static async measure({ sizes = [4, 8, 12], vectorLength = 1, config = {}, simulation = new Simulation() }) {
+        if (config.graph) {
+            throw 'The calibration of the network simulator does not support a SecAgg+ graph';
+        }
+        if (new Set(sizes).size < 2) {
+            throw 'The calibration needs at least two cohort sizes';
+        }
+
+        let sizePoints = {};
+        let timePoints = {};
+        for (const nbClients of sizes) {
+            const transport = new RecordingTransport();
+            const clients = simulation.randomClients(nbClients, vectorLength, config.encoder || new FixedPointEncoder());
+            const result = await simulation.runCohort({ clients, threshold: Math.floor(nbClients / 2) + 1, config, transport });
+
+            for (const type of new Set(transport.records.map(record => record.type))) {
+                const records = transport.records.filter(record => record.type == type);
+                (sizePoints[type] = sizePoints[type] || []).push([nbClients, records.reduce((sum, record) => sum + record.bytes, 0) / records.length]);
+            }
+            for (const phase in result.durations) {
+                const duration = phase.startsWith('client') ? result.durations[phase] / nbClients : result.durations[phase];
+                (timePoints[phase] = timePoints[phase] || []).push([nbClients, duration]);
+            }
+        }
+
+        let messageSizes = {};
+        for (const type in sizePoints) {
+            const [base, perClient] = Calibration.fitLine(sizePoints[type]);
+            messageSizes[type] = { base: base, perClient: Math.max(0, perClient) };
+        }
+        let computation = {};
+        for (const phase in timePoints) {
+            /* Power law fitted on the logarithms, the times below a microsecond being raised to avoid the logarithm of 0 */
+            const [logCoefficient, exponent] = Calibration.fitLine(timePoints[phase].map(([n, time]) => [Math.log(n), Math.log(Math.max(time, 1e-3))]));
+            const clamped = Math.min(Math.max(exponent, 0), 3);
+            const meanLog = timePoints[phase].reduce((sum, [n]) => sum + Math.log(n), 0) / timePoints[phase].length;
+            computation[phase] = { coefficient: Math.exp(logCoefficient + (exponent - clamped) * meanLog), exponent: clamped };
+        }
+        return new Calibration(messageSizes, computation);
+    }
+
+    /**
+     * Least squares fit of a line
+     * @param {Array<Array<Number>>} points Points [x, y]
+     * @returns {Array<Number>} The intercept and the slope
+     */
+    static fitLine(points) {
+        const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+        const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+        const covariance = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+        const variance = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+        const slope = variance == 0 ? 0 : covariance / variance;
+        return [meanY - slope * meanX, slope];
+    }
+
+    /**
+     * @param {String} type Message type
+     * @param {Number} nbClients Number of clients listed by the message
+     * @returns {Number} The size in bytes of the message
+     */
+    messageSize(type, nbClients) {
+        if (this.messageSizes[type] === undefined) {
+            throw `No size measured for the messages of type ${type}`;
+        }
+        return Math.max(0, Math.round(this.messageSizes[type].base + this.messageSizes[type].perClient * nbClients));
+    }
+
+    /**
+     * @param {String} phase Phase of runCohort, such as clientRound1 or serverRound3
+     * @param {Number} nbClients Number of clients of the phase
+     * @returns {Number} The computation time in ms of the phase, for a single client for the phases of the clients
+     */
+    computationTime(phase, nbClients) {
+        const { coefficient, exponent } = this.computation[phase] || { coefficient: 0, exponent: 0 };
+        return coefficient * nbClients ** exponent;
+    }
+}
+
+
+/**
+ * Network of the clients and the server
+ * The parameters of the clients are numbers, or functions drawing the parameter of each client from the simulation
+ */
+class NetworkModel {
+
+    /**
+     * @param {Object} params
+     * @param {Number|Function} params.clientUpload Upload bandwidth of a client in Mbit/s
+     * @param {Number|Function} params.clientDownload Download bandwidth of a client in Mbit/s
+     * @param {Number|Function} params.clientLatency One way latency between a client and the server in ms
+     * @param {Number} params.serverBandwidth Bandwidth of the server in Mbit/s, in each direction
+     * @param {Number} params.fanOut Number of messages the server sends simultaneously, sharing its bandwidth
+     */
+    constructor({ clientUpload = 10, clientDownload = 50, clientLatency = 50, serverBandwidth = 1000, fanOut = 100 } = {}) {
+        this.clientUpload = clientUpload;
+        this.clientDownload = clientDownload;
+        this.clientLatency = clientLatency;
+        this.serverBandwidth = serverBandwidth;
+        this.fanOut = fanOut;
+    }
+
+    /**
+     * Draw the link of a client
+     * @param {Simulation} simulation
+     * @returns {{upload: Number, download: Number, latency: Number}} The bandwidths in bytes per ms and the latency in ms
+     */
+    client(simulation) {
+        const draw = parameter => typeof parameter === 'function' ? parameter(simulation) : parameter;
+        return {
+            upload: draw(this.clientUpload) * bytesPerMsPerMbps,
+            download: draw(this.clientDownload) * bytesPerMsPerMbps,
+            latency: draw(this.clientLatency)
+        };
+    }
+}
+
+
+/**
+ * Discrete-event simulator of the protocol over a modeled network, on the virtual time of a ManualClock
+ * Each round opens when the server starts sending the message of the round, and closes when the server has received the messages of all the
+ * clients still running, or at the deadline of the round. Without a deadline the server closes the round as if it learned about the dropouts
+ * immediately. The messages received after the close are ignored, and the clients that sent them leave the following sets as stragglers
+ */
+class NetworkSimulator {
+
+    /**
+     * @param {Object} params
+     * @param {NetworkModel} params.network
+     * @param {Calibration} params.calibration Sizes of the messages and computation times
+     * @param {Number} params.threshold Shamir t out of n threshold
+     * @param {Boolean} params.maliciousServer Run the consistency check
+     * @param {Number} params.deadline Duration in ms of each round, counted from its opening as the roundTimeout of the configuration
+     * @param {Boolean} params.computation Add the computation times to the network times
+     */
+    constructor({ network = new NetworkModel(), calibration, threshold, maliciousServer = false, deadline = Infinity, computation = true }) {
+        this.network = network;
+        this.calibration = calibration;
+        this.threshold = threshold;
+        this.rounds = maliciousServer ? rounds : rounds.filter(round => round.name != 'roundConsistencyCheck')
+            .map(round => round.name == 'round3' ? { ...round, broadcast: MessageType.CLIENT_IDS_U3 } : round);
+        this.deadline = deadline;
+        this.computation = computation;
+    }
+
+    /**
+     * Simulate one run of the protocol
+     * @param {Number} nbClients Number of clients, named client0 to client<n - 1> in the dropouts
+     * @param {Object} params
+     * @param {Object} params.dropouts IDs of the clients dropping at each moment, with the moment of Simulation.dropoutSpots as key
+     * @param {Simulation} params.simulation Simulation drawing the links of the clients
+     * @returns The outcome, the round whose survivors fell below the threshold on abort, the total time in ms,
+     * and for each round its start and end, its duration, the size of the set it produced, its stragglers and the bytes sent each way
+     */
+    run(nbClients, { dropouts = {}, simulation = new Simulation() } = {}) {
+        const clock = new ManualClock();
+        const clients = Array.from({ length: nbClients }, (_, i) => ({ id: 'client' + i, dropIndex: Infinity, ...this.network.client(simulation) }));
+        const indexOf = Object.fromEntries(clients.map((client, i) => [client.id, i]));
+        for (const spot in dropouts) {
+            for (const id of dropouts[spot]) {
+                clients[indexOf[id]].dropIndex = Math.min(clients[indexOf[id]].dropIndex, Simulation.dropoutSpots.indexOf(spot));
+            }
+        }
+
+        const serverRate = this.network.serverBandwidth * bytesPerMsPerMbps;
+        const computationTime = (phase, n) => this.computation ? this.calibration.computationTime(phase, n) : 0;
+        let serverInboundFree = 0;
+        let sets = [clients];
+        let reports = [];
+        let outcome = 'success';
+        let abortedAfter = null;
+
+        const openRound = (roundIndex, members) => {
+            const round = this.rounds[roundIndex];
+            const phase = round.name[0].toUpperCase() + round.name.slice(1);
+            const start = clock.now();
+            const participating = new Set(members.filter(client => client.dropIndex > Simulation.dropoutSpots.indexOf(round.clientSpot)));
+            const uploadBytes = this.calibration.messageSize(round.upload, round.uploadSet === null ? nbClients : sets[round.uploadSet].length);
+            let report = { round: round.name, start: start, end: null, duration: null, clients: 0, stragglers: 0, bytesToServer: 0, bytesToClients: 0 };
+            let received = [];
+            let closed = false;
+            let deadlineTimer = null;
+
+            const close = () => {
+                closed = true;
+                if (deadlineTimer !== null) {
+                    clock.clearTimeout(deadlineTimer);
+                }
+                report.clients = received.length;
+                const serverTime = computationTime('server' + phase, received.length);
+                clock.setTimeout(() => {
+                    report.end = clock.now();
+                    report.duration = report.end - start;
+                    reports.push(report);
+                    if (received.length < this.threshold) {
+                        outcome = 'abort';
+                        abortedAfter = round.name;
+                    } else if (roundIndex + 1 < this.rounds.length) {
+                        sets.push(received);
+                        openRound(roundIndex + 1, received);
+                    }
+                }, serverTime);
+            };
+
+            /* The client computes once it received the message of the server, then uploads its message, which waits for the link of the server */
+            const runClient = client => {
+                if (!participating.has(client)) {
+                    return;
+                }
+                clock.setTimeout(() => {
+                    report.bytesToServer += uploadBytes;
+                    serverInboundFree = Math.max(clock.now(), serverInboundFree) + uploadBytes / serverRate;
+                    clock.setTimeout(() => {
+                        if (closed) {
+                            report.stragglers += 1;
+                            return;
+                        }
+                        received.push(client);
+                        if (received.length == participating.size) {
+                            close();
+                        }
+                    }, serverInboundFree - clock.now());
+                }, computationTime('client' + phase, members.length) + uploadBytes / client.upload + client.latency);
+            };
+
+            if (this.deadline !== Infinity) {
+                deadlineTimer = clock.setTimeout(() => {
+                    if (!closed) {
+                        close();
+                    }
+                }, this.deadline);
+            }
+            if (participating.size == 0) {
+                close();
+            }
+
+            if (round.broadcast === null) {
+                members.forEach(runClient);
+                return;
+            }
+
+            /* The server sends the message of the round to every member, the clients that dropped included, through fanOut connections */
+            const broadcastBytes = this.calibration.messageSize(round.broadcast, members.length);
+            const slotRate = serverRate / this.network.fanOut;
+            let next = 0;
+            const sendNext = () => {
+                if (next >= members.length) {
+                    return;
+                }
+                const client = members[next++];
+                clock.setTimeout(() => {
+                    report.bytesToClients += broadcastBytes;
+                    clock.setTimeout(() => runClient(client), client.latency);
+                    sendNext();
+                }, broadcastBytes / Math.min(slotRate, client.download));
+            };
+            for (let slot = 0; slot < this.network.fanOut; ++slot) {
+                sendNext();
+            }
+        };
+
+        openRound(0, clients);
+        clock.runUntilIdle();
+
+        return {
+            nbClients: nbClients,
+            threshold: this.threshold,
+            outcome: outcome,
+            abortedAfter: abortedAfter,
+            total: reports.length == 0 ? 0 : reports[reports.length - 1].end,
+            rounds: reports
+        };
+    }
+}
+
+module.exports = { RecordingTransport, Calibration, NetworkModel, NetworkSimulator }
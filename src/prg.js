@@ -0,0 +1,52 @@
+/**
+ * This file provides the pseudo random generator used to expand the masks
+ */
+const { webcrypto } = require('crypto');
+const { subtle } = webcrypto;
+const { SystemRandomness } = require('./randomness.js');
+
+
+/**
+ * PRG static class expanding a 256 bits seed into a stream of pseudo random bytes
+ * The stream is the AES-256-CTR encryption of zeros, keyed by the seed, with a zero initial counter
+ * A seed must only be used for one mask: the client and the server expand the same seed into the same stream
+ */
+class PRG {
+
+    static seedLength = 32
+
+    /**
+     * Generate a fresh seed with the full 256 bits of entropy
+     * @param {Randomness} randomness Source of randomness, the system one by default
+     * @returns {Uint8Array} A random seed
+     */
+    static generateSeed(randomness = new SystemRandomness()) {
+        return randomness.bytes(PRG.seedLength);
+    }
+
+    /**
+     * Expand a seed into a given number of bytes
+     * @param {Uint8Array} seed 256 bits seed
+     * @param {Number} nbBytes Number of bytes to generate
+     * @returns {Uint8Array} The pseudo random bytes
+     */
+    static async expandBytes(seed, nbBytes) {
+        if (seed.byteLength != PRG.seedLength) {
+            throw `PRG seed must be ${PRG.seedLength} bytes long, received ${seed.byteLength} bytes`;
+        }
+
+        const key = await subtle.importKey("raw", seed, { name: "AES-CTR" }, false, ["encrypt"]);
+        const stream = await subtle.encrypt(
+            {
+                name: "AES-CTR",
+                counter: new Uint8Array(16),
+                length: 64
+            },
+            key,
+            new Uint8Array(nbBytes)
+        );
+        return new Uint8Array(stream);
+    }
+}
+
+module.exports = PRG
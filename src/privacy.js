@@ -0,0 +1,163 @@
+/**
+ * This file provides the distributed differential privacy of the aggregate
+ *
+ * Every client adds discrete Gaussian noise to its encoded input before masking it, so that the server only learns a noisy sum.
+ * The noise of a client alone is small, but the sum of the noises of the surviving clients protects every client,
+ * with the accounting of the distributed discrete Gaussian mechanism of Kairouz, Liu and Steinke (2021)
+ */
+
+/**
+ * Discrete Gaussian noise calibrated to a target (epsilon, delta) for the sum of the inputs of the surviving clients
+ */
+class DistributedDiscreteGaussian {
+
+    /**
+     * @param {Object} params
+     * @param {Number} params.epsilon Target epsilon of the aggregate
+     * @param {Number} params.delta Target delta of the aggregate
+     * @param {Number} params.expectedClients Number of clients expected to survive until round 2, the noise is calibrated for this number of noise contributions
+     */
+    constructor({ epsilon, delta, expectedClients }) {
+        if (!(epsilon > 0) || !(delta > 0 && delta < 1)) {
+            throw `The privacy target needs epsilon > 0 and 0 < delta < 1, received epsilon ${epsilon} and delta ${delta}`;
+        }
+        if (!Number.isInteger(expectedClients) || expectedClients < 1) {
+            throw 'The expected number of clients must be a positive integer, received ' + expectedClients;
+        }
+        this.epsilon = epsilon;
+        this.delta = delta;
+        this.expectedClients = expectedClients;
+    }
+
+    /**
+     * L2 and L1 sensitivities of the sum when one client is added or removed
+     * Each encoded value is clipped, so a client changes each coordinate by at most the largest encoded value
+     * @param {FixedPointEncoder} encoder
+     * @param {Number} length Length of the vectors
+     * @returns {{l2: Number, l1: Number}}
+     */
+    sensitivity(encoder, length) {
+        const maxAbs = Number(encoder.maxAbsEncoded());
+        return { l2: Math.sqrt(length) * maxAbs, l1: length * maxAbs };
+    }
+
+    /**
+     * Epsilon of the sum of the noises of nbClients clients, each with a discrete Gaussian of parameter sigma
+     * The sum satisfies 1/2 eps^2 concentrated DP (Kairouz et al., Theorem 1), converted to (epsilon, delta) DP
+     * @param {Number} sigma Parameter of the noise of a client, in encoded units
+     * @param {Number} nbClients Number of noise contributions
+     * @param {FixedPointEncoder} encoder
+     * @param {Number} length Length of the vectors
+     * @returns {Number} The epsilon for the target delta
+     */
+    epsilonOf(sigma, nbClients, encoder, length) {
+        if (nbClients < 1) {
+            return Infinity;
+        }
+        const { l2, l1 } = this.sensitivity(encoder, length);
+        let tau = 0;
+        for (let k = 1; k < nbClients; ++k) {
+            tau += 10 * Math.exp(-2 * Math.PI ** 2 * sigma ** 2 * k / (k + 1));
+        }
+        const concentrated = Math.min(
+            Math.sqrt(l2 ** 2 / (nbClients * sigma ** 2) + tau * length / 2),
+            l1 / (Math.sqrt(nbClients) * sigma) + tau * Math.sqrt(length)
+        );
+        const rho = concentrated ** 2 / 2;
+        return rho + 2 * Math.sqrt(rho * Math.log(1 / this.delta));
+    }
+
+    /**
+     * Parameter of the noise of a client reaching the target epsilon when the expected number of clients survive
+     * @param {FixedPointEncoder} encoder
+     * @param {Number} length Length of the vectors
+     * @returns {Number} sigma, in encoded units
+     */
+    sigma(encoder, length) {
+        /* Largest rho whose conversion reaches the target epsilon, then the matching sigma without the tau terms */
+        const logInverseDelta = Math.log(1 / this.delta);
+        const rho = (Math.sqrt(logInverseDelta + this.epsilon) - Math.sqrt(logInverseDelta)) ** 2;
+        const { l2 } = this.sensitivity(encoder, length);
+        let sigma = l2 / Math.sqrt(2 * rho * this.expectedClients);
+        while (this.epsilonOf(sigma, this.expectedClients, encoder, length) > this.epsilon) {
+            sigma *= 1.01;
+        }
+        return sigma;
+    }
+
+    /**
+     * Bound on the absolute value of a coordinate of the sum of the noises, exceeded with a negligible probability
+     * @param {FixedPointEncoder} encoder
+     * @param {Number} length Length of the vectors
+     * @param {Number} nbClients Number of noise contributions
+     * @returns {BigInt}
+     */
+    noiseBound(encoder, length, nbClients) {
+        return BigInt(Math.ceil(12 * Math.sqrt(nbClients) * this.sigma(encoder, length)));
+    }
+
+    /**
+     * Draw from the discrete Laplace distribution, P(x) proportional to exp(-|x| / scale), as the difference of two geometric variables
+     * @param {Number} scale
+     * @param {Function} random Uniform random number generator in [0, 1)
+     * @returns {Number}
+     */
+    sampleDiscreteLaplace(scale, random) {
+        const geometric = () => Math.floor(-scale * Math.log(1 - random()));
+        return geometric() - geometric();
+    }
+
+    /**
+     * Draw from the discrete Gaussian distribution, P(x) proportional to exp(-x^2 / (2 sigma^2)),
+     * by rejection from the discrete Laplace distribution (Canonne, Kamath and Steinke, 2020)
+     * @param {Number} sigma
+     * @param {Function} random Uniform random number generator in [0, 1)
+     * @returns {Number}
+     */
+    sampleDiscreteGaussian(sigma, random) {
+        const scale = Math.floor(sigma) + 1;
+        for (;;) {
+            const y = this.sampleDiscreteLaplace(scale, random);
+            if (random() < Math.exp(-((Math.abs(y) - sigma ** 2 / scale) ** 2) / (2 * sigma ** 2))) {
+                return y;
+            }
+        }
+    }
+
+    /**
+     * Draw the noise vector of a client
+     * @param {FixedPointEncoder} encoder
+     * @param {Number} length Length of the vector
+     * @param {Randomness} randomness Source of randomness of the client
+     * @returns {Array<BigInt>} The noise, in encoded units
+     */
+    noise(encoder, length, randomness) {
+        const sigma = this.sigma(encoder, length);
+        return Array.from({ length: length }, () => BigInt(this.sampleDiscreteGaussian(sigma, () => randomness.float())));
+    }
+
+    /**
+     * Privacy accounting of an aggregate
+     * @param {FixedPointEncoder} encoder
+     * @param {Number} length Length of the vectors
+     * @param {Number} nbClients Number of clients whose noisy input is in the aggregate
+     * @returns The mechanism, the target and the reached epsilon and delta, and the standard deviation of the noise of the sum in real units
+     */
+    report(encoder, length, nbClients) {
+        const sigma = this.sigma(encoder, length);
+        const epsilon = this.epsilonOf(sigma, nbClients, encoder, length);
+        return {
+            mechanism: 'distributed discrete Gaussian',
+            targetEpsilon: this.epsilon,
+            epsilon: epsilon,
+            delta: this.delta,
+            expectedClients: this.expectedClients,
+            clients: nbClients,
+            targetReached: epsilon <= this.epsilon,
+            clientNoiseStddev: sigma / encoder.scale,
+            sumNoiseStddev: Math.sqrt(nbClients) * sigma / encoder.scale
+        };
+    }
+}
+
+module.exports = DistributedDiscreteGaussian
@@ -0,0 +1,234 @@
+/**
+ * This file provides the sources of randomness of the protocol
+ *
+ * The clients and the server draw all their randomness from the source of the configuration: key pairs, self mask seeds,
+ * Shamir polynomials, AES-GCM IVs, ECDSA nonces, the SecAgg+ graph and the differential privacy noise.
+ * The system source is cryptographically secure. The seeded source regenerates the same transcript from the same seed,
+ * which is only meant for tests and simulations: anyone knowing the seed knows every secret of the protocol
+ */
+
+/**
+ * Imports
+ */
+const crypto = require('crypto');
+const { subtle } = crypto.webcrypto;
+
+
+/* Order of the group of points of the P-521 curve */
+const curveOrder = 0x01fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffa51868783bf2f966b7fcc0148f709a5d03bb5c9b8899c47aebb6fb71e91386409n
+
+/* Number of bytes of a P-521 scalar or coordinate */
+const scalarLength = 66
+
+/* Usages of a key pair that belong to the private key, the others belong to the public key */
+const privateKeyUsages = ['sign', 'decrypt', 'unwrapKey', 'deriveKey', 'deriveBits']
+
+
+/**
+ * Convert big endian bytes to an integer
+ * @param {Uint8Array} bytes
+ * @returns {BigInt}
+ */
+function bytesToBigInt(bytes) {
+    let value = 0n;
+    for (const byte of bytes) {
+        value = (value << 8n) | BigInt(byte);
+    }
+    return value;
+}
+
+/**
+ * Convert an integer to big endian bytes
+ * @param {BigInt} value
+ * @param {Number} length Number of bytes
+ * @returns {Buffer}
+ */
+function bigIntToBytes(value, length) {
+    return Buffer.from(value.toString(16).padStart(2 * length, '0'), 'hex');
+}
+
+/**
+ * Inverse of a non zero integer modulo the order of the curve, with the extended Euclidean algorithm
+ * @param {BigInt} value
+ * @returns {BigInt}
+ */
+function inverseModOrder(value) {
+    let [a, b] = [value % curveOrder, curveOrder];
+    let [x, y] = [1n, 0n];
+    while (b != 0n) {
+        const q = a / b;
+        [a, b] = [b, a - q * b];
+        [x, y] = [y, x - q * y];
+    }
+    return ((x % curveOrder) + curveOrder) % curveOrder;
+}
+
+
+/**
+ * Interface of a source of randomness
+ * Every draw is derived from bytes, so that a source only has to provide the bytes
+ */
+class Randomness {
+
+    /**
+     * @param {Number} length Number of bytes
+     * @returns {Uint8Array} Random bytes
+     */
+    bytes(length) {
+        throw 'bytes is not implemented by this source of randomness';
+    }
+
+    /**
+     * Draw a uniform integer in [0, max), by rejection of the draws above the largest multiple of max
+     * @param {Number} max Upper bound, at most 2^48
+     * @returns {Number}
+     */
+    int(max) {
+        const limit = Math.floor(2**48 / max) * max;
+        for (;;) {
+            const value = Number(bytesToBigInt(this.bytes(6)));
+            if (value < limit) {
+                return value % max;
+            }
+        }
+    }
+
+    /**
+     * Draw a uniform real number in [0, 1) with 53 random bits
+     * @returns {Number}
+     */
+    float() {
+        return Number(bytesToBigInt(this.bytes(7)) >> 3n) / 2**53;
+    }
+
+    /**
+     * Draw a version 4 UUID
+     * @returns {String}
+     */
+    uuid() {
+        const bytes = this.bytes(16);
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Buffer.from(bytes).toString('hex');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * Generate an extractable key pair
+     * @param {Object} algorithm WebCrypto parameters of the key pair, such as Helper.ecdhKeyParams
+     * @param {Array<String>} usages Usages of the key pair
+     * @returns {{privateKey: subtle.CryptoKey, publicKey: subtle.CryptoKey}}
+     */
+    async generateKeyPair(algorithm, usages) {
+        return await subtle.generateKey(algorithm, true, usages);
+    }
+
+    /**
+     * Sign data with an ECDSA private key
+     * @param {Object} params WebCrypto parameters of the signature, such as Helper.ecdsaSignParams
+     * @param {subtle.CryptoKey} privateKey
+     * @param {BufferSource} data
+     * @returns {ArrayBuffer} The signature
+     */
+    async sign(params, privateKey, data) {
+        return await subtle.sign(params, privateKey, data);
+    }
+}
+
+
+/**
+ * Source of randomness of the system, cryptographically secure
+ */
+class SystemRandomness extends Randomness {
+
+    bytes(length) {
+        return new Uint8Array(crypto.randomBytes(length));
+    }
+}
+
+
+/**
+ * Source of randomness derived from a seed, for reproducible tests and simulations only
+ * The bytes are the AES-256-CTR stream keyed by the SHA-256 hash of the seed, consumed in the order of the draws.
+ * The key pairs and the ECDSA signatures are computed from drawn scalars, so only the P-521 curve is supported
+ */
+class SeededRandomness extends Randomness {
+
+    /**
+     * @param {String} seed Seed of the stream, any string
+     */
+    constructor(seed) {
+        super();
+        this.seed = String(seed);
+        const key = crypto.createHash('sha256').update(this.seed).digest();
+        this.stream = crypto.createCipheriv('aes-256-ctr', key, Buffer.alloc(16));
+    }
+
+    bytes(length) {
+        return new Uint8Array(this.stream.update(Buffer.alloc(length)));
+    }
+
+    /**
+     * Draw a uniform non zero scalar of the P-521 curve
+     * @returns {BigInt}
+     */
+    scalar() {
+        for (;;) {
+            const bytes = this.bytes(scalarLength);
+            bytes[0] &= 0x01;
+            const value = bytesToBigInt(bytes);
+            if (value > 0n && value < curveOrder) {
+                return value;
+            }
+        }
+    }
+
+    /**
+     * Coordinates of the point scalar * G of the P-521 curve, G being its generator
+     * @param {BigInt} scalar
+     * @returns {{x: Buffer, y: Buffer}}
+     */
+    static multiplyGenerator(scalar) {
+        const ecdh = crypto.createECDH('secp521r1');
+        ecdh.setPrivateKey(bigIntToBytes(scalar, scalarLength));
+        const point = ecdh.getPublicKey();
+        return { x: point.subarray(1, 1 + scalarLength), y: point.subarray(1 + scalarLength) };
+    }
+
+    async generateKeyPair(algorithm, usages) {
+        if (algorithm.namedCurve != 'P-521') {
+            throw 'The seeded source of randomness only generates P-521 key pairs, received ' + algorithm.namedCurve;
+        }
+        const d = this.scalar();
+        const { x, y } = SeededRandomness.multiplyGenerator(d);
+        const publicJwk = { kty: 'EC', crv: 'P-521', x: x.toString('base64url'), y: y.toString('base64url'), ext: true };
+        const privateJwk = { ...publicJwk, d: bigIntToBytes(d, scalarLength).toString('base64url') };
+        return {
+            privateKey: await subtle.importKey('jwk', privateJwk, algorithm, true, usages.filter(usage => privateKeyUsages.includes(usage))),
+            publicKey: await subtle.importKey('jwk', publicJwk, algorithm, true, usages.filter(usage => !privateKeyUsages.includes(usage)))
+        };
+    }
+
+    /**
+     * Sign with ECDSA over P-521, the nonce being drawn from the stream
+     * The signature is the concatenation of r and s on 66 bytes each, as the signatures of WebCrypto
+     */
+    async sign(params, privateKey, data) {
+        const { d } = await subtle.exportKey('jwk', privateKey);
+        const privateScalar = bytesToBigInt(Buffer.from(d, 'base64url'));
+        /* A SHA-512 digest is shorter than the order of the curve, so it is used whole */
+        const digest = bytesToBigInt(crypto.createHash(params.hash.replace('-', '').toLowerCase()).update(data).digest());
+
+        for (;;) {
+            const nonce = this.scalar();
+            const r = bytesToBigInt(SeededRandomness.multiplyGenerator(nonce).x) % curveOrder;
+            const s = inverseModOrder(nonce) * (digest + r * privateScalar) % curveOrder;
+            if (r != 0n && s != 0n) {
+                const signature = Buffer.concat([bigIntToBytes(r, scalarLength), bigIntToBytes(s, scalarLength)]);
+                return signature.buffer.slice(signature.byteOffset, signature.byteOffset + signature.length);
+            }
+        }
+    }
+}
+
+module.exports = { Randomness, SystemRandomness, SeededRandomness }
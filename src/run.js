@@ -1,30 +1,61 @@
 /**
  * This file enables the running of the Secure Aggregation Protocol
+ *
+ * Usage: node src/run.js [--seed seed] [--test]
+ * The client IDs, the secret values and the dropouts are drawn from the seed of the simulation, printed when a run fails.
+ * With --test, all the randomness of the protocol is drawn from the seed as well, so that the run is reproduced exactly
  */
 
 /**
  * Imports
  */
-const { randomUUID } = require('crypto').webcrypto;
-const gen = require('random-seed');
 const Server = require("./server.js")
 const Client = require("./client.js")
+const Group = require("./group.js")
+const FixedPointEncoder = require("./encoder.js")
+const IdentityRegistry = require("./identity.js")
+const { ShareRevealError } = require("./errors.js")
+const { LocalTransport } = require("./transport.js")
+const { ManualClock } = require("./clock.js")
+const Session = require("./session.js")
+const DistributedDiscreteGaussian = require("./privacy.js")
+const { Categories, Buckets, HistogramSession } = require("./histogram.js")
+const Messages = require("./messages.js")
+const Simulation = require("./simulation.js")
+const { BernoulliDropout, GroupOutage, LatencyDropout, estimateSuccessProbability } = require("./dropout.js")
+const { parseArguments } = require("./arguments.js")
+
+
+const { options } = parseArguments(process.argv.slice(2));
+const simulation = new Simulation(options.seed, options.test === true);
 
 /**
- * Runs the protocol for n = 4 clients with a threshold of two with one dropout at the end of round 1
+ * Runs the protocol for n = 4 clients with a threshold of two, the first client dropping after round 1 before sending its masked input
  */
  async function runSimple() {
 
-    console.log("Run a simple instance of the protocol without dropouts")
+    console.log("Run a simple instance of the protocol where one client drops after round 1")
 
     /* Clients and Server generation */
 
-    const client0 = new Client(randomUUID(), 131070.213213, 4, 2);
-    const client1 = new Client(randomUUID(), 3.14159265, 4, 2);
-    const client2 = new Client(randomUUID(), -42, 4, 2);
-    const client3 = new Client(randomUUID(), 6, 4, 2);
+    const config = simulation.config({
+        group: Group.powerOfTwo(64),
+        encoder: new FixedPointEncoder({ scale: 10**4, clipRange: [-131072, 131072] })
+    })
 
-    const server = new Server([client0, client1, client2, client3], 4, 2);
+    const client0 = new Client(simulation.uuid(), [131070.213213, 1, -0.5], 4, 2, config);
+    const client1 = new Client(simulation.uuid(), [3.14159265, 2, 0.25], 4, 2, config);
+    const client2 = new Client(simulation.uuid(), [-42, 3, 1.75], 4, 2, config);
+    const client3 = new Client(simulation.uuid(), [6, 4, -2], 4, 2, config);
+
+    const server = new Server(4, 2, config);
+
+    const transport = new LocalTransport();
+    transport.registerServer(server);
+    transport.registerClient(client0);
+    transport.registerClient(client1);
+    transport.registerClient(client2);
+    transport.registerClient(client3);
 
 
     console.log("Round 0\n")
@@ -51,12 +82,22 @@ const Client = require("./client.js")
 
     console.log("Round 2\n")
 
-    client0.round2();
-    client1.round2();
-    client2.round2();
-    client3.round2();
+    await client0.round2();
+    await client1.round2();
+    await client2.round2();
+    await client3.round2();
+
+    await server.round2();
+
+
+    console.log("Consistency check\n")
+
+    await client0.roundConsistencyCheck();
+    await client1.roundConsistencyCheck();
+    await client2.roundConsistencyCheck();
+    await client3.roundConsistencyCheck();
 
-    server.round2();
+    await server.roundConsistencyCheck();
 
     
     console.log("Round 3\n")
@@ -70,7 +111,7 @@ const Client = require("./client.js")
 
 
     console.log(masked)
-    console.log(server.aggregateWithoutSecrecy());
+    console.log(server.aggregateWithoutSecrecy([client0, client1, client2, client3]));
 }
  
 
@@ -85,120 +126,358 @@ const Client = require("./client.js")
  * @param {Number} dropout22 
  * @param {Number} dropout31 
  * @param {Number} dropout32 
+ * @param {Number} vectorLength Length of the secret vector of each client
+ * @param {Object} config Protocol configuration, the group is sized from the encoder when it is not given
  */
-async function runPersonalized(nbClient, threshold, dropout11=0, dropout12=0, dropout21=0, dropout22=0, dropout31=0, dropout32=0) {
+async function runPersonalized(nbClient, threshold, dropout11=0, dropout12=0, dropout21=0, dropout22=0, dropout31=0, dropout32=0, vectorLength=1, config={}) {
     console.log(`Test 2 with ${nbClient} number of clients, a threshold of ${threshold} clients
 ${dropout11} dropouts before the client round 1, ${dropout12} dropouts before the server round 1
 ${dropout21} dropouts before the client round 2, ${dropout22} dropouts before the server round 2
 ${dropout31} dropouts before the client round 4, ${dropout32} dropouts before the server round 4`)
 
+    const result = await simulation.runProtocol({
+        nbClients: nbClient,
+        threshold: threshold,
+        dropouts: [dropout11, dropout12, dropout21, dropout22, dropout31, dropout32],
+        vectorLength: vectorLength,
+        config: config
+    })
+
+    console.log(`Values clipped by the clients: ${JSON.stringify(result.clippedCounts)}`)
+    console.log(result.mean)
+    console.log(result.reference)
+}
+ 
+/**
+ * Simulate a malicious server asking a client for the seed share and then for the key share of the same peer
+ * The server first runs the protocol honestly with 3 clients, then claims that client2 dropped and asks again for the shares
+ * The client must refuse to reveal the key share of client2 with a ShareRevealError, the simulation fails otherwise
+ */
+async function runDoubleShareRequest() {
+
+    console.log("Run an instance of the protocol where the server asks twice for the shares")
+
+    const client0 = new Client(simulation.uuid(), [1, 2], 3, 2, simulation.config());
+    const client1 = new Client(simulation.uuid(), [3, 4], 3, 2, simulation.config());
+    const client2 = new Client(simulation.uuid(), [5, 6], 3, 2, simulation.config());
+    const clientsArray = [client0, client1, client2]
 
-    /* Prepare dropouts by generating the indexes of the clients that will drop out during the protocol */
-    const dropoutLength = [dropout11, dropout12, dropout21, dropout22, dropout31, dropout32]
-    let dropoutArray = []
-    let dropoutArrayIndex = []
+    const server = new Server(3, 2, simulation.config());
 
-    for (let i = 0; i < dropoutLength.length; ++i) {
+    const transport = new LocalTransport();
+    transport.registerServer(server);
+    for (let i = 0; i < clientsArray.length; ++i) {
+        transport.registerClient(clientsArray[i]);
+    }
+
+    for (let i = 0; i < clientsArray.length; ++i) {
+        await clientsArray[i].round0();
+    }
+    await server.round0();
 
-        const nbDropout = dropoutLength[i];
-        dropoutArrayIndex[i] = []
+    for (let i = 0; i < clientsArray.length; ++i) {
+        await clientsArray[i].round1();
+    }
+    await server.round1();
 
-        let j = 0
+    for (let i = 0; i < clientsArray.length; ++i) {
+        await clientsArray[i].round2();
+    }
+    await server.round2();
 
-        while (j < nbDropout) {
+    for (let i = 0; i < clientsArray.length; ++i) {
+        await clientsArray[i].round3();
+    }
 
-            const randomNumberGenerator = gen.create()
-            const randomNumber = randomNumberGenerator(nbClient)
+    /* The seed share of client2 was revealed, the server now pretends client2 dropped to obtain its key share */
+    await server.send(client0.id, Messages.clientIDsU3([client0.id, client1.id]))
 
-            if (!dropoutArray.includes(randomNumber)) {
-                dropoutArray.push(randomNumber)
-                dropoutArrayIndex[i].push(randomNumber)
-                ++j
-            }
+    let revealError = null;
+    try {
+        await client0.round3();
+    } catch (error) {
+        if (!(error instanceof ShareRevealError)) {
+            throw error
         }
+        revealError = error
+    }
+    if (revealError === null) {
+        throw 'The client revealed both the seed share and the key share of client ' + client2.id
     }
+    console.log(revealError.message)
+}
 
-    /* Clients and Server generation */
+/**
+ * Simulate a client whose masked input reaches the server after the deadline of round 2
+ * The clock of the server is a manual clock, so that the deadline is passed deterministically
+ * The late message is ignored: the client is considered as dropped and its mask is reconstructed from its key shares
+ */
+async function runLateMessage() {
+
+    console.log("Run an instance of the protocol where a masked input arrives after the deadline")
 
-    let clientsArray = []
-    const maxSecretValue = Math.floor(131072/nbClient)
+    const clock = new ManualClock();
+    const config = simulation.config({ clock: clock, roundTimeout: 1000 });
 
-    for (let i = 0; i < nbClient; ++i) {
-        clientsArray.push(new Client(randomUUID(), gen.create().floatBetween(-maxSecretValue, maxSecretValue -1), nbClient, threshold))
+    const clientsArray = [];
+    for (let i = 0; i < 4; ++i) {
+        clientsArray.push(new Client(simulation.uuid(), [i, 10 * i], 4, 2, config));
     }
 
-    const server = new Server(clientsArray, nbClient, threshold);
-    
-    /* Round 0*/ 
+    const server = new Server(4, 2, config);
 
-    console.log("Round 0\n")
+    const transport = new LocalTransport();
+    transport.registerServer(server);
+    for (let i = 0; i < clientsArray.length; ++i) {
+        transport.registerClient(clientsArray[i]);
+    }
 
-    for (let i = 0; i < nbClient; ++i) {
+    for (let i = 0; i < clientsArray.length; ++i) {
         await clientsArray[i].round0();
     }
-
+    await server.waitForMessages(Messages.MessageType.ADVERTISE_KEYS);
     await server.round0();
 
-    /* Round 1 */
-
-    console.log("Round 1\n\n")
+    for (let i = 0; i < clientsArray.length; ++i) {
+        await clientsArray[i].round1();
+    }
+    await server.waitForMessages(Messages.MessageType.SHARE_KEYS);
+    await server.round1();
 
-    for (let i = 0; i < dropoutArrayIndex[0].length; ++i) {
-        clientsArray[dropoutArrayIndex[0][i]].putDown()
+    /* Client 0 is slow: the deadline of round 2 passes before its masked input reaches the server */
+    for (let i = 1; i < clientsArray.length; ++i) {
+        await clientsArray[i].round2();
+    }
+    const waiting = server.waitForMessages(Messages.MessageType.MASKED_INPUT);
+    clock.advance(config.roundTimeout + 1);
+    console.log(`Masked inputs received before the deadline: ${await waiting}`);
+    await clientsArray[0].round2();
+    console.log(`Late messages ignored: ${server.lateMessages.length}`);
+    await server.round2();
+
+    for (let i = 1; i < clientsArray.length; ++i) {
+        await clientsArray[i].round3();
     }
+    await server.waitForMessages(Messages.MessageType.UNMASKING_RESPONSE);
 
-    for (let i = 0; i < nbClient; ++i) {
-        await clientsArray[i].round1();
+    console.log(await server.round3())
+    console.log(server.aggregateWithoutSecrecy(clientsArray));
+}
+
+/**
+ * Run a session of three iterations with a changing cohort
+ * The client dropping in the second iteration has its seed private key reconstructed by the server, which reveals nothing
+ * about the other iterations as the key pairs are generated again at every iteration
+ */
+async function runSession() {
+
+    console.log("Run a session of three iterations with a changing cohort")
+
+    const session = new Session(2, simulation.config());
+    const ids = [];
+    for (let i = 0; i < 5; ++i) {
+        ids.push(simulation.uuid());
     }
-    
-    for (let i = 0; i < dropoutArrayIndex[1].length; ++i) {
-        clientsArray[dropoutArrayIndex[1][i]].putDown()
+
+    const iterations = [
+        { inputs: { [ids[0]]: [1, 2], [ids[1]]: [3, 4], [ids[2]]: [5, 6], [ids[3]]: [7, 8] }, dropouts: {} },
+        { inputs: { [ids[0]]: [2, 3], [ids[1]]: [4, 5], [ids[2]]: [6, 7], [ids[3]]: [8, 9] }, dropouts: { [ids[3]]: 2 } },
+        { inputs: { [ids[1]]: [3, 4], [ids[2]]: [5, 6], [ids[3]]: [7, 8], [ids[4]]: [9, 10] }, dropouts: {} }
+    ];
+
+    for (const { inputs, dropouts } of iterations) {
+        const result = await session.runIteration(inputs, dropouts);
+        console.log(`Iteration ${result.iteration}: ${result.cohort.length} clients in the cohort, ${result.clientIDsU3.length} in U3`)
+        console.log(result.mean)
+        console.log(session.server.aggregateWithoutSecrecy(Object.values(session.clients)))
     }
+}
 
-    await server.round1();
+/**
+ * Simulate a malicious server replaying in the second iteration of a session the share ciphertexts of the first iteration
+ * The client must fail to decrypt the replayed ciphertexts, the simulation fails otherwise.
+ * The key pairs are new at every iteration, so the replayed ciphertexts fail on their key as well as on their associated data,
+ * the rejection of the associated data alone being tested in test/helper.test.js
+ */
+async function runReplayedCiphertexts() {
 
+    console.log("Run a session where the server replays the ciphertexts of a previous iteration")
 
-    /* Round 2 */
+    const session = new Session(2, simulation.config());
+    const inputs = { [simulation.uuid()]: [1, 2], [simulation.uuid()]: [3, 4], [simulation.uuid()]: [5, 6] };
+    await session.runIteration(inputs);
+    const replayedCiphertexts = session.server.clientCiphertextBuffer;
 
-    console.log("Round 2\n")
+    const server = session.server;
+    const clientsArray = Object.keys(inputs).map(id => session.client(id));
+    server.startIteration(1, clientsArray.length);
+    for (let i = 0; i < clientsArray.length; ++i) {
+        clientsArray[i].startIteration(1, inputs[clientsArray[i].id], clientsArray.length);
+    }
 
-    for (let i = 0; i < dropoutArrayIndex[2].length; ++i) {
-        clientsArray[dropoutArrayIndex[2][i]].putDown()
+    for (let i = 0; i < clientsArray.length; ++i) {
+        await clientsArray[i].round0();
     }
+    await server.round0();
 
-    for (let i = 0; i < nbClient; ++i) {
-        clientsArray[i].round2();
+    for (let i = 0; i < clientsArray.length; ++i) {
+        await clientsArray[i].round1();
+    }
+    /* The replayed ciphertexts reach the clients before the ones of the current iteration */
+    for (let i = 0; i < clientsArray.length; ++i) {
+        await server.send(clientsArray[i].id, Messages.ciphertexts(replayedCiphertexts[clientsArray[i].id]))
     }
+    await server.round1();
 
-    for (let i = 0; i < dropoutArrayIndex[3].length; ++i) {
-        clientsArray[dropoutArrayIndex[3][i]].putDown()
+    for (let i = 0; i < clientsArray.length; ++i) {
+        await clientsArray[i].round2();
     }
+    await server.round2();
 
-    server.round2()
+    let decryptError = null;
+    try {
+        await clientsArray[0].round3();
+    } catch (error) {
+        decryptError = error
+    }
+    if (decryptError === null) {
+        throw 'The client decrypted the replayed ciphertexts'
+    }
+    if (!String(decryptError).includes('does not authenticate')) {
+        throw decryptError
+    }
+    console.log(decryptError)
+}
 
+/**
+ * Runs a session where the clients add distributed discrete Gaussian noise to their input under the masks
+ * The noise is calibrated for 9 surviving clients out of 10, and one client drops before sending its masked input
+ * The noisy mean is compared to the exact mean, along with the privacy report of the server
+ */
+async function runPrivate() {
 
-    /* Round 3*/
+    console.log("Run an instance of the protocol with distributed differential privacy")
 
-    console.log("Round 3\n\n")
+    const config = simulation.config({
+        group: Group.powerOfTwo(64),
+        encoder: new FixedPointEncoder({ scale: 10**4, clipRange: [-1, 1] }),
+        privacy: new DistributedDiscreteGaussian({ epsilon: 1, delta: 1e-5, expectedClients: 9 })
+    });
+    const session = new Session(5, config);
 
-    for (let i = 0; i < dropoutArrayIndex[4].length; ++i) {
-        clientsArray[dropoutArrayIndex[4][i]].putDown()
+    let inputs = {};
+    for (let i = 0; i < 10; ++i) {
+        inputs[simulation.uuid()] = [simulation.float() * 2 - 1, simulation.float() * 2 - 1, simulation.float() * 2 - 1];
     }
+    const result = await session.runIteration(inputs, { [Object.keys(inputs)[0]]: 2 });
 
-    for (let i = 0; i < nbClient; ++i) {
-        await clientsArray[i].round3();
+    console.log(result.mean)
+    console.log(session.server.aggregateWithoutSecrecy(Object.values(session.clients)))
+    console.log(result.privacy)
+}
+
+/**
+ * Runs a session where the mean is weighted by the number of examples of each client, as in FedAvg
+ * The weights are masked along with the weighted values, so the server only learns their sum
+ * One client drops before sending its masked input, so its weight does not count in the mean
+ */
+async function runWeighted() {
+
+    console.log("Run an instance of the protocol with a mean weighted by the number of examples of the clients")
+
+    const config = simulation.config({
+        group: Group.powerOfTwo(64),
+        encoder: new FixedPointEncoder({ scale: 10**4, clipRange: [-10, 10], maxWeight: 1000 })
+    });
+    const session = new Session(3, config);
+
+    let inputs = {};
+    let weights = {};
+    for (const nbExamples of [10, 200, 35, 1, 80, 500]) {
+        const id = simulation.uuid();
+        inputs[id] = [simulation.float() * 20 - 10, simulation.float() * 20 - 10];
+        weights[id] = nbExamples;
     }
+    const result = await session.runIteration(inputs, { [Object.keys(inputs)[0]]: 2 }, weights);
 
-    for (let i = 0; i < dropoutArrayIndex[5].length; ++i) {
-        clientsArray[dropoutArrayIndex[5][i]].putDown()
+    console.log(result.mean)
+    console.log(session.server.aggregateWithoutSecrecy(Object.values(session.clients)))
+}
+
+/**
+ * Runs two histograms over 8 clients: the counts of a categorical answer, then the counts of numeric answers bucketed into ranges
+ * One client drops before sending its masked input, so its answer is not counted
+ */
+async function runHistogram() {
+
+    console.log("Run histograms of categorical and bucketed numeric answers")
+
+    const ids = [];
+    for (let i = 0; i < 8; ++i) {
+        ids.push(simulation.uuid());
     }
+    const dropouts = { [ids[0]]: 2 };
 
-    let masked = await server.round3()
-    
+    const browsers = new HistogramSession(new Categories(['firefox', 'chrome', 'safari', 'other']), 4, simulation.config());
+    const browserAnswers = ['chrome', 'firefox', 'chrome', 'safari', 'other', 'chrome', 'firefox', 'chrome'];
+    const browserResult = await browsers.runIteration(Object.fromEntries(ids.map((id, i) => [id, browserAnswers[i]])), dropouts);
+    console.log(browserResult.histogram)
 
-    console.log(masked)
-    console.log(server.aggregateWithoutSecrecy());
+    const ages = new HistogramSession(new Buckets([18, 30, 50, 70]), 4, simulation.config());
+    const ageAnswers = [16, 25, 34, 29, 45, 71, 52, 18];
+    const ageResult = await ages.runIteration(Object.fromEntries(ids.map((id, i) => [id, ageAnswers[i]])), dropouts);
+    console.log(ageResult.histogram)
 }
- 
-runSimple();
-// runPersonalized(10, 2, 1, 2, 1, 1, 1, 0);
\ No newline at end of file
+
+/**
+ * Estimate the probability of a successful aggregation of 50 clients for several thresholds under three dropout models,
+ * then run the protocol once with dropouts drawn from the latency model
+ */
+async function runDropoutModels() {
+
+    console.log("Estimate the probability of a successful aggregation under dropout models")
+
+    const models = {
+        'Bernoulli, 3% per moment': new BernoulliDropout(0.03),
+        '5 groups, outage of 15%': new GroupOutage({ groups: 5, probability: 0.15 }),
+        'Log-normal latencies, deadline of 3 medians': new LatencyDropout({ deadline: 300, latency: LatencyDropout.logNormal(100, 1) })
+    };
+    for (const name in models) {
+        for (const threshold of [26, 34, 40]) {
+            const estimation = await estimateSuccessProbability({ nbClients: 50, threshold: threshold, model: models[name], trials: 2000, simulation: simulation });
+            console.log(`${name} | threshold ${threshold} | probability ${estimation.probability.toFixed(3)} [${estimation.interval.map(bound => bound.toFixed(3)).join(', ')}]`)
+        }
+    }
+
+    const result = await simulation.runProtocol({ nbClients: 10, threshold: 4, dropouts: models['Log-normal latencies, deadline of 3 medians'], config: simulation.config() });
+    console.log(`${result.clientIDsU3.length} clients in U3`)
+    console.log(result.mean)
+    console.log(result.reference)
+}
+
+/**
+ * Run a simulation and print the options reproducing it if it fails
+ * @param {Function} run Asynchronous function running the simulation
+ */
+async function simulate(run) {
+    try {
+        await run();
+    } catch (error) {
+        console.log(error);
+        console.log(`The simulation failed, rerun it with ${simulation.reproductionOptions()}`);
+        process.exitCode = 1;
+    }
+}
+
+simulate(runSimple);
+// simulate(() => runPersonalized(10, 2, 1, 2, 1, 1, 1, 0));
+// simulate(() => runPersonalized(10, 3, 1, 1, 1, 1, 1, 0, 1, {maliciousServer: true, identityRegistry: new IdentityRegistry()}));
+// simulate(() => runPersonalized(20, 5, 1, 1, 1, 1, 1, 0, 1, {graph: {degree: 6, threshold: 4}}));
+// simulate(runDoubleShareRequest);
+// simulate(runLateMessage);
+// simulate(runSession);
+// simulate(runReplayedCiphertexts);
+// simulate(runPrivate);
+// simulate(runWeighted);
+// simulate(runHistogram);
+// simulate(runDropoutModels);
@@ -0,0 +1,93 @@
+/**
+ * This file runs the Secure Aggregation Protocol with the server and each client in its own process, communicating over HTTP on localhost
+ *
+ * Usage: node src/run_processes.js [--clients 4] [--threshold 2] [--length 3] [--dropouts 0] [--timeout 3000] [--seed seed]
+ * The secret values, the client IDs and the session ID are drawn from the seed of the simulation, printed at the start of the run
+ */
+
+/**
+ * Imports
+ */
+const { fork } = require('child_process');
+const path = require('path');
+const Simulation = require("./simulation.js")
+const { parseArguments } = require("./arguments.js")
+
+
+/**
+ * Start a script in a child process and call a callback on each line it prints
+ * @param {String} script Name of the script in src/
+ * @param {Array<String>} args Arguments of the script
+ * @param {Function} onLine Callback called with each line printed by the process
+ * @returns {ChildProcess} The child process
+ */
+function start(script, args, onLine) {
+    const child = fork(path.join(__dirname, script), args, { stdio: ['ignore', 'pipe', 'inherit', 'ipc'] });
+    let buffer = '';
+    child.stdout.on('data', chunk => {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(onLine);
+    });
+    return child;
+}
+
+/**
+ * Run the server process and the client processes
+ * Dropouts are simulated by killing client processes once the server finished round 0,
+ * the server then considers them as dropped when its round timeout expires
+ * @param {Number} nbClients Number of client processes
+ * @param {Number} threshold Shamir t out of n threshold
+ * @param {Number} vectorLength Length of the secret vector of each client
+ * @param {Number} dropouts Number of client processes killed during the protocol
+ * @param {Number} timeout Maximum duration in ms of the wait of the server for the messages of a round
+ * @param {Simulation} simulation Simulation drawing the secret values, the client IDs and the session ID
+ */
+async function runProcesses(nbClients, threshold, vectorLength, dropouts, timeout, simulation = new Simulation()) {
+    console.log(`Run ${nbClients} client processes with a threshold of ${threshold} and ${dropouts} dropouts, ${simulation.reproductionOptions()}`)
+
+    const secretValues = [];
+    const clientIDs = [];
+    for (let i = 0; i < nbClients; ++i) {
+        secretValues.push(Array.from({ length: vectorLength }, () => simulation.floatBetween(-1000, 1000)));
+        clientIDs.push(simulation.uuid());
+    }
+
+    const sessionID = simulation.uuid();
+    let clients = [];
+    const serverExit = new Promise(resolve => {
+        const server = start('server_process.js', ['--clients', nbClients, '--threshold', threshold, '--timeout', timeout], line => {
+            console.log(`[server] ${line}`);
+
+            const listening = line.match(/^Server listening on (\S+)/);
+            if (listening) {
+                for (let i = 0; i < nbClients; ++i) {
+                    const args = ['--server', listening[1], '--clients', nbClients, '--threshold', threshold, '--values', secretValues[i].join(','), '--id', clientIDs[i], '--session', sessionID];
+                    clients.push(start('client_process.js', args, clientLine => console.log(`[client ${i}] ${clientLine}`)));
+                }
+            }
+
+            if (line.startsWith('Round 0')) {
+                for (let i = 0; i < dropouts; ++i) {
+                    clients[i].kill();
+                }
+            }
+        });
+        server.on('exit', resolve);
+    });
+
+    await serverExit;
+    await Promise.all(clients.map(client => client.exitCode !== null || client.killed ? null : new Promise(resolve => client.on('exit', resolve))));
+
+    /* The plaintext reference is the mean of the clients that were not killed */
+    const survivors = secretValues.slice(dropouts);
+    const mean = survivors[0].map((_, j) => survivors.reduce((sum, values) => sum + values[j], 0) / survivors.length);
+    console.log(`Reference: ${JSON.stringify(mean)}`);
+}
+
+if (require.main === module) {
+    const { options } = parseArguments(process.argv.slice(2));
+    runProcesses(Number(options.clients || 4), Number(options.threshold || 2), Number(options.length || 3), Number(options.dropouts || 0), Number(options.timeout || 3000),
+        new Simulation(options.seed));
+}
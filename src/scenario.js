@@ -0,0 +1,176 @@
+/**
+ * This file provides the scenarios: JSON files describing a cohort, the exact dropout schedule and the expected outcome of a run
+ *
+ * A scenario has the following fields, only clients, threshold and expected being required:
+ * {
+ *   "name": "Two clients drop before sending their masked input",
+ *   "seed": "seed of the generated values, the name by default",
+ *   "threshold": 3,
+ *   "config": { "group": { "bits": 64 } or { "prime": "18446744073709551557" }, "encoder": { "scale": 10000, "clipRange": [-10, 10], "maxWeight": 100 },
+ *               "maliciousServer": false, "graph": { "degree": 4, "threshold": 3 }, "overflowPolicy": "reject" },
+ *   "clients": [
+ *     { "id": "alice", "values": [1, 2.5], "weight": 10 },
+ *     { "id": "bob", "generator": { "uniform": [-10, 10], "length": 2 } },
+ *     { "id": "carol", "generator": { "constant": 3, "length": 2 } }
+ *   ],
+ *   "dropouts": { "beforeClientRound2": ["bob"], "beforeServerRound3": ["carol"] },
+ *   "expected": { "outcome": "success", "clientIDsU3": ["alice", "carol"], "mean": [2, 2.75] }
+ *            or { "outcome": "abort", "error": "part of the error message" }
+ * }
+ * The dropout moments are those of Simulation.dropoutSpots, before each phase of the clients and of the server
+ */
+
+/**
+ * Imports
+ */
+const fs = require('fs');
+const Group = require("./group.js")
+const FixedPointEncoder = require("./encoder.js")
+const IdentityRegistry = require("./identity.js")
+const Simulation = require("./simulation.js")
+
+
+/* Fields of the configuration a scenario can set */
+const configFields = ['group', 'encoder', 'maliciousServer', 'graph', 'overflowPolicy']
+
+
+/**
+ * Read a scenario file
+ * @param {String} path Path of the JSON file
+ * @returns {Object} The scenario, named after the file when it has no name
+ */
+function loadScenario(path) {
+    const scenario = JSON.parse(fs.readFileSync(path, 'utf8'));
+    return { name: path, ...scenario };
+}
+
+/**
+ * Check the fields of a scenario
+ * @param {Object} scenario
+ */
+function validateScenario(scenario) {
+    const fail = reason => {
+        throw `Scenario ${scenario.name}: ${reason}`;
+    };
+    if (!Array.isArray(scenario.clients) || scenario.clients.length == 0) {
+        fail('clients must be a non empty array');
+    }
+    const ids = scenario.clients.map(client => client.id);
+    if (ids.some(id => typeof id !== 'string') || new Set(ids).size != ids.length) {
+        fail('every client needs a distinct string id');
+    }
+    for (const client of scenario.clients) {
+        if ((client.values === undefined) == (client.generator === undefined)) {
+            fail(`the client ${client.id} needs either values or a generator`);
+        }
+    }
+    if (!Number.isInteger(scenario.threshold)) {
+        fail('threshold must be an integer');
+    }
+    for (const field in scenario.config || {}) {
+        if (!configFields.includes(field)) {
+            fail(`the configuration field ${field} is not supported, the fields are ${configFields.join(', ')}`);
+        }
+    }
+    for (const spot in scenario.dropouts || {}) {
+        if (!Simulation.dropoutSpots.includes(spot)) {
+            fail(`unknown dropout moment ${spot}, the moments are ${Simulation.dropoutSpots.join(', ')}`);
+        }
+        for (const id of scenario.dropouts[spot]) {
+            if (!ids.includes(id)) {
+                fail(`the client ${id} dropping ${spot} is not in the clients`);
+            }
+        }
+    }
+    if (scenario.expected === undefined || !['success', 'abort'].includes(scenario.expected.outcome)) {
+        fail('expected.outcome must be success or abort');
+    }
+}
+
+/**
+ * Build the protocol configuration of a scenario
+ * @param {Object} config Configuration of the scenario file
+ * @returns {Object} The protocol configuration
+ */
+function buildConfig(config = {}) {
+    let protocolConfig = { ...config };
+    if (config.group !== undefined) {
+        protocolConfig.group = config.group.prime !== undefined ? Group.prime(BigInt(config.group.prime)) : Group.powerOfTwo(config.group.bits);
+    }
+    if (config.encoder !== undefined) {
+        protocolConfig.encoder = new FixedPointEncoder(config.encoder);
+    }
+    if (config.maliciousServer) {
+        protocolConfig.identityRegistry = new IdentityRegistry();
+    }
+    return protocolConfig;
+}
+
+/**
+ * Secret vector of a client, given or generated from the simulation
+ * @param {Object} client Client of the scenario
+ * @param {Simulation} simulation
+ * @returns {Array<Number>}
+ */
+function clientValues(client, simulation) {
+    if (client.values !== undefined) {
+        return typeof client.values === 'number' ? [client.values] : client.values;
+    }
+    const { uniform, constant, length = 1 } = client.generator;
+    if (uniform !== undefined) {
+        return Array.from({ length: length }, () => simulation.floatBetween(uniform[0], uniform[1]));
+    }
+    if (constant !== undefined) {
+        return new Array(length).fill(constant);
+    }
+    throw `The generator of the client ${client.id} must be uniform or constant`;
+}
+
+/**
+ * Run a scenario and compare its outcome with the expected one
+ * A successful run must also give a secure mean equal to the mean without secrecy, up to the precision of the encoding
+ * @param {Object} scenario
+ * @param {Boolean} testMode Also derive the randomness of the protocol from the seed of the scenario
+ * @returns The name, passed, the outcome, the reasons of a failure, and the result or the error of the run
+ */
+async function runScenario(scenario, testMode = false) {
+    validateScenario(scenario);
+    const simulation = new Simulation(scenario.seed || scenario.name, testMode);
+    const config = buildConfig(scenario.config);
+    const clients = scenario.clients.map(client => ({ id: client.id, values: clientValues(client, simulation), weight: client.weight }));
+    const expected = scenario.expected;
+
+    let result = null;
+    let error = null;
+    try {
+        result = await simulation.runCohort({ clients, threshold: scenario.threshold, dropouts: scenario.dropouts || {}, config });
+    } catch (e) {
+        error = String(e);
+    }
+
+    let failures = [];
+    const outcome = error === null ? 'success' : 'abort';
+    if (outcome != expected.outcome) {
+        failures.push(`expected ${expected.outcome}, the run ended in ${outcome}` + (error === null ? '' : `: ${error}`));
+    } else if (outcome == 'abort') {
+        if (expected.error !== undefined && !error.includes(expected.error)) {
+            failures.push(`expected an error containing "${expected.error}", received: ${error}`);
+        }
+    } else {
+        const tolerance = 1 / (config.encoder || new FixedPointEncoder()).scale;
+        const closeTo = (values, reference) => values.length == reference.length && values.every((value, i) => Math.abs(value - reference[i]) <= tolerance);
+        if (!closeTo(result.mean, result.reference)) {
+            failures.push(`the secure mean [${result.mean}] differs from the mean without secrecy [${result.reference}]`);
+        }
+        if (expected.mean !== undefined && !closeTo(result.mean, expected.mean)) {
+            failures.push(`expected the mean [${expected.mean}], received [${result.mean}]`);
+        }
+        if (expected.clientIDsU3 !== undefined && [...expected.clientIDsU3].sort().join() != [...result.clientIDsU3].sort().join()) {
+            failures.push(`expected U3 [${expected.clientIDsU3}], received [${result.clientIDsU3}]`);
+        }
+    }
+
+    return { name: scenario.name, passed: failures.length == 0, outcome, failures, result, error };
+}
+
+module.exports = { loadScenario, validateScenario, buildConfig, runScenario }
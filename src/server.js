@@ -6,10 +6,12 @@
  * Imports
  */
 const { subtle } = require('crypto').webcrypto;
-const gen = require('random-seed');
-const { join } = require('shamir');
-const Client = require("./client.js")
+const { join } = require("./shamir.js")
 const Helper = require("./helper.js")
+const { hararyGraph } = require("./graph.js")
+const { resolveConfig } = require("./config.js")
+const Messages = require("./messages.js")
+const { MessageType } = Messages
 
 
 /**
@@ -18,15 +20,225 @@ const Helper = require("./helper.js")
  class Server {
 
     /**
-     * Construct the clients
-     * @param {Client} clients Clients to the server
+     * Construct the server
+     * The server only communicates with the clients through the messages of its transport
+     * Round 0 opens at the creation of the server, each following round opens once the server sent the messages starting it
      * @param {Number} nbClients Number of clients in the settings
      * @param {Number} threshold Shamir t out of n threshold
+     * @param {Object} config Protocol configuration, identical for the clients and the server
      */
-    constructor(clients, nbClients, threshold) {
-        this.clients = clients;
+    constructor(nbClients, threshold, config = {}) {
         this.nbClients = nbClients;
         this.threshold = threshold;
+        this.config = resolveConfig(config);
+        this.group = this.config.group;
+        this.encoder = this.config.encoder;
+        this.inbox = [];
+        this.transport = null;
+        this.iteration = 0;
+        this.clock = this.config.clock;
+        this.deadlines = {};
+        this.closedRounds = new Set();
+        this.lateMessages = [];
+        this.waiters = [];
+        this.checkOverflow();
+        this.openRound(MessageType.ADVERTISE_KEYS);
+
+        if (this.config.graph !== null && this.config.maliciousServer) {
+            throw 'The SecAgg+ communication graph is only supported against an honest but curious server';
+        }
+    }
+
+
+    /**
+     * Check that the sum of the encoded inputs of all the clients fits in the group
+     * Depending on the overflow policy, a configuration that can overflow is rejected or only flagged
+     */
+    checkOverflow() {
+        this.overflowFlagged = this.encoder.canOverflow(this.group, this.nbClients);
+
+        if (this.overflowFlagged && this.config.overflowPolicy == 'reject') {
+            throw `The sum of ${this.nbClients} inputs requires ${this.encoder.requiredBits(this.nbClients)} bits while the group modulus has ${this.group.bits} bits. Aborted.`;
+        }
+    }
+
+    /**
+     * Check that the sum of the noisy encoded inputs of the clients of U3 fits in the group
+     * The noise depends on the length of the inputs, so the check is only possible once the masked inputs are received
+     * @param {Number} length Length of the inputs
+     */
+    checkNoiseOverflow(length) {
+        const nbClients = this.clientIDsU3.length;
+        const requiredModulus = this.encoder.requiredModulus(nbClients) + 2n * this.config.privacy.noiseBound(this.encoder, length, nbClients);
+        if (this.group.modulus < requiredModulus) {
+            this.overflowFlagged = true;
+            if (this.config.overflowPolicy == 'reject') {
+                throw `The noisy sum of ${nbClients} inputs requires ${(requiredModulus - 1n).toString(2).length} bits while the group modulus has ${this.group.bits} bits. Aborted.`;
+            }
+        }
+    }
+
+
+    /* ======== Iterations ======== */
+
+
+    /**
+     * Prepare the server for a new iteration of an aggregation session
+     * The messages of the previous iterations are discarded and round 0 opens again
+     * @param {Number} iteration Iteration number, increasing along the session
+     * @param {Number} nbClients Number of clients in the cohort of this iteration
+     */
+    startIteration(iteration, nbClients) {
+        this.iteration = iteration;
+        this.nbClients = nbClients;
+        this.checkOverflow();
+        this.inbox = [];
+        this.deadlines = {};
+        this.closedRounds = new Set();
+        this.lateMessages = [];
+        this.openRound(MessageType.ADVERTISE_KEYS);
+    }
+
+
+    /* ======== Messages ======== */
+
+
+    /**
+     * Open the round in which the clients send the messages of a given type
+     * The messages of this type are accepted until the deadline of the round, counted from now
+     * @param {String} type Type of the messages of the round
+     */
+    openRound(type) {
+        this.deadlines[type] = this.clock.now() + this.config.roundTimeout;
+        this.closedRounds.delete(type);
+    }
+
+    /**
+     * Receive a message from a client through the transport
+     * A message received after the deadline of its round, or once the server closed its round, is late:
+     * it is recorded in lateMessages and never used, even if the server did not process the round yet
+     * The messages of a previous iteration are late as well
+     * @param {Object} message 
+     */
+    receive(message) {
+        if (message.iteration !== this.iteration || this.closedRounds.has(message.type) || (this.deadlines.hasOwnProperty(message.type) && this.clock.now() > this.deadlines[message.type])) {
+            this.lateMessages.push(message);
+            return;
+        }
+        this.inbox.push(message);
+        this.notifyWaiters();
+    }
+
+    /**
+     * Take from the inbox all the messages of a given type, only keeping the first message of each sender
+     * The round of these messages is closed, the messages of this type received afterwards are late
+     * @param {String} type Type of the messages
+     * @param {Array<String>} senderIDs IDs of the clients allowed to send this message, the others are ignored. Null allows any client
+     * @returns {Object} The messages, with the ID of their sender as key
+     */
+    takeMessages(type, senderIDs = null) {
+        let messages = {};
+        let inbox = [];
+        for (const message of this.inbox) {
+            if (message.type != type) {
+                inbox.push(message);
+            }
+            else if ((senderIDs === null || senderIDs.includes(message.sender)) && !messages.hasOwnProperty(message.sender)) {
+                messages[message.sender] = message;
+            }
+        }
+        this.inbox = inbox;
+        this.closedRounds.add(type);
+        return messages;
+    }
+
+    /**
+     * IDs of the clients expected to send a message of a given type, null when any client can send it
+     * @param {String} type Type of the messages
+     * @returns {Array<String>}
+     */
+    expectedSenders(type) {
+        switch (type) {
+            case MessageType.ADVERTISE_KEYS:
+                return null;
+            case MessageType.SHARE_KEYS:
+                return Object.keys(this.clientList);
+            case MessageType.MASKED_INPUT:
+                return Object.keys(this.clientListU2);
+            case MessageType.SIGNATURE_U3:
+                return this.clientIDsU3;
+            case MessageType.UNMASKING_RESPONSE:
+                return this.config.maliciousServer ? this.clientIDsU4 : this.clientIDsU3;
+            default:
+                throw 'No client sends messages of type ' + type + ' to the server';
+        }
+    }
+
+    /**
+     * Count the messages of a type received from the expected senders
+     * @param {String} type Type of the messages
+     * @returns {Number}
+     */
+    countMessages(type) {
+        const senderIDs = this.expectedSenders(type);
+        const senders = new Set();
+        for (const message of this.inbox) {
+            if (message.type == type && (senderIDs === null || senderIDs.includes(message.sender))) {
+                senders.add(message.sender);
+            }
+        }
+        return senders.size;
+    }
+
+    /**
+     * Wait until every expected client sent its message of a given type, or until the deadline of the round
+     * The clients that did not answer before the deadline are then considered as dropped by the round
+     * @param {String} type Type of the messages
+     * @returns {Promise<Number>} The number of messages of this type received from the expected senders
+     */
+    waitForMessages(type) {
+        const senderIDs = this.expectedSenders(type);
+        const waiter = { type: type, count: senderIDs === null ? this.nbClients : senderIDs.length };
+        return new Promise(resolve => {
+            waiter.resolve = resolve;
+            if (this.deadlines[type] != Infinity) {
+                waiter.timer = this.clock.setTimeout(() => this.resolveWaiter(waiter), this.deadlines[type] - this.clock.now());
+            }
+            this.waiters.push(waiter);
+            this.notifyWaiters();
+        });
+    }
+
+    /**
+     * Resolve the waiters whose expected messages all arrived
+     */
+    notifyWaiters() {
+        for (const waiter of [...this.waiters]) {
+            if (this.countMessages(waiter.type) >= waiter.count) {
+                this.resolveWaiter(waiter);
+            }
+        }
+    }
+
+    /**
+     * Remove a waiter and resolve it with the number of messages received
+     * @param {Object} waiter
+     */
+    resolveWaiter(waiter) {
+        if (waiter.timer !== undefined) {
+            this.clock.clearTimeout(waiter.timer);
+        }
+        this.waiters = this.waiters.filter(other => other !== waiter);
+        waiter.resolve(this.countMessages(waiter.type));
+    }
+
+    /**
+     * Send a message to a client through the transport, tagged with the current iteration
+     * @param {String} clientID 
+     * @param {Object} message 
+     */
+    async send(clientID, message) {
+        await this.transport.sendToClient(clientID, { ...message, iteration: this.iteration });
     }
 
 
@@ -35,25 +247,74 @@ const Helper = require("./helper.js")
 
     /**
      * Receive the public keys from the clients and put the information in a clientlist
+     * Any client can join the protocol at round 0, the clients that advertised their keys form U1
      */
-    async receivePublicKeys() {
+    receivePublicKeys() {
+        const messages = this.takeMessages(MessageType.ADVERTISE_KEYS);
+
         let clientList = {};
-        for (let i = 0; i < this.clients.length; i++) {
-            const id = this.clients[i].id;
-            const seedPublicKey = this.clients[i].seedPublicKey;
-            const encryptionPublicKey = this.clients[i].encryptionPublicKey;
-            const client = new ClientForServer(this.clients[i], id, seedPublicKey, encryptionPublicKey);
-            clientList[id] = client;
+        for (const id in messages) {
+            const message = messages[id];
+            clientList[id] = new ClientForServer(id, message.seedPublicKey, message.encryptionPublicKey, message.keySignature);
         }
         this.clientList = clientList;
+
+        if (Object.keys(this.clientList).length < this.threshold) {
+            throw 'Only ' + Object.keys(this.clientList).length + ' clients advertised their keys for threshold of ' + this.threshold + ' for server at round 0 for U1';
+        }
+    }
+
+    /**
+     * Assign its neighbours to each client of U1
+     * Without communication graph every client is the neighbour of all the others,
+     * in SecAgg+ mode the neighbours are given by a random Harary graph of the configured degree
+     */
+    computeNeighbours() {
+        const clientIDs = Object.keys(this.clientList);
+        if (this.config.graph === null) {
+            this.neighbours = {};
+            for (const clientIteratedID of clientIDs) {
+                this.neighbours[clientIteratedID] = clientIDs.filter(id => id != clientIteratedID);
+            }
+        }
+        else {
+            this.neighbours = hararyGraph(clientIDs, this.config.graph.degree, max => this.config.randomness.int(max));
+        }
+    }
+
+    /**
+     * Check whether two clients share their keys and masks
+     * @param {String} clientID 
+     * @param {String} otherClientID 
+     * @returns {Boolean}
+     */
+    areNeighbours(clientID, otherClientID) {
+        return this.neighbours[clientID].includes(otherClientID);
     }
 
     /**
      * Broadcast the client informations to the clients
+     * Each client only receives the informations of its neighbours and its own
      */
     async broadcastClients() {
+        let clients = {};
         for (const clientIteratedID in this.clientList) {
-            await this.clientList[clientIteratedID].client.receiveClients(this.clientList);
+            const client = this.clientList[clientIteratedID];
+            clients[clientIteratedID] = {
+                'encryptionPublicKey': client.encryptionPublicKey,
+                'seedPublicKey': client.seedPublicKey,
+                'keySignature': client.keySignature
+            };
+        }
+
+        for (const clientIteratedID in this.clientList) {
+            let neighbourhood = {};
+            for (const clientNeighbourID in this.clientList) {
+                if (clientNeighbourID == clientIteratedID || this.areNeighbours(clientIteratedID, clientNeighbourID)) {
+                    neighbourhood[clientNeighbourID] = clients[clientNeighbourID];
+                }
+            }
+            await this.send(clientIteratedID, Messages.clientList(neighbourhood));
         }
     }
 
@@ -61,7 +322,9 @@ const Helper = require("./helper.js")
      * In round 0, the server collects public information of individuals and broadcast it to the other clients
      */
     async round0() {
-        await this.receivePublicKeys();
+        this.receivePublicKeys();
+        this.computeNeighbours();
+        this.openRound(MessageType.SHARE_KEYS);
         await this.broadcastClients();
     }
     
@@ -70,18 +333,20 @@ const Helper = require("./helper.js")
     
 
     /**
-     * Compute the list U2 of clients remaining when the server will collect the ciphertext
+     * Compute the list U2 of clients that have sent their ciphertexts
      */
     computeU2() {
-        this.clientListU2 = this.clientList // Pass by reference, but at least the variable has another name
+        this.shareKeysMessages = this.takeMessages(MessageType.SHARE_KEYS, Object.keys(this.clientList))
+
+        this.clientListU2 = {}
         for (const clientIteratedID in this.clientList) {
-           if (!this.clientList[clientIteratedID].client.isUp) {
-               delete this.clientListU2[clientIteratedID]
+           if (this.shareKeysMessages.hasOwnProperty(clientIteratedID)) {
+               this.clientListU2[clientIteratedID] = this.clientList[clientIteratedID]
            }
         }
 
-        if (this.clientListU2.length < this.threshold) {
-            throw 'Only ' + this.clientListU2.length + ' clients up for threshold of ' + this.threshold + ' for server at the end of round 1 for U2';
+        if (Object.keys(this.clientListU2).length < this.threshold) {
+            throw 'Only ' + Object.keys(this.clientListU2).length + ' clients up for threshold of ' + this.threshold + ' for server at the end of round 1 for U2';
         }
     }
 
@@ -89,10 +354,10 @@ const Helper = require("./helper.js")
      * Collect the ciphertexts from the clients in U2 and store them
      */
     collectCiphertexts() {
-        /* Fetch from clients the ciphertext*/
+        /* Fetch from the messages the ciphertext*/
         let ciphertextStorer = {}
         for (const clientIteratedID in this.clientListU2) {
-            const ciphertextsFromID = this.clientListU2[clientIteratedID].client.ciphertexts
+            const ciphertextsFromID = this.shareKeysMessages[clientIteratedID].ciphertexts
             ciphertextStorer[clientIteratedID] = ciphertextsFromID
         }
          
@@ -102,7 +367,7 @@ const Helper = require("./helper.js")
         for (const clientIDOuter in this.clientListU2) {
             let clientOuterBuffer = {}
             for (const clientIDInner in this.clientListU2) {
-                if (clientIDOuter != clientIDInner) {
+                if (clientIDOuter != clientIDInner && this.areNeighbours(clientIDOuter, clientIDInner)) {
                     const ciphertextsFromInner = ciphertextStorer[clientIDInner]
                     const desiredProperty = `${clientIDInner}|${clientIDOuter}`
                     clientOuterBuffer[desiredProperty] = ciphertextsFromInner[desiredProperty]
@@ -117,9 +382,9 @@ const Helper = require("./helper.js")
     /**
      * Send the ciphertexts to the corresponding clients in U2
      */
-    sendCiphertexts() {
+    async sendCiphertexts() {
         for (const clientIteratedID in this.clientCiphertextBuffer) {
-            this.clientListU2[clientIteratedID].client.receiveCiphertexts(this.clientCiphertextBuffer[clientIteratedID])
+            await this.send(clientIteratedID, Messages.ciphertexts(this.clientCiphertextBuffer[clientIteratedID]))
         }
     }
 
@@ -129,7 +394,8 @@ const Helper = require("./helper.js")
     async round1() {
         this.computeU2()
         this.collectCiphertexts()
-        this.sendCiphertexts()
+        this.openRound(MessageType.MASKED_INPUT)
+        await this.sendCiphertexts()
     }
 
 
@@ -143,9 +409,10 @@ const Helper = require("./helper.js")
     computeU3() {
         this.clientIDsU2 = Object.keys(this.clientListU2)
         this.clientIDsU3 = []
+        this.maskedInputMessages = this.takeMessages(MessageType.MASKED_INPUT, this.clientIDsU2)
 
         for (const clientIteratedID in this.clientListU2) {
-           if (this.clientListU2[clientIteratedID].client.isUp) {
+           if (this.maskedInputMessages.hasOwnProperty(clientIteratedID)) {
                this.clientIDsU3.push(this.clientListU2[clientIteratedID].id)
            }
         }
@@ -157,32 +424,42 @@ const Helper = require("./helper.js")
     }
 
     /**
-     * Collect the masked gradient by averaging the ones from clients remaining in U3
-     * @returns masked gradient average
+     * Collect the masked gradients from clients remaining in U3 and sum them element-wise
+     * Every masked gradient must have the same length, which becomes the length of the aggregate
+     * The number of values each client had to clip is collected alongside
      */
     collectMaskedGradient() {
-         
-        const buffer = new ArrayBuffer(4)
-        const view = new DataView(buffer)
-        view.setInt32(0, 0)
+
+        let agg = null
+        let clippedCounts = {}
 
         for (const clientIteratedID in this.clientListU2) {
             if (this.clientIDsU3.includes(clientIteratedID)) {
-                    const clientIteratedMaskedGradient = this.clientList[clientIteratedID].client.maskedGradient;
-                    view.setInt32(0, view.getInt32(0) + clientIteratedMaskedGradient)
+                const clientIteratedMaskedGradient = this.maskedInputMessages[clientIteratedID].maskedInput;
+                if (agg === null) {
+                    agg = this.group.zeros(clientIteratedMaskedGradient.length)
+                }
+                if (clientIteratedMaskedGradient.length != agg.length) {
+                    throw `Masked gradient of client ${clientIteratedID} has length ${clientIteratedMaskedGradient.length} while the expected length is ${agg.length}`
                 }
+                this.group.addInPlace(agg, clientIteratedMaskedGradient)
+                clippedCounts[clientIteratedID] = this.maskedInputMessages[clientIteratedID].clippedCount
             }
-            
-        this.agg = Number.parseInt(view.getInt32(0))
+        }
+
+        this.agg = agg
+        this.clippedCounts = clippedCounts
     }
  
     /**
      * Send the list of remaining clients to the remaining clients
+     * Each client receives the remaining clients among its neighbours and itself
      */
-    sendClientIDsU3() {
+    async sendClientIDsU3() {
         for (const clientIteratedID in this.clientListU2) {
             if (this.clientIDsU3.includes(clientIteratedID)) {
-                this.clientList[clientIteratedID].client.receiveclientIDsU3(this.clientIDsU3)
+                const clientIDsU3 = this.clientIDsU3.filter(id => id == clientIteratedID || this.areNeighbours(clientIteratedID, id))
+                await this.send(clientIteratedID, Messages.clientIDsU3(clientIDsU3))
             }
         }
     }
@@ -191,24 +468,78 @@ const Helper = require("./helper.js")
      * In round 2, the server collects the masked gradients and keep track of the remaining clients
      * Then, it sends the list of remaining clients to the remaining clients
      */
-    round2() {
+    async round2() {
         this.computeU3()
         this.collectMaskedGradient()
-        this.sendClientIDsU3()
+        if (this.config.privacy !== null) {
+            this.checkNoiseOverflow(this.agg.length)
+        }
+        this.openRound(this.config.maliciousServer ? MessageType.SIGNATURE_U3 : MessageType.UNMASKING_RESPONSE)
+        await this.sendClientIDsU3()
     }
  
 
+    /* ======== Consistency check ======== */
+
+
+    /**
+     * Compute U4, the set of clients of U3 that have sent their signature of U3
+     */
+    computeU4() {
+        this.clientIDsU4 = []
+        this.signatureU3Messages = this.takeMessages(MessageType.SIGNATURE_U3, this.clientIDsU3)
+
+        for (let i = 0; i < this.clientIDsU3.length; ++i) {
+            if (this.signatureU3Messages.hasOwnProperty(this.clientIDsU3[i])) {
+                this.clientIDsU4.push(this.clientIDsU3[i])
+            }
+        }
+
+        if (this.clientIDsU4.length < this.threshold) {
+            throw 'Too many clients dropped in the consistency check round - We are not able to aggregate'
+        }
+    }
+
+    /**
+     * Collect the signatures of U3 from the clients in U4 and send them to the clients in U4
+     */
+    async sendSignaturesU3() {
+        let signatures = {}
+        for (let i = 0; i < this.clientIDsU4.length; ++i) {
+            signatures[this.clientIDsU4[i]] = this.signatureU3Messages[this.clientIDsU4[i]].signature
+        }
+
+        for (let i = 0; i < this.clientIDsU4.length; ++i) {
+            await this.send(this.clientIDsU4[i], Messages.signaturesU3(signatures))
+        }
+    }
+
+    /**
+     * Against a malicious server, the server forwards the signatures of U3 so that the clients can check the consistency of U3
+     * Against an honest but curious server, this round does nothing
+     */
+    async roundConsistencyCheck() {
+        if (this.config.maliciousServer) {
+            this.computeU4()
+            this.openRound(MessageType.UNMASKING_RESPONSE)
+            await this.sendSignaturesU3()
+        }
+    }
+
+
     /* ======== Round 3 ======== */
     
 
     /**
      * Compute U5, the set of clients that have sent their shares to the server
+     * Against a malicious server, only the clients of U4 can send their shares
      */
     computeU5() {
         this.clientIDsU5 = []
+        this.unmaskingMessages = this.takeMessages(MessageType.UNMASKING_RESPONSE, this.config.maliciousServer ? this.clientIDsU4 : this.clientIDsU3)
 
         for (const clientIteratedID in this.clientListU2) {
-            if (this.clientListU2[clientIteratedID].client.isUp) {
+            if (this.unmaskingMessages.hasOwnProperty(clientIteratedID)) {
                 this.clientIDsU5.push(this.clientListU2[clientIteratedID].id)
             }
         }
@@ -221,6 +552,7 @@ const Helper = require("./helper.js")
     /**
      * Collect the ciphertexts corresponding of the remaining clients
      * Sort them depending if the client is alive or not
+     * A client only holds the shares of its neighbours
      */
     collectResponses() {
         let keyStocker = {};
@@ -233,11 +565,14 @@ const Helper = require("./helper.js")
             keyStocker[clientAliveID] = {}
             seedStocker[clientAliveID] = {}
             for (const clientIteratedID in this.clientListU2) {
+                if (!this.unmaskingMessages[clientAliveID].splits.hasOwnProperty(clientIteratedID)) {
+                    continue;
+                }
                 if (this.clientU2NotInU3.includes(clientIteratedID)) {
-                    keyStocker[clientAliveID][clientIteratedID] = this.clientListU2[clientAliveID].client.splits[clientIteratedID];
+                    keyStocker[clientAliveID][clientIteratedID] = this.unmaskingMessages[clientAliveID].splits[clientIteratedID];
                 }
                 else {
-                    seedStocker[clientAliveID][clientIteratedID] = this.clientListU2[clientAliveID].client.splits[clientIteratedID];
+                    seedStocker[clientAliveID][clientIteratedID] = this.unmaskingMessages[clientAliveID].splits[clientIteratedID];
                 }
             }
         }
@@ -246,6 +581,28 @@ const Helper = require("./helper.js")
         this.seedStocker = seedStocker
     }
 
+    /**
+     * Number of shares needed to reconstruct a secret of a client
+     * It is the threshold of the protocol, or the threshold of the neighbourhoods with a SecAgg+ communication graph
+     * @returns {Number}
+     */
+    shareThreshold() {
+        return this.config.graph === null ? this.threshold : this.config.graph.threshold
+    }
+
+    /**
+     * Check that enough shares of a secret of a client were received to reconstruct it
+     * @param {Object} shares Shares received, with their index as key
+     * @param {String} kind Kind of the secret, 'key' or 'seed'
+     * @param {String} clientID ID of the client owning the secret
+     */
+    checkShareCount(shares, kind, clientID) {
+        const count = Object.keys(shares).length
+        if (count < this.shareThreshold()) {
+            throw 'Only ' + count + ' shares of the ' + kind + ' of client ' + clientID + ' for a threshold of ' + this.shareThreshold() + ' - We are not able to aggregate'
+        }
+    }
+
     /**
      * Reconstruct the keys of the clients that dropped at U3
      */
@@ -256,8 +613,12 @@ const Helper = require("./helper.js")
             const clientDroppedID = this.clientU2NotInU3[i];
             let keyShamirRecover = {}
             for (const clientAliveIteratedID in this.keyStocker) {
-                keyShamirRecover[this.keyStocker[clientAliveIteratedID][clientDroppedID]['index']] = this.keyStocker[clientAliveIteratedID][clientDroppedID]['keySplit'].split(",")
+                if (!this.keyStocker[clientAliveIteratedID].hasOwnProperty(clientDroppedID)) {
+                    continue
+                }
+                keyShamirRecover[this.keyStocker[clientAliveIteratedID][clientDroppedID]['index']] = this.keyStocker[clientAliveIteratedID][clientDroppedID]['keySplit']
             }
+            this.checkShareCount(keyShamirRecover, 'key', clientDroppedID)
             const recovered = join(keyShamirRecover)
             const utf8Decoder = new TextDecoder();
             const decoded = utf8Decoder.decode(recovered);
@@ -273,39 +634,32 @@ const Helper = require("./helper.js")
  
     /**
      * Reconstruct the masks of the dropped clients
+     * A dropped client only shares a pairwise mask with its neighbours
      */
     async reconstructDroppedClientsMask() {
 
-        const buffer = new ArrayBuffer(4)
-        const view = new DataView(buffer)
-        view.setInt32(0, 0)
-
         for (const clientDroppedID in this.keysRetrieved) {
 
             const privateKeyOfDroppedUser = this.keysRetrieved[clientDroppedID]
 
             for (const clientIteratedID in this.clientListU2) {
 
-                if (this.clientIDsU3.includes(clientIteratedID)) {
+                if (this.clientIDsU3.includes(clientIteratedID) && this.areNeighbours(clientDroppedID, clientIteratedID)) {
                     const clientAlive = this.clientListU2[clientIteratedID];
-                    const seedBuffer = await Helper.deriveSharedNumber(privateKeyOfDroppedUser, clientAlive.seedPublicKey);
-                    const seed = new DataView(seedBuffer, 0).getInt16(1);
-                    const PRNG = Helper.getPRNGFromSeed(seed)
-                    const mask = PRNG(2 ** 32)
+                    const seedPublicKey = await Helper.importPublicKey(clientAlive.seedPublicKey);
+                    const seed = await Helper.deriveSharedSeed(privateKeyOfDroppedUser, seedPublicKey, this.iteration);
+                    const mask = await this.group.mask(seed, this.agg.length)
 
                     if (clientAlive.id < clientDroppedID) {
-                        view.setInt32(0, view.getInt32(0) + mask);
+                        this.group.addInPlace(this.agg, mask);
                     }
                     else {
-                        view.setInt32(0, view.getInt32(0) - mask);
+                        this.group.subInPlace(this.agg, mask);
                     }
 
                 }
             }
         }
-
-        view.setInt32(0, view.getInt32(0) + this.agg)
-        this.agg = Number.parseInt(view.getInt32(0))
     }
  
     /**
@@ -321,33 +675,28 @@ const Helper = require("./helper.js")
             let seedShamirRecover = {}
 
             for (const clientAliveReconstructionID in this.seedStocker) {
-                seedShamirRecover[this.seedStocker[clientAliveReconstructionID][clientAliveReconstructedID]['index']] = this.seedStocker[clientAliveReconstructionID][clientAliveReconstructedID]['seedSplit'].split(",")
+                if (!this.seedStocker[clientAliveReconstructionID].hasOwnProperty(clientAliveReconstructedID)) {
+                    continue
+                }
+                seedShamirRecover[this.seedStocker[clientAliveReconstructionID][clientAliveReconstructedID]['index']] = this.seedStocker[clientAliveReconstructionID][clientAliveReconstructedID]['seedSplit']
             }
 
+            this.checkShareCount(seedShamirRecover, 'self mask seed', clientAliveReconstructedID)
             const recovered = join(seedShamirRecover)
-            const utf8Decoder = new TextDecoder();
-            const decoded = utf8Decoder.decode(recovered);
 
-            seedRecovered[clientAliveReconstructedID] = decoded;
+            seedRecovered[clientAliveReconstructedID] = recovered;
         }
         this.seedRecovered = seedRecovered;
     }
  
     /**
-     * Remove the remaining clients mask from the seed
+     * Remove the remaining clients self mask, expanded from the reconstructed seed
      */
-    reconstructAliveClientsMask() {
-        const buffer = new ArrayBuffer(4)
-        const view = new DataView(buffer)
-
+    async reconstructAliveClientsMask() {
         for (const clientReconstructed in this.seedRecovered) {
-            const seed = parseInt(this.seedRecovered[clientReconstructed])
-            const valueMask = gen.create(seed)(2 ** 32)
-            view.setInt32(0, valueMask + view.getInt32(0))
+            const selfMask = await this.group.mask(this.seedRecovered[clientReconstructed], this.agg.length)
+            this.group.subInPlace(this.agg, selfMask)
         }
-
-        view.setInt32(0, this.agg - view.getInt32(0))
-        this.agg = Number.parseInt(view.getInt32(0))
      }
      
 
@@ -355,8 +704,9 @@ const Helper = require("./helper.js")
     /**
      * In the round 3, the server collect the shamir t out of n shares.
      * Depending if the client has dropped or not, it generates the seed or the private key
-     * After removing the mask the server computes the mean
-     * @returns Gradient mean
+     * After removing the mask the server computes the element-wise mean, weighted by the masked weights of the clients if the encoder has weights
+     * With differential privacy, the privacy accounting of the noisy mean is kept in privacyReport
+     * @returns Gradient mean vector
      */
     async round3() {
         this.computeU5()
@@ -364,24 +714,34 @@ const Helper = require("./helper.js")
         await this.reconstructDroppedClientsKeys()
         await this.reconstructDroppedClientsMask()
         this.reconstructAliveClientsSeed()
-        this.reconstructAliveClientsMask()
-        return (this.agg / 10**4) / this.clientIDsU3.length
+        await this.reconstructAliveClientsMask()
+        this.privacyReport = this.config.privacy === null ? null : this.config.privacy.report(this.encoder, this.agg.length, this.clientIDsU3.length)
+        return this.encoder.decodeMean(Array.from(this.agg, value => this.group.decode(value)), this.clientIDsU3.length)
     }
  
     /**
      * Compute the aggregation result in a non secure way
-     * @returns Aggregation mean
+     * The server never sees the secret values, so the simulation has to give it the clients
+     * @param {Array<Client>} clients Clients of the simulation, only the ones in U3 are aggregated
+     * @returns Aggregation mean vector, weighted by the weights of the clients if the encoder has weights
      */
-    aggregateWithoutSecrecy() {
-        let sum = 0;
+    aggregateWithoutSecrecy(clients) {
+        let sum = null;
         let count = 0;
-        for (const clientIteratedID in this.clientList) {
-            if (this.clientIDsU3.includes(clientIteratedID)) {
-                sum += this.clientList[clientIteratedID].client.secretValue;
-                count += 1;
+        for (const client of clients) {
+            if (this.clientIDsU3.includes(client.id)) {
+                const secretValue = client.secretValue;
+                const weight = this.encoder.maxWeight === null ? 1 : client.weight;
+                if (sum === null) {
+                    sum = new Array(secretValue.length).fill(0);
+                }
+                for (let i = 0; i < sum.length; ++i) {
+                    sum[i] += weight * secretValue[i];
+                }
+                count += weight;
             }
         }
-        const mean = sum / count
+        const mean = sum.map(value => value / count)
         return mean
     }
 }
@@ -390,12 +750,11 @@ const Helper = require("./helper.js")
  * Data Storing class representing the clients in a server
  */
 class ClientForServer {
-    constructor(client, id, seedPublicKey, encryptionPublicKey) {
-        this.client = client;
+    constructor(id, seedPublicKey, encryptionPublicKey, keySignature) {
         this.id = id;
         this.seedPublicKey = seedPublicKey;
         this.encryptionPublicKey = encryptionPublicKey;
-        this.isUp = true;
+        this.keySignature = keySignature;
     }
 }
 
@@ -0,0 +1,68 @@
+/**
+ * This file runs the server of the Secure Aggregation Protocol as a standalone process over HTTP
+ *
+ * Usage: node src/server_process.js --clients 4 --threshold 2 [--port 8080] [--timeout 10000]
+ */
+
+/**
+ * Imports
+ */
+const Server = require("./server.js")
+const { networkConfig } = require("./config.js")
+const { HttpServerTransport } = require("./http_transport.js")
+const { MessageType } = require("./messages.js")
+const { parseArguments } = require("./arguments.js")
+
+
+/**
+ * Run the server: each round starts once every client expected for this round sent its message, or at the deadline of the round
+ * The clients that did not answer before the deadline are considered as dropped, their late messages are ignored
+ * @param {Number} nbClients Number of clients in the protocol
+ * @param {Number} threshold Shamir t out of n threshold
+ * @param {Number} port Port to listen on, 0 picks a free port
+ * @param {Number} timeout Maximum duration in ms of the wait for the messages of a round
+ * @returns The aggregation mean vector
+ */
+async function runServer(nbClients, threshold, port, timeout) {
+    const server = new Server(nbClients, threshold, { ...networkConfig, roundTimeout: timeout });
+    const transport = new HttpServerTransport();
+    transport.registerServer(server);
+
+    const listeningPort = await transport.listen(port);
+    console.log(`Server listening on http://127.0.0.1:${listeningPort}`);
+
+    try {
+        await server.waitForMessages(MessageType.ADVERTISE_KEYS);
+        await server.round0();
+        console.log(`Round 0: ${Object.keys(server.clientList).length} clients in U1`);
+
+        await server.waitForMessages(MessageType.SHARE_KEYS);
+        await server.round1();
+        console.log(`Round 1: ${Object.keys(server.clientListU2).length} clients in U2`);
+
+        await server.waitForMessages(MessageType.MASKED_INPUT);
+        await server.round2();
+        console.log(`Round 2: ${server.clientIDsU3.length} clients in U3`);
+
+        await server.waitForMessages(MessageType.UNMASKING_RESPONSE);
+        const result = await server.round3();
+        console.log(`Round 3: ${server.clientIDsU5.length} clients in U5`);
+        console.log(`Late messages ignored: ${server.lateMessages.length}`);
+
+        return result;
+    } finally {
+        await transport.close();
+    }
+}
+
+if (require.main === module) {
+    const { options } = parseArguments(process.argv.slice(2));
+    runServer(Number(options.clients), Number(options.threshold), Number(options.port || 0), Number(options.timeout || 10000))
+        .then(result => console.log(`Result: ${JSON.stringify(result)}`))
+        .catch(error => {
+            console.log(`Aborted: ${error}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { runServer }
@@ -0,0 +1,112 @@
+/**
+ * This file provides the aggregation session, running successive iterations of the protocol with the same server and clients
+ */
+
+/**
+ * Imports
+ */
+const Server = require("./server.js")
+const Client = require("./client.js")
+const { LocalTransport } = require("./transport.js")
+const { SystemRandomness } = require("./randomness.js")
+
+
+/**
+ * Represent an aggregation session, as needed by federated training where every training round aggregates the updates of a cohort
+ * The server and the clients persist across the iterations: each iteration uses fresh self masks and fresh pairwise masks,
+ * and the cohort can change from one iteration to the next, the clients being created the first time they take part
+ * An iteration number is never used twice, even when the previous iteration aborted
+ */
+class Session {
+
+    /**
+     * @param {Number} threshold Shamir t out of n threshold of every iteration
+     * @param {Object} config Protocol configuration, identical for the clients and the server, a random session ID is drawn if none is given
+     */
+    constructor(threshold, config = {}) {
+        this.threshold = threshold;
+        const randomness = config.randomness || new SystemRandomness();
+        this.config = { sessionID: randomness.uuid(), randomness: randomness, ...config };
+        this.sessionID = this.config.sessionID;
+        this.iteration = 0;
+        this.clients = {};
+        this.results = [];
+        this.transport = new LocalTransport();
+        this.server = new Server(0, threshold, this.config);
+        this.transport.registerServer(this.server);
+    }
+
+    /**
+     * Get a client of the session, creating it the first time it takes part
+     * @param {String} id ID of the client
+     * @returns {Client}
+     */
+    client(id) {
+        if (!this.clients.hasOwnProperty(id)) {
+            this.clients[id] = new Client(id, [], 0, this.threshold, this.config);
+            this.transport.registerClient(this.clients[id]);
+        }
+        return this.clients[id];
+    }
+
+    /**
+     * Run one iteration of the protocol
+     * A client listed in the dropouts runs the rounds before the given round, then stops answering until the end of the iteration
+     * The round of a dropout is 0, 1, 2 or 3, a client dropping at round 3 also misses the consistency check
+     * @param {Object} inputs Vector of each client of the cohort, with the client ID as key
+     * @param {Object} dropouts Round at which a client drops, with the client ID as key
+     * @param {Object} weights Weight of each client in the mean, with the client ID as key, 1 for a missing client
+     * @returns The result of the iteration: the iteration number, the cohort, the clients of U3, the mean vector, the clipped values
+     * and the privacy report of the mean, null without differential privacy
+     */
+    async runIteration(inputs, dropouts = {}, weights = {}) {
+        const iteration = this.iteration++;
+        const cohort = Object.keys(inputs);
+
+        this.server.startIteration(iteration, cohort.length);
+        for (const id of cohort) {
+            this.client(id).startIteration(iteration, inputs[id], cohort.length, weights.hasOwnProperty(id) ? weights[id] : 1);
+        }
+
+        /* Clients of the cohort still answering at a round */
+        const active = round => cohort.filter(id => !dropouts.hasOwnProperty(id) || dropouts[id] > round).map(id => this.clients[id]);
+
+        for (const client of active(0)) {
+            await client.round0();
+        }
+        await this.server.round0();
+
+        for (const client of active(1)) {
+            await client.round1();
+        }
+        await this.server.round1();
+
+        for (const client of active(2)) {
+            await client.round2();
+        }
+        await this.server.round2();
+
+        for (const client of active(3)) {
+            await client.roundConsistencyCheck();
+        }
+        await this.server.roundConsistencyCheck();
+
+        for (const client of active(3)) {
+            await client.round3();
+        }
+        const mean = await this.server.round3();
+
+        const result = {
+            iteration: iteration,
+            cohort: cohort,
+            clientIDsU3: [...this.server.clientIDsU3],
+            mean: mean,
+            clippedCounts: this.server.clippedCounts,
+            privacy: this.server.privacyReport
+        };
+        this.results.push(result);
+        return result;
+    }
+}
+
+module.exports = Session
@@ -0,0 +1,211 @@
+/**
+ * This file provides Shamir t out of n secret sharing over the prime field of the Mersenne prime 2^521 - 1
+ *
+ * A secret is a byte string: its length on 4 bytes followed by its bytes, padded with zeros, is cut into chunks of 65 bytes,
+ * each chunk being a field element shared with its own random polynomial of degree t - 1
+ * A share is the concatenation of the evaluations of the polynomials at the index of the share, each on 66 bytes big endian
+ * The indexes go from 1 to n, so that n is only limited by the number of field elements
+ */
+
+
+/* Prime of the field, the Mersenne prime 2^521 - 1 */
+const fieldPrime = 2n ** 521n - 1n
+
+/* Number of bytes of an encoded field element */
+const elementLength = 66
+
+/* Number of bytes of the secret in a field element, any 520 bits integer is smaller than the prime */
+const chunkLength = 65
+
+/* Number of bytes of the length of the secret */
+const secretLengthBytes = 4
+
+
+/**
+ * Convert big endian bytes to an integer
+ * @param {Uint8Array} bytes
+ * @returns {BigInt}
+ */
+function bytesToBigInt(bytes) {
+    let value = 0n;
+    for (const byte of bytes) {
+        value = (value << 8n) | BigInt(byte);
+    }
+    return value;
+}
+
+/**
+ * Convert an integer to big endian bytes
+ * @param {BigInt} value
+ * @param {Number} length Number of bytes
+ * @returns {Uint8Array}
+ */
+function bigIntToBytes(value, length) {
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; --i) {
+        bytes[i] = Number(value & 0xffn);
+        value >>= 8n;
+    }
+    return bytes;
+}
+
+/**
+ * Reduce an integer modulo the prime of the field
+ * @param {BigInt} value
+ * @returns {BigInt}
+ */
+function mod(value) {
+    const reduced = value % fieldPrime;
+    return reduced < 0n ? reduced + fieldPrime : reduced;
+}
+
+/**
+ * Inverse of a non zero field element, with the extended Euclidean algorithm
+ * @param {BigInt} value
+ * @returns {BigInt}
+ */
+function inverse(value) {
+    let [a, b] = [mod(value), fieldPrime];
+    let [x, y] = [1n, 0n];
+    while (b != 0n) {
+        const q = a / b;
+        [a, b] = [b, a - q * b];
+        [x, y] = [y, x - q * y];
+    }
+    if (a != 1n) {
+        throw 'Shamir: ' + value + ' has no inverse in the field';
+    }
+    return mod(x);
+}
+
+/**
+ * Draw a uniformly random field element
+ * @param {Function} randomBytes Function returning a given number of random bytes
+ * @returns {BigInt}
+ */
+function randomElement(randomBytes) {
+    for (;;) {
+        const bytes = randomBytes(elementLength);
+        bytes[0] &= 0x01;
+        const value = bytesToBigInt(bytes);
+        if (value < fieldPrime) {
+            return value;
+        }
+    }
+}
+
+/**
+ * Split a secret in n shares, any t of them reconstructing the secret
+ * @param {Function} randomBytes Function returning a given number of random bytes, such as crypto.randomBytes
+ * @param {Number} nbShares Number n of shares
+ * @param {Number} threshold Number t of shares needed to reconstruct the secret
+ * @param {Uint8Array} secret
+ * @returns {Object} The shares as Uint8Array, with their index from 1 to n as key
+ */
+function split(randomBytes, nbShares, threshold, secret) {
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > nbShares) {
+        throw 'Shamir: the threshold ' + threshold + ' must be between 1 and the number of shares ' + nbShares;
+    }
+
+    /* The length and the secret, padded with zeros to a whole number of chunks */
+    const nbChunks = Math.ceil((secretLengthBytes + secret.length) / chunkLength);
+    const data = new Uint8Array(nbChunks * chunkLength);
+    new DataView(data.buffer).setUint32(0, secret.length);
+    data.set(secret, secretLengthBytes);
+
+    let shares = {};
+    for (let index = 1; index <= nbShares; ++index) {
+        shares[index] = new Uint8Array(nbChunks * elementLength);
+    }
+
+    for (let chunk = 0; chunk < nbChunks; ++chunk) {
+        let coefficients = [bytesToBigInt(data.subarray(chunk * chunkLength, (chunk + 1) * chunkLength))];
+        for (let degree = 1; degree < threshold; ++degree) {
+            coefficients.push(randomElement(randomBytes));
+        }
+
+        for (let index = 1; index <= nbShares; ++index) {
+            /* Horner evaluation of the polynomial at the index */
+            const x = BigInt(index);
+            let y = 0n;
+            for (let degree = threshold - 1; degree >= 0; --degree) {
+                y = mod(y * x + coefficients[degree]);
+            }
+            shares[index].set(bigIntToBytes(y, elementLength), chunk * elementLength);
+        }
+    }
+    return shares;
+}
+
+/**
+ * Reconstruct a secret from its shares with Lagrange interpolation at 0
+ * At least t shares produced by the same split must be given, otherwise the result is meaningless or an error is thrown
+ * The indexes must be distinct decimal integers from 1, a duplicate index such as 1 and 01 is rejected
+ * @param {Object} shares The shares as Uint8Array, with their index as key
+ * @returns {Uint8Array} The secret
+ */
+function join(shares) {
+    const keys = Object.keys(shares);
+    if (keys.length == 0) {
+        throw 'Shamir: no share to reconstruct the secret';
+    }
+    for (const key of keys) {
+        if (!/^[0-9]+$/.test(key)) {
+            throw 'Shamir: invalid share index ' + key;
+        }
+    }
+    const indexes = keys.map(index => BigInt(index));
+    if (new Set(indexes).size != indexes.length) {
+        throw 'Shamir: duplicate share index among ' + keys.join(', ');
+    }
+
+    const shareLength = shares[keys[0]].length;
+    for (const index of indexes) {
+        if (index < 1n || index >= fieldPrime) {
+            throw 'Shamir: invalid share index ' + index;
+        }
+    }
+    for (const key of keys) {
+        if (shares[key].length != shareLength || shareLength % elementLength != 0) {
+            throw 'Shamir: the share of index ' + key + ' has ' + shares[key].length + ' bytes';
+        }
+    }
+
+    /* Lagrange coefficients at 0, common to every chunk */
+    const lagrange = indexes.map(xi => {
+        let numerator = 1n;
+        let denominator = 1n;
+        for (const xj of indexes) {
+            if (xj != xi) {
+                numerator = mod(numerator * xj);
+                denominator = mod(denominator * (xj - xi));
+            }
+        }
+        return mod(numerator * inverse(denominator));
+    });
+
+    const nbChunks = shareLength / elementLength;
+    const data = new Uint8Array(nbChunks * chunkLength);
+    for (let chunk = 0; chunk < nbChunks; ++chunk) {
+        let secret = 0n;
+        for (let i = 0; i < indexes.length; ++i) {
+            const y = bytesToBigInt(shares[keys[i]].subarray(chunk * elementLength, (chunk + 1) * elementLength));
+            if (y >= fieldPrime) {
+                throw 'Shamir: the share of index ' + indexes[i] + ' is not a field element';
+            }
+            secret = mod(secret + lagrange[i] * y);
+        }
+        if (secret >= 2n ** BigInt(8 * chunkLength)) {
+            throw 'Shamir: the shares do not reconstruct a valid secret';
+        }
+        data.set(bigIntToBytes(secret, chunkLength), chunk * chunkLength);
+    }
+
+    const secretLength = new DataView(data.buffer).getUint32(0);
+    if (secretLengthBytes + secretLength > data.length) {
+        throw 'Shamir: the shares do not reconstruct a valid secret';
+    }
+    return data.slice(secretLengthBytes, secretLengthBytes + secretLength);
+}
+
+module.exports = { fieldPrime, split, join }
@@ -0,0 +1,74 @@
+/**
+ * This file provides the binary encoding of the shares a client encrypts for each other client
+ *
+ * The payload is the concatenation of
+ * - the index of the shares, on 4 bytes
+ * - the length of the share of the seed private key, on 4 bytes, then the share
+ * - the length of the share of the self mask seed, on 4 bytes, then the share
+ * The integers are big endian. The IDs of the sender and of the receiver are not part of the payload,
+ * they are authenticated as associated data of the encryption
+ */
+
+
+/* Number of bytes of the index and of the lengths */
+const headerLength = 4
+
+
+/**
+ * Encode the shares of a client for another client
+ * @param {Number} index Index of the shares, the x coordinate of the Shamir sharing
+ * @param {Uint8Array} keyShare Share of the seed private key
+ * @param {Uint8Array} seedShare Share of the self mask seed
+ * @returns {Uint8Array} The payload
+ */
+function encodeSharePayload(index, keyShare, seedShare) {
+    const payload = new Uint8Array(3 * headerLength + keyShare.length + seedShare.length);
+    const view = new DataView(payload.buffer);
+
+    let offset = 0;
+    view.setUint32(offset, index);
+    offset += headerLength;
+    for (const share of [keyShare, seedShare]) {
+        view.setUint32(offset, share.length);
+        offset += headerLength;
+        payload.set(share, offset);
+        offset += share.length;
+    }
+    return payload;
+}
+
+/**
+ * Decode a payload produced by encodeSharePayload
+ * The lengths must exactly cover the payload
+ * @param {Uint8Array} payload
+ * @returns {Object} The index, keyShare and seedShare
+ */
+function decodeSharePayload(payload) {
+    const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+    let shares = [];
+
+    if (payload.length < headerLength) {
+        throw 'Invalid share payload: ' + payload.length + ' bytes is too short for the index';
+    }
+    const index = view.getUint32(0);
+    let offset = headerLength;
+    for (let i = 0; i < 2; ++i) {
+        if (offset + headerLength > payload.length) {
+            throw 'Invalid share payload: missing the length of share ' + i;
+        }
+        const length = view.getUint32(offset);
+        offset += headerLength;
+        if (offset + length > payload.length) {
+            throw 'Invalid share payload: share ' + i + ' of ' + length + ' bytes exceeds the payload';
+        }
+        shares.push(payload.slice(offset, offset + length));
+        offset += length;
+    }
+    if (offset != payload.length) {
+        throw 'Invalid share payload: ' + (payload.length - offset) + ' trailing bytes';
+    }
+
+    return { index: index, keyShare: shares[0], seedShare: shares[1] };
+}
+
+module.exports = { encodeSharePayload, decodeSharePayload }
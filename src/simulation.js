@@ -0,0 +1,227 @@
+/**
+ * This file provides the seeded simulations, whose runs can be reproduced from their seed
+ */
+
+/**
+ * Imports
+ */
+const { randomUUID } = require('crypto');
+const { performance } = require('perf_hooks');
+const { SeededRandomness } = require("./randomness.js")
+const Server = require("./server.js")
+const Client = require("./client.js")
+const Group = require("./group.js")
+const FixedPointEncoder = require("./encoder.js")
+const { LocalTransport } = require("./transport.js")
+
+
+/* Moments at which clients can drop during a simulation, before each phase of the clients and of the server, in the order of the protocol */
+const dropoutSpots = [
+    'beforeClientRound0', 'beforeServerRound0', 'beforeClientRound1', 'beforeServerRound1', 'beforeClientRound2', 'beforeServerRound2',
+    'beforeClientConsistencyCheck', 'beforeServerConsistencyCheck', 'beforeClientRound3', 'beforeServerRound3'
+]
+
+/* Moments of the random dropouts of runProtocol, the six moments of runPersonalized */
+const randomDropoutSpots = ['beforeClientRound1', 'beforeServerRound1', 'beforeClientRound2', 'beforeServerRound2', 'beforeClientRound3', 'beforeServerRound3']
+
+
+/**
+ * Simulation driven by a seed: the client IDs, the secret values and the dropouts are drawn from the simulation itself
+ * In test mode, the protocol also draws all its randomness from a second stream derived from the seed, so that the whole transcript is reproduced.
+ * Outside of test mode the protocol keeps the randomness of the system, and only the simulated inputs are reproduced
+ */
+class Simulation extends SeededRandomness {
+
+    static dropoutSpots = dropoutSpots
+    static randomDropoutSpots = randomDropoutSpots
+
+    /**
+     * @param {String} seed Seed of the simulation, a random one is drawn if none is given
+     * @param {Boolean} testMode Also derive the randomness of the protocol from the seed
+     */
+    constructor(seed = randomUUID(), testMode = false) {
+        super(seed);
+        this.testMode = testMode;
+        this.protocolRandomness = testMode ? new SeededRandomness(this.seed + '|protocol') : null;
+    }
+
+    /**
+     * Draw a uniform real number in [min, max)
+     * @param {Number} min
+     * @param {Number} max
+     * @returns {Number}
+     */
+    floatBetween(min, max) {
+        return min + (max - min) * this.float();
+    }
+
+    /**
+     * Complete a protocol configuration with the randomness of the simulation in test mode
+     * @param {Object} config Protocol configuration
+     * @returns The configuration, identical to the given one outside of test mode
+     */
+    config(config = {}) {
+        return this.testMode ? { randomness: this.protocolRandomness, ...config } : config;
+    }
+
+    /**
+     * Command line options reproducing the simulation
+     * @returns {String}
+     */
+    reproductionOptions() {
+        return `--seed ${this.seed}` + (this.testMode ? ' --test' : '');
+    }
+
+    /**
+     * Run the protocol once with clients holding random vectors, some of them dropping at the given moments
+     * The dropped clients are drawn among all the clients, a client dropping at most once
+     * @param {Object} params
+     * @param {Number} params.nbClients Number of clients
+     * @param {Number} params.threshold Shamir t out of n threshold
+     * @param {Array<Number>|DropoutModel} params.dropouts Number of clients dropping at each moment of randomDropoutSpots,
+     * or a dropout model of src/dropout.js drawing the dropped clients
+     * @param {Number} params.vectorLength Length of the secret vector of each client
+     * @param {Object} params.config Protocol configuration, the group is sized from the encoder when it is not given
+     * @returns The result of runCohort
+     */
+    async runProtocol({ nbClients, threshold, dropouts = [0, 0, 0, 0, 0, 0], vectorLength = 1, config = {} }) {
+        if (typeof dropouts.schedule === 'function') {
+            const clients = this.randomClients(nbClients, vectorLength, config.encoder || new FixedPointEncoder());
+            const schedule = dropouts.schedule(clients.map(client => client.id), this);
+            return await this.runCohort({ clients, threshold, dropouts: schedule, config });
+        }
+        if (dropouts.length != randomDropoutSpots.length || dropouts.reduce((a, b) => a + b, 0) > nbClients) {
+            throw `The dropouts must be ${randomDropoutSpots.length} numbers of clients summing to at most ${nbClients}, received [${dropouts}]`;
+        }
+
+        /* Indexes of the clients dropping at each moment */
+        let dropped = [];
+        let droppedIndexes = dropouts.map(nbDropouts => {
+            let indexes = [];
+            while (indexes.length < nbDropouts) {
+                const index = this.int(nbClients);
+                if (!dropped.includes(index)) {
+                    dropped.push(index);
+                    indexes.push(index);
+                }
+            }
+            return indexes;
+        });
+
+        const clients = this.randomClients(nbClients, vectorLength, config.encoder || new FixedPointEncoder());
+        let schedule = {};
+        randomDropoutSpots.forEach((spot, i) => {
+            schedule[spot] = droppedIndexes[i].map(index => clients[index].id);
+        });
+        return await this.runCohort({ clients, threshold, dropouts: schedule, config });
+    }
+
+    /**
+     * Draw clients with random IDs and random vectors in the clipping range of the encoder
+     * @param {Number} nbClients Number of clients
+     * @param {Number} vectorLength Length of the secret vector of each client
+     * @param {FixedPointEncoder} encoder
+     * @returns {Array<{id: String, values: Float32Array}>}
+     */
+    randomClients(nbClients, vectorLength, encoder) {
+        let clients = [];
+        for (let i = 0; i < nbClients; ++i) {
+            const values = new Float32Array(vectorLength).map(() => this.floatBetween(encoder.min, encoder.max));
+            clients.push({ id: this.uuid(), values: values });
+        }
+        return clients;
+    }
+
+    /**
+     * Run the protocol once with given clients, each listed client dropping at the given moment
+     * @param {Object} params
+     * @param {Array<{id: String, values: Array<Number>, weight: Number}>} params.clients Clients with their ID, their secret vector and optionally their weight
+     * @param {Number} params.threshold Shamir t out of n threshold
+     * @param {Object} params.dropouts IDs of the clients dropping at each moment, with the moment of dropoutSpots as key
+     * @param {Object} params.config Protocol configuration, the group is sized from the encoder when it is not given
+     * @param {LocalTransport} params.transport Transport carrying the messages, such as a transport recording them
+     * @returns The client IDs, the IDs of the dropped clients at each moment, U3, the secure mean, the mean without secrecy, the clipped values,
+     * and the computation time in ms of each phase, the sum over the clients for the phases of the clients.
+     * The protocol errors are thrown, as when too many clients dropped
+     */
+    async runCohort({ clients, threshold, dropouts = {}, config = {}, transport = new LocalTransport() }) {
+        const nbClients = clients.length;
+        const ids = clients.map(client => client.id);
+        for (const spot in dropouts) {
+            if (!dropoutSpots.includes(spot)) {
+                throw `Unknown dropout moment ${spot}, the moments are ${dropoutSpots.join(', ')}`;
+            }
+            for (const id of dropouts[spot]) {
+                if (!ids.includes(id)) {
+                    throw `The client ${id} dropping ${spot} is not in the cohort`;
+                }
+            }
+        }
+
+        /* The group is sized from the encoder so that the sum of the inputs cannot overflow */
+        const encoder = config.encoder || new FixedPointEncoder();
+        config = this.config({ group: Group.powerOfTwo(encoder.requiredBits(nbClients)), ...config, encoder: encoder });
+
+        const protocolClients = clients.map(({ id, values, weight = 1 }) => new Client(id, values, nbClients, threshold, config, weight));
+        const server = new Server(nbClients, threshold, config);
+
+        transport.registerServer(server);
+        for (const client of protocolClients) {
+            transport.registerClient(client);
+        }
+
+        const putDown = spot => (dropouts[spot] || []).forEach(id => protocolClients[ids.indexOf(id)].putDown());
+        let durations = {};
+        const timed = async (phase, run) => {
+            const start = performance.now();
+            await run();
+            durations[phase] = performance.now() - start;
+        };
+        const runClients = round => timed('client' + round[0].toUpperCase() + round.slice(1), async () => {
+            for (const client of protocolClients) {
+                await client[round]();
+            }
+        });
+
+        putDown('beforeClientRound0');
+        await runClients('round0');
+        putDown('beforeServerRound0');
+        await timed('serverRound0', () => server.round0());
+
+        putDown('beforeClientRound1');
+        await runClients('round1');
+        putDown('beforeServerRound1');
+        await timed('serverRound1', () => server.round1());
+
+        putDown('beforeClientRound2');
+        await runClients('round2');
+        putDown('beforeServerRound2');
+        await timed('serverRound2', () => server.round2());
+
+        /* Consistency check, only performed against a malicious server */
+        putDown('beforeClientConsistencyCheck');
+        await runClients('roundConsistencyCheck');
+        putDown('beforeServerConsistencyCheck');
+        await timed('serverRoundConsistencyCheck', () => server.roundConsistencyCheck());
+
+        putDown('beforeClientRound3');
+        await runClients('round3');
+        putDown('beforeServerRound3');
+        let mean;
+        await timed('serverRound3', async () => {
+            mean = await server.round3();
+        });
+
+        return {
+            clientIDs: ids,
+            dropped: Object.fromEntries(dropoutSpots.map(spot => [spot, [...(dropouts[spot] || [])]])),
+            clientIDsU3: [...server.clientIDsU3],
+            mean: mean,
+            reference: server.aggregateWithoutSecrecy(protocolClients),
+            clippedCounts: server.clippedCounts,
+            durations: durations
+        };
+    }
+}
+
+module.exports = Simulation
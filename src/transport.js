@@ -0,0 +1,80 @@
+/**
+ * This file provides the transports carrying the messages between the clients and the server
+ */
+
+/**
+ * Imports
+ */
+const { encode, decode } = require("./wire.js")
+
+
+/**
+ * Interface of a transport
+ * The server and the clients only communicate through the messages of src/messages.js sent on a transport
+ * An endpoint registered on a transport receives the messages addressed to it through its receive method
+ */
+class Transport {
+
+    /**
+     * Send a message from a client to the server
+     * @param {Object} message
+     */
+    async sendToServer(message) {
+        throw 'sendToServer is not implemented by this transport';
+    }
+
+    /**
+     * Send a message from the server to a client
+     * @param {String} clientID ID of the receiving client
+     * @param {Object} message
+     */
+    async sendToClient(clientID, message) {
+        throw 'sendToClient is not implemented by this transport';
+    }
+}
+
+
+/**
+ * Transport between a server and clients running in the same process
+ * Every message goes through the wire format of src/wire.js on delivery, so that the endpoints never share references
+ * and that the local runs check the same encoding as the HTTP transport
+ */
+class LocalTransport extends Transport {
+
+    constructor() {
+        super();
+        this.server = null;
+        this.clients = {};
+    }
+
+    /**
+     * Register the server on the transport
+     * @param {Server} server
+     */
+    registerServer(server) {
+        this.server = server;
+        server.transport = this;
+    }
+
+    /**
+     * Register a client on the transport
+     * @param {Client} client
+     */
+    registerClient(client) {
+        this.clients[client.id] = client;
+        client.transport = this;
+    }
+
+    async sendToServer(message) {
+        this.server.receive(decode(encode(message)));
+    }
+
+    async sendToClient(clientID, message) {
+        if (!this.clients.hasOwnProperty(clientID)) {
+            throw 'No client ' + clientID + ' registered on the transport';
+        }
+        this.clients[clientID].receive(decode(encode(message)));
+    }
+}
+
+module.exports = { Transport, LocalTransport }
@@ -0,0 +1,159 @@
+/**
+ * This file provides the verification of the protocol across dropout patterns
+ *
+ * For each cohort size and threshold, every combination of the dropout moments is run, one distinct client dropping at each moment of the combination.
+ * The dropping clients are drawn from the seeded simulation, so that the sweep does not only drop the first clients of the cohort.
+ * A run must give the mean computed without secrecy, up to the precision of the encoding, and the expected U3 when enough clients survive,
+ * and must abort exactly when the survivors fall below the threshold.
+ * Each run is a scenario of src/scenario.js, so that a failing configuration can be saved and rerun on its own
+ */
+
+/**
+ * Imports
+ */
+const FixedPointEncoder = require("./encoder.js")
+const Simulation = require("./simulation.js")
+const { runScenario } = require("./scenario.js")
+
+
+/* Moments of the consistency check, only relevant against a malicious server */
+const consistencyCheckSpots = ['beforeClientConsistencyCheck', 'beforeServerConsistencyCheck']
+
+
+/**
+ * Dropout moments swept by the verification
+ * @param {Boolean} maliciousServer Also sweep the moments of the consistency check
+ * @returns {Array<String>} The moments, in the order of the protocol
+ */
+function sweptSpots(maliciousServer) {
+    return Simulation.dropoutSpots.filter(spot => maliciousServer || !consistencyCheckSpots.includes(spot));
+}
+
+/**
+ * Every combination of at most maxSize moments, in the order of the protocol
+ * @param {Array<String>} spots Moments to combine
+ * @param {Number} maxSize Largest number of moments of a combination
+ * @returns {Array<Array<String>>} The combinations, the empty one first
+ */
+function combinations(spots, maxSize) {
+    let result = [[]];
+    for (const spot of spots) {
+        result = result.concat(result.filter(combination => combination.length < maxSize).map(combination => [...combination, spot]));
+    }
+    return result.sort((a, b) => a.length - b.length);
+}
+
+/**
+ * Draw distinct clients from the simulation, with a partial Fisher-Yates shuffle
+ * @param {Array<String>} ids IDs of the clients
+ * @param {Number} count Number of clients to draw, at most the number of clients
+ * @param {Simulation} simulation Simulation drawing the clients
+ * @returns {Array<String>} The IDs of the drawn clients, in the order of the draws
+ */
+function drawClients(ids, count, simulation) {
+    let remaining = [...ids];
+    for (let i = 0; i < count; ++i) {
+        const j = i + simulation.int(remaining.length - i);
+        [remaining[i], remaining[j]] = [remaining[j], remaining[i]];
+    }
+    return remaining.slice(0, count);
+}
+
+/**
+ * Outcome of a run following the protocol: each phase needs at least threshold clients, so the run aborts as soon as the survivors fall below the threshold.
+ * A client dropping before the server round 3 has already sent its shares, so its dropout cannot abort the run
+ * @param {Array<String>} ids IDs of the clients
+ * @param {Number} threshold Shamir t out of n threshold
+ * @param {Object} dropouts IDs of the clients dropping at each moment, with the moment of Simulation.dropoutSpots as key
+ * @returns The expected outcome, the moment after which the survivors fall below the threshold on abort, and U3 on success
+ */
+function expectedOutcome(ids, threshold, dropouts) {
+    let survivors = [...ids];
+    let clientIDsU3 = null;
+    for (const spot of Simulation.dropoutSpots.slice(0, -1)) {
+        survivors = survivors.filter(id => !(dropouts[spot] || []).includes(id));
+        if (survivors.length < threshold) {
+            return { outcome: 'abort', spot: spot, clientIDsU3: null };
+        }
+        /* U3 holds the clients that sent their masked input in the client round 2 */
+        if (spot == 'beforeClientRound2') {
+            clientIDsU3 = [...survivors];
+        }
+    }
+    return { outcome: 'success', spot: null, clientIDsU3: clientIDsU3 };
+}
+
+/**
+ * Run the protocol for every cohort size, threshold and combination of dropout moments
+ * @param {Object} params
+ * @param {Array<Number>} params.cohortSizes Numbers of clients
+ * @param {Array<Number>} params.thresholds Thresholds, every threshold from 2 to the number of clients by default
+ * @param {Number} params.maxPhases Largest number of moments of a combination, limited by the number of clients
+ * @param {Boolean} params.maliciousServer Run against a malicious server, with the consistency check
+ * @param {Number} params.vectorLength Length of the secret vector of each client
+ * @param {Simulation} params.simulation Simulation drawing the dropping clients and the secret values, its seed also seeds each run in test mode
+ * @param {Function} params.onCase Called with the report of each run, for the progress of long sweeps
+ * @returns The summary of each cohort size and threshold, and the report of each failing run with its scenario
+ */
+async function verify({ cohortSizes = [3, 4], thresholds = null, maxPhases = Infinity, maliciousServer = false, vectorLength = 1, simulation = new Simulation(), onCase = null }) {
+    const encoder = new FixedPointEncoder();
+    const spots = sweptSpots(maliciousServer);
+
+    let cohorts = [];
+    let failures = [];
+    for (const nbClients of cohortSizes) {
+        const ids = Array.from({ length: nbClients }, (_, i) => 'client' + i);
+        const cohortThresholds = thresholds || Array.from({ length: nbClients - 1 }, (_, i) => i + 2);
+
+        for (const threshold of cohortThresholds.filter(threshold => threshold <= nbClients)) {
+            let summary = { nbClients, threshold, cases: 0, aborts: 0, failures: 0 };
+
+            for (const combination of combinations(spots, Math.min(maxPhases, nbClients))) {
+                /* The i-th moment of the combination drops the i-th drawn client */
+                const dropped = drawClients(ids, combination.length, simulation);
+                let dropouts = {};
+                combination.forEach((spot, i) => {
+                    dropouts[spot] = [dropped[i]];
+                });
+                const expected = expectedOutcome(ids, threshold, dropouts);
+                const name = `${nbClients} clients, threshold ${threshold}, ` +
+                    (combination.length == 0 ? 'no dropout' : 'dropping ' + combination.map((spot, i) => `${dropped[i]} ${spot}`).join(', '));
+
+                const scenario = {
+                    name: name,
+                    seed: `${simulation.seed}|${name}`,
+                    threshold: threshold,
+                    config: { maliciousServer },
+                    clients: ids.map(id => ({ id, values: Array.from({ length: vectorLength }, () => simulation.floatBetween(encoder.min, encoder.max)) })),
+                    dropouts: dropouts,
+                    expected: expected.outcome == 'success' ? { outcome: 'success', clientIDsU3: expected.clientIDsU3 } : { outcome: 'abort' }
+                };
+
+                const report = await runScenario(scenario, simulation.testMode);
+                summary.cases += 1;
+                summary.aborts += report.outcome == 'abort' ? 1 : 0;
+                if (!report.passed) {
+                    summary.failures += 1;
+                    failures.push({
+                        nbClients: nbClients,
+                        threshold: threshold,
+                        dropouts: dropouts,
+                        expected: expected.outcome,
+                        belowThresholdAfter: expected.spot,
+                        outcome: report.outcome,
+                        failures: report.failures,
+                        scenario: scenario
+                    });
+                }
+                if (onCase !== null) {
+                    onCase(report);
+                }
+            }
+            cohorts.push(summary);
+        }
+    }
+
+    return { cohorts, failures };
+}
+
+module.exports = { sweptSpots, combinations, drawClients, expectedOutcome, verify }
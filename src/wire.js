@@ -0,0 +1,258 @@
+/**
+ * This file provides the wire format of the messages, to send them across processes and languages
+ *
+ * A message is encoded as a JSON object {"version": 3, "type": <message type>, "iteration": <iteration>, "payload": {...}}
+ * The payload follows the schema of its message type:
+ * - strings and numbers are JSON strings and numbers
+ * - byte strings (public keys, ciphertexts, IVs, signatures, shares) are base64 strings, public keys use the raw encoding of the curve point
+ * - vectors of group elements are base64 strings of their 64 bits little endian words
+ * - maps are JSON objects with the client IDs as keys
+ */
+
+/**
+ * Imports
+ */
+const { MessageType } = require("./messages.js")
+const { WireFormatError } = require("./errors.js")
+
+
+/* Version of the wire format, a message with another version is rejected */
+const WIRE_VERSION = 3
+
+
+/* ======== Field codecs ======== */
+
+
+const string = {
+    encode: value => check(typeof value === 'string', 'a string', value),
+    decode: value => check(typeof value === 'string', 'a string', value)
+}
+
+const number = {
+    encode: value => check(typeof value === 'number' && Number.isFinite(value), 'a number', value),
+    decode: value => check(typeof value === 'number' && Number.isFinite(value), 'a number', value)
+}
+
+const shareIndex = {
+    encode: value => check(Number.isSafeInteger(value) && value >= 1, 'a share index', value),
+    decode: value => check(Number.isSafeInteger(value) && value >= 1, 'a share index', value)
+}
+
+const bytes = {
+    encode: value => {
+        check(value instanceof Uint8Array || value instanceof ArrayBuffer, 'a byte string', value);
+        return Buffer.from(value instanceof ArrayBuffer ? new Uint8Array(value) : value).toString('base64');
+    },
+    decode: value => new Uint8Array(Buffer.from(base64(value), 'base64'))
+}
+
+const uint64Vector = {
+    encode: value => {
+        check(value instanceof BigUint64Array, 'a BigUint64Array', value);
+        const view = new DataView(new ArrayBuffer(8 * value.length));
+        for (let i = 0; i < value.length; ++i) {
+            view.setBigUint64(8 * i, value[i], true);
+        }
+        return Buffer.from(view.buffer).toString('base64');
+    },
+    decode: value => {
+        const decoded = Buffer.from(base64(value), 'base64');
+        check(decoded.length % 8 == 0, 'a vector of 64 bits words', value);
+        const view = new DataView(decoded.buffer, decoded.byteOffset, decoded.length);
+        const vector = new BigUint64Array(decoded.length / 8);
+        for (let i = 0; i < vector.length; ++i) {
+            vector[i] = view.getBigUint64(8 * i, true);
+        }
+        return vector;
+    }
+}
+
+/**
+ * Codec of an optional field, absent when the value is undefined
+ * @param {Object} codec Codec of the value
+ */
+function optional(codec) {
+    return {
+        optional: true,
+        encode: value => codec.encode(value),
+        decode: value => codec.decode(value)
+    };
+}
+
+/**
+ * Codec of an array
+ * @param {Object} codec Codec of the elements
+ */
+function array(codec) {
+    return {
+        encode: value => check(Array.isArray(value), 'an array', value).map(codec.encode),
+        decode: value => check(Array.isArray(value), 'an array', value).map(codec.decode)
+    };
+}
+
+/**
+ * Codec of a map with string keys
+ * The keys shared with Object.prototype, such as __proto__, are rejected so that a message cannot alter the prototype of the map
+ * @param {Object} codec Codec of the values
+ */
+function map(codec) {
+    const convert = (value, method) => {
+        checkObject(value);
+        let converted = {};
+        for (const key of Object.keys(value)) {
+            if (key in Object.prototype) {
+                throw new WireFormatError(`reserved map key ${key}`);
+            }
+            converted[key] = codec[method](value[key]);
+        }
+        return converted;
+    };
+    return {
+        encode: value => convert(value, 'encode'),
+        decode: value => convert(value, 'decode')
+    };
+}
+
+/**
+ * Codec of an object with a fixed set of fields
+ * Unknown fields are rejected when decoding
+ * @param {Object} schema Codec of each field, with the field name as key
+ */
+function object(schema) {
+    const convert = (value, method) => {
+        checkObject(value);
+        let converted = {};
+        for (const field in schema) {
+            if (value[field] === undefined) {
+                if (!schema[field].optional) {
+                    throw new WireFormatError(`missing field ${field}`);
+                }
+                continue;
+            }
+            converted[field] = schema[field][method](value[field]);
+        }
+        if (method == 'decode') {
+            for (const field in value) {
+                if (!schema.hasOwnProperty(field)) {
+                    throw new WireFormatError(`unknown field ${field}`);
+                }
+            }
+        }
+        return converted;
+    };
+    return {
+        encode: value => convert(value, 'encode'),
+        decode: value => convert(value, 'decode')
+    };
+}
+
+function check(condition, expected, value) {
+    if (!condition) {
+        throw new WireFormatError(`expected ${expected}, received ${typeof value}`);
+    }
+    return value;
+}
+
+function checkObject(value) {
+    check(value !== null && typeof value === 'object' && !Array.isArray(value), 'an object', value);
+}
+
+function iterationNumber(value) {
+    return check(Number.isSafeInteger(value) && value >= 0, 'an iteration number', value);
+}
+
+function base64(value) {
+    return check(typeof value === 'string' && /^[A-Za-z0-9+/]*={0,2}$/.test(value), 'a base64 string', value);
+}
+
+
+/* ======== Message schemas ======== */
+
+
+const publicKeys = object({
+    encryptionPublicKey: bytes,
+    seedPublicKey: bytes,
+    keySignature: optional(bytes)
+})
+
+const ciphertext = object({
+    ciphertext: bytes,
+    iv: bytes
+})
+
+const split = object({
+    keySplit: optional(bytes),
+    seedSplit: optional(bytes),
+    index: shareIndex
+})
+
+const schemas = {
+    [MessageType.ADVERTISE_KEYS]: object({ sender: string, encryptionPublicKey: bytes, seedPublicKey: bytes, keySignature: optional(bytes) }),
+    [MessageType.CLIENT_LIST]: object({ clients: map(publicKeys) }),
+    [MessageType.SHARE_KEYS]: object({ sender: string, ciphertexts: map(ciphertext) }),
+    [MessageType.CIPHERTEXTS]: object({ ciphertexts: map(ciphertext) }),
+    [MessageType.MASKED_INPUT]: object({ sender: string, maskedInput: uint64Vector, clippedCount: number }),
+    [MessageType.CLIENT_IDS_U3]: object({ clientIDsU3: array(string) }),
+    [MessageType.SIGNATURE_U3]: object({ sender: string, signature: bytes }),
+    [MessageType.SIGNATURES_U3]: object({ signatures: map(bytes) }),
+    [MessageType.UNMASKING_RESPONSE]: object({ sender: string, splits: map(split) })
+}
+
+
+/* ======== Encoding ======== */
+
+
+/**
+ * Convert a message to its wire representation, a JSON compatible object
+ * @param {Object} message Message of src/messages.js
+ * @returns {Object} The wire representation
+ */
+function toWire(message) {
+    const { type, iteration, ...payload } = message;
+    if (!schemas.hasOwnProperty(type)) {
+        throw new WireFormatError(`unknown message type ${type}`);
+    }
+    return { version: WIRE_VERSION, type: type, iteration: iterationNumber(iteration), payload: schemas[type].encode(payload) };
+}
+
+/**
+ * Convert a wire representation back to a message
+ * @param {Object} wire The wire representation
+ * @returns {Object} Message of src/messages.js
+ */
+function fromWire(wire) {
+    checkObject(wire);
+    if (wire.version !== WIRE_VERSION) {
+        throw new WireFormatError(`unsupported version ${wire.version}, expected version ${WIRE_VERSION}`);
+    }
+    if (!schemas.hasOwnProperty(wire.type)) {
+        throw new WireFormatError(`unknown message type ${wire.type}`);
+    }
+    return { type: wire.type, iteration: iterationNumber(wire.iteration), ...schemas[wire.type].decode(wire.payload) };
+}
+
+/**
+ * Encode a message as a JSON string
+ * @param {Object} message Message of src/messages.js
+ * @returns {String} The encoded message
+ */
+function encode(message) {
+    return JSON.stringify(toWire(message));
+}
+
+/**
+ * Decode a JSON string produced by encode
+ * @param {String} encoded The encoded message
+ * @returns {Object} Message of src/messages.js
+ */
+function decode(encoded) {
+    let wire;
+    try {
+        wire = JSON.parse(encoded);
+    } catch (error) {
+        throw new WireFormatError('the message is not valid JSON');
+    }
+    return fromWire(wire);
+}
+
+module.exports = { WIRE_VERSION, toWire, fromWire, encode, decode }
@@ -0,0 +1,73 @@
+/**
+ * Tests of the simulate and benchmark subcommands of the command line interface
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Simulation = require("../src/simulation.js")
+const { runAndCompare, simulate, benchmark } = require("../src/cli.js")
+
+
+/**
+ * Run a subcommand with the JSON format, its output being captured
+ * @param {Object} t Context of the test
+ * @param {Function} command Subcommand of src/cli.js
+ * @param {Object} options Options of the command line
+ * @returns The result of the subcommand and its parsed output
+ */
+async function runJson(t, command, options) {
+    let lines = [];
+    t.mock.method(console, 'log', line => lines.push(line));
+    const passed = await command({ ...options, format: 'json' });
+    t.mock.restoreAll();
+    return { passed, output: JSON.parse(lines.join('\n')) };
+}
+
+
+test('A simulation compares the secure aggregate with the reference', async t => {
+    const { passed, output } = await runJson(t, simulate, { clients: '5', dropouts: '1,0,0,0,1,0', length: '2', seed: 'cli', test: true });
+    assert.ok(passed);
+    assert.strictEqual(output.threshold, 3);
+    assert.strictEqual(output.clientsU3, 4);
+    assert.strictEqual(output.mean.length, 2);
+    assert.ok(output.difference <= output.tolerance);
+
+    /* The same seed in test mode gives the same output */
+    assert.deepStrictEqual((await runJson(t, simulate, { clients: '5', dropouts: '1,0,0,0,1,0', length: '2', seed: 'cli', test: true })).output, output);
+});
+
+test('A simulation aborting with too many dropouts fails', async t => {
+    const { passed, output } = await runJson(t, simulate, { clients: '4', threshold: '3', dropouts: '2,0,0,0,0,0', seed: 'abort', test: true });
+    assert.ok(!passed);
+    assert.notStrictEqual(output.error, null);
+    assert.strictEqual(output.mean, null);
+
+    const outcome = await runAndCompare(new Simulation('abort', true), { nbClients: 4, threshold: 3, dropouts: [0, 0, 2, 0, 0, 0] });
+    assert.ok(!outcome.passed);
+    assert.strictEqual(outcome.clientsU3, null);
+});
+
+test('A simulation draws its dropouts from a dropout model', async t => {
+    const { passed, output } = await runJson(t, simulate, { clients: '4', threshold: '2', model: 'bernoulli', probability: '0', seed: 'model', test: true });
+    assert.ok(passed);
+    assert.strictEqual(output.clientsU3, 4);
+});
+
+test('A benchmark runs each cohort size the given number of times', async t => {
+    const { passed, output } = await runJson(t, benchmark, { clients: '3,4', repetitions: '2', seed: 'benchmark', test: true });
+    assert.ok(passed);
+    assert.strictEqual(output.repetitions, 2);
+    assert.deepStrictEqual(output.results.map(row => [row.clients, row.threshold, row.failures]), [[3, 2, 0], [4, 3, 0]]);
+    assert.ok(output.results.every(row => row.minDuration <= row.meanDuration));
+});
+
+test('The invalid options are refused', async () => {
+    await assert.rejects(simulate({ dropouts: '1,2' }), /--dropouts takes 6 comma separated numbers/);
+    await assert.rejects(simulate({ dropouts: '1,0,0,0,0,-1' }), /--dropouts takes 6/);
+    await assert.rejects(simulate({ format: 'xml' }), /--format is text or json/);
+    await assert.rejects(benchmark({ model: 'unknown' }), /--model is bernoulli, outage or latency/);
+    await assert.rejects(simulate({ model: 'latency' }), /requires --deadline/);
+});
@@ -0,0 +1,38 @@
+/**
+ * Tests of the clients against a server deviating from the protocol
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Server = require("../src/server.js")
+const Client = require("../src/client.js")
+const Messages = require("../src/messages.js")
+const { ShareRevealError } = require("../src/errors.js")
+const { LocalTransport } = require("../src/transport.js")
+
+
+test('A client refuses to reveal the key share of a peer whose seed share it revealed', async () => {
+    const clients = ['alice', 'bob', 'carol'].map((id, i) => new Client(id, [i], 3, 2));
+    const server = new Server(3, 2);
+    const transport = new LocalTransport();
+    transport.registerServer(server);
+    clients.forEach(client => transport.registerClient(client));
+
+    for (const round of ['round0', 'round1', 'round2']) {
+        for (const client of clients) {
+            await client[round]();
+        }
+        await server[round]();
+    }
+    for (const client of clients) {
+        await client.round3();
+    }
+
+    /* The seed share of carol was revealed, the server now pretends carol dropped to obtain its key share */
+    const [alice, bob, carol] = clients;
+    await server.send(alice.id, Messages.clientIDsU3([alice.id, bob.id]));
+    await assert.rejects(alice.round3(), error => error instanceof ShareRevealError && error.message.includes(carol.id));
+});
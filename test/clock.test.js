@@ -0,0 +1,57 @@
+/**
+ * Tests of the clocks enforcing the deadlines of the rounds
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Server = require("../src/server.js")
+const Client = require("../src/client.js")
+const Messages = require("../src/messages.js")
+const { LocalTransport } = require("../src/transport.js")
+const { ManualClock } = require("../src/clock.js")
+
+
+test('ManualClock calls the timers in the order of their expiration, then of their creation', () => {
+    const clock = new ManualClock();
+    let calls = [];
+    clock.setTimeout(() => calls.push('b'), 5);
+    const cancelled = clock.setTimeout(() => calls.push('cancelled'), 3);
+    clock.setTimeout(() => {
+        calls.push('c');
+        clock.setTimeout(() => calls.push('d'), 0);
+    }, 5);
+    clock.setTimeout(() => calls.push('a'), 1);
+    clock.clearTimeout(cancelled);
+
+    clock.advance(4);
+    assert.deepStrictEqual(calls, ['a']);
+    assert.strictEqual(clock.now(), 4);
+    clock.runUntilIdle();
+    assert.deepStrictEqual(calls, ['a', 'b', 'c', 'd']);
+    assert.strictEqual(clock.now(), 5);
+});
+
+test('ManualClock ignores a missing timer', () => {
+    const clock = new ManualClock();
+    assert.doesNotThrow(() => clock.clearTimeout(undefined));
+    assert.doesNotThrow(() => clock.clearTimeout(null));
+});
+
+test('A server on a ManualClock without round timeout resolves its waiters', async () => {
+    const config = { clock: new ManualClock() };
+    const clients = ['alice', 'bob', 'carol'].map((id, i) => new Client(id, [i], 3, 2, config));
+    const server = new Server(3, 2, config);
+    const transport = new LocalTransport();
+    transport.registerServer(server);
+    clients.forEach(client => transport.registerClient(client));
+
+    const waiting = server.waitForMessages(Messages.MessageType.ADVERTISE_KEYS);
+    for (const client of clients) {
+        await client.round0();
+    }
+    assert.strictEqual(await waiting, 3);
+    assert.strictEqual(server.waiters.length, 0);
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests of the dropout models and of the estimation of the probability of a successful aggregation
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Simulation = require("../src/simulation.js")
+const { DropoutModel, BernoulliDropout, GroupOutage, LatencyDropout, wilsonInterval, estimateSuccessProbability } = require("../src/dropout.js")
+
+
+const ids = Array.from({ length: 12 }, (_, i) => 'client' + i);
+
+/**
+ * Every client dropping in a schedule
+ * @param {Object} schedule IDs of the clients dropping at each moment
+ * @returns {Array<String>}
+ */
+function droppedClients(schedule) {
+    return Object.values(schedule).flat();
+}
+
+
+test('The dropout models check their parameters', () => {
+    assert.throws(() => new DropoutModel().schedule(ids, new Simulation()), /not implemented/);
+    assert.throws(() => new BernoulliDropout(1.5), /not between 0 and 1/);
+    assert.throws(() => new BernoulliDropout({ duringRound1: 0.1 }), /Unknown dropout moment duringRound1/);
+    assert.throws(() => new GroupOutage({ groups: 0, probability: 0.1 }), /positive integer/);
+    assert.throws(() => new GroupOutage({ groups: 2, probability: -0.1 }), /not between 0 and 1/);
+});
+
+test('The independent dropouts are drawn from the seed and a client drops at most once', () => {
+    const model = new BernoulliDropout(0.1);
+    const schedule = model.schedule(ids, new Simulation('bernoulli'));
+    assert.deepStrictEqual(model.schedule(ids, new Simulation('bernoulli')), schedule);
+    assert.ok(!('beforeClientConsistencyCheck' in schedule));
+    const dropped = droppedClients(schedule);
+    assert.strictEqual(new Set(dropped).size, dropped.length);
+
+    assert.deepStrictEqual(droppedClients(new BernoulliDropout(0).schedule(ids, new Simulation())), []);
+    assert.deepStrictEqual(new BernoulliDropout({ beforeClientRound1: 1 }).schedule(ids, new Simulation()), { beforeClientRound1: ids });
+});
+
+test('The clients of a group suffering an outage drop together', () => {
+    const model = new GroupOutage({ groups: 3, probability: 1, spots: ['beforeServerRound1'] });
+    assert.deepStrictEqual(ids.map((_, i) => model.groupOf(i, ids.length)), [0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2]);
+    assert.deepStrictEqual(model.schedule(ids, new Simulation()), { beforeServerRound1: ids });
+
+    const simulation = new Simulation('outages');
+    const halfModel = new GroupOutage({ groups: 3, probability: 0.5 });
+    for (let run = 0; run < 20; ++run) {
+        for (const [spot, dropped] of Object.entries(halfModel.schedule(ids, simulation))) {
+            assert.ok(halfModel.spots.includes(spot));
+            assert.strictEqual(dropped.length % 4, 0);
+            const groups = new Set(dropped.map(id => halfModel.groupOf(ids.indexOf(id), ids.length)));
+            assert.strictEqual(groups.size * 4, dropped.length);
+        }
+    }
+});
+
+test('The stragglers missing the deadline drop before the round', () => {
+    const always = new LatencyDropout({ deadline: 100, latency: () => 200 });
+    assert.deepStrictEqual(always.schedule(ids, new Simulation()).beforeClientRound0, ids);
+    const never = new LatencyDropout({ deadline: 100, latency: () => 50 });
+    assert.deepStrictEqual(droppedClients(never.schedule(ids, new Simulation())), []);
+
+    /* With exponential latencies of mean 100 ms, a client misses a deadline of 100 ms with the probability 1/e at each round */
+    const model = new LatencyDropout({ deadline: 100, latency: LatencyDropout.exponential(100) });
+    const schedule = model.schedule(ids, new Simulation('latencies'));
+    assert.deepStrictEqual(Object.keys(schedule), ['beforeClientRound0', 'beforeClientRound1', 'beforeClientRound2', 'beforeClientRound3']);
+    const dropped = droppedClients(schedule);
+    assert.strictEqual(new Set(dropped).size, dropped.length);
+
+    const simulation = new Simulation('log normal');
+    const latencies = Array.from({ length: 2000 }, () => LatencyDropout.logNormal(100, 1)(simulation)).sort((a, b) => a - b);
+    assert.ok(Math.abs(latencies[1000] - 100) < 10);
+});
+
+test('The Wilson interval bounds a proportion', () => {
+    const [lower, upper] = wilsonInterval(5, 10);
+    assert.ok(Math.abs(lower - 0.2366) < 1e-4 && Math.abs(upper - 0.7634) < 1e-4);
+    assert.strictEqual(wilsonInterval(0, 10)[0], 0);
+    assert.ok(Math.abs(wilsonInterval(0, 10)[1] - 0.2775) < 1e-4);
+    assert.strictEqual(wilsonInterval(10, 10)[1], 1);
+    assert.ok(wilsonInterval(500, 1000)[1] - wilsonInterval(500, 1000)[0] < upper - lower);
+});
+
+test('The estimated probability of success matches the binomial probability', async () => {
+    /* 3 clients with a threshold of 2 succeed when at most one of them drops before the client round 0 */
+    const model = new BernoulliDropout({ beforeClientRound0: 0.5 });
+    const estimate = await estimateSuccessProbability({ nbClients: 3, threshold: 2, model, trials: 2000, simulation: new Simulation('estimate') });
+    assert.strictEqual(estimate.trials, 2000);
+    assert.strictEqual(estimate.probability, estimate.successes / 2000);
+    assert.ok(estimate.interval[0] < 0.5 && 0.5 < estimate.interval[1]);
+    assert.ok(estimate.meanClientsU3 > 2 && estimate.meanClientsU3 < 3);
+    assert.deepStrictEqual(Object.keys(estimate.abortsAfter), ['beforeClientRound0']);
+    assert.strictEqual(estimate.abortsAfter.beforeClientRound0, 2000 - estimate.successes);
+    assert.strictEqual(estimate.disagreements, null);
+
+    const certain = await estimateSuccessProbability({ nbClients: 3, threshold: 2, model: new BernoulliDropout(0), trials: 10 });
+    assert.strictEqual(certain.probability, 1);
+    assert.strictEqual(certain.meanClientsU3, 3);
+});
+
+test('The runs of the protocol agree with the rule of the estimation', async () => {
+    const estimate = await estimateSuccessProbability({
+        nbClients: 4,
+        threshold: 2,
+        model: new BernoulliDropout(0.2),
+        trials: 4,
+        simulation: new Simulation('protocol runs', true),
+        runProtocol: true
+    });
+    assert.strictEqual(estimate.disagreements, 0);
+    assert.strictEqual(estimate.trials, 4);
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests of the fixed-point encoding of the inputs and of the overflow check of the server
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const FixedPointEncoder = require("../src/encoder.js")
+const Group = require("../src/group.js")
+const Server = require("../src/server.js")
+
+
+test('The values outside of the clipping range are clipped and counted', () => {
+    const encoder = new FixedPointEncoder({ scale: 100, clipRange: [-1, 2] });
+    const { encoded, clippedCount } = encoder.encode([0.5, -3, 2, 2.01, -1, 1.234]);
+    assert.deepStrictEqual(encoded, [50n, -100n, 200n, 200n, -100n, 123n]);
+    assert.strictEqual(clippedCount, 2);
+    assert.strictEqual(encoder.encode(new Float32Array([0.25])).clippedCount, 0);
+});
+
+test('The non finite values and weights are refused with a descriptive error', () => {
+    const encoder = new FixedPointEncoder();
+    assert.throws(() => encoder.encode([1, NaN]), /position 1 is NaN, only finite numbers can be encoded/);
+    assert.throws(() => encoder.encode([Infinity]), /position 0 is Infinity/);
+    assert.throws(() => encoder.encode([-Infinity]), /position 0 is -Infinity/);
+    assert.throws(() => encoder.encode([1], NaN), /no largest weight/);
+
+    const weighted = new FixedPointEncoder({ maxWeight: 10 });
+    assert.throws(() => weighted.encode([1], NaN), /The weight must be between 0 and 10, received NaN/);
+    assert.throws(() => weighted.encode([1], Infinity), /The weight must be between 0 and 10, received Infinity/);
+    assert.throws(() => new FixedPointEncoder({ maxWeight: Infinity }), /finite positive number/);
+});
+
+test('The mean is decoded from the sums of the encoded inputs', () => {
+    const encoder = new FixedPointEncoder({ scale: 10**4, clipRange: [-10, 10] });
+    const inputs = [[1.5, -2], [0.25, 3], [-0.75, 20]];
+    const sums = [0n, 0n];
+    for (const input of inputs) {
+        encoder.encode(input).encoded.forEach((value, j) => sums[j] += value);
+    }
+    assert.strictEqual(encoder.decode(sums[0]), 1);
+    assert.deepStrictEqual(encoder.decodeMean(sums, 3), [1 / 3, 11 / 3]);
+
+    /* The sums decoded from a group, as the server does after unmasking */
+    const group = Group.powerOfTwo(64);
+    const elements = sums.map(sum => group.encode(sum));
+    assert.deepStrictEqual(encoder.decodeMean(elements.map(element => group.decode(element)), 3), [1 / 3, 11 / 3]);
+});
+
+test('The weighted mean is decoded with the sum of the weights', () => {
+    const encoder = new FixedPointEncoder({ scale: 100, maxWeight: 4 });
+    const first = encoder.encode([1, 2], 1).encoded;
+    const second = encoder.encode([3, -2], 3).encoded;
+    assert.deepStrictEqual(second, [900n, -600n, 300n]);
+    const sums = first.map((value, j) => value + second[j]);
+    assert.deepStrictEqual(encoder.decodeMean(sums, 2), [2.5, -1]);
+    assert.throws(() => encoder.decodeMean([0n, 0n, 0n], 2), /the weighted mean is undefined/);
+});
+
+test('The required bit width grows with the number of clients', () => {
+    const encoder = new FixedPointEncoder({ scale: 1, clipRange: [-3, 3] });
+    assert.strictEqual(encoder.requiredModulus(1), 7n);
+    assert.strictEqual(encoder.requiredBits(1), 3);
+    assert.ok(!encoder.canOverflow(Group.powerOfTwo(3), 1));
+    assert.ok(encoder.canOverflow(Group.powerOfTwo(3), 2));
+    assert.ok(!encoder.canOverflow(Group.prime(13n), 2));
+});
+
+test('The server rejects or flags a configuration whose sum can overflow the group', () => {
+    const config = { group: Group.powerOfTwo(16), encoder: new FixedPointEncoder({ scale: 100, clipRange: [-10, 10] }) };
+    assert.ok(!new Server(32, 2, config).overflowFlagged);
+    assert.throws(() => new Server(33, 2, config), /The sum of 33 inputs requires 17 bits while the group modulus has 16 bits/);
+
+    const flagged = new Server(33, 2, { ...config, overflowPolicy: 'flag' });
+    assert.ok(flagged.overflowFlagged);
+
+    /* The check is done again for the cohort of each iteration */
+    const server = new Server(2, 2, config);
+    assert.throws(() => server.startIteration(1, 40), /requires 17 bits/);
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests of the FedAvg logistic regression over secure aggregation
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Simulation = require("../src/simulation.js")
+const { generateDataset, partition, evaluate, trainLocally, runFedAvg } = require("../src/fedavg.js")
+
+
+test('The dataset is split into contiguous partitions covering every example', () => {
+    const simulation = new Simulation('partition');
+    const dataset = generateDataset(simulation, 200);
+    assert.strictEqual(dataset.length, 200);
+    assert.ok(dataset.every(({ x, y }) => x.length == 2 && (y == 0 || y == 1)));
+
+    const partitions = partition(simulation, dataset, 5);
+    assert.strictEqual(partitions.length, 5);
+    assert.strictEqual(partitions.reduce((sum, data) => sum + data.length, 0), 200);
+    assert.ok(partitions.every(data => data.length > 0));
+    for (let i = 1; i < partitions.length; ++i) {
+        assert.ok(partitions[i - 1].at(-1).x[0] <= partitions[i][0].x[0]);
+    }
+});
+
+test('A local training step lowers the loss of the client', () => {
+    const dataset = generateDataset(new Simulation('local'), 300);
+    const model = [0, 0, 0];
+    const update = trainLocally(model, dataset, 5, 0.5);
+    assert.deepStrictEqual(model, [0, 0, 0]);
+    const trained = model.map((w, i) => w + update[i]);
+    assert.ok(evaluate(trained, dataset).loss < evaluate(model, dataset).loss);
+    assert.strictEqual(evaluate(model, dataset).loss.toFixed(6), Math.log(2).toFixed(6));
+});
+
+test('FedAvg over secure aggregation learns the classes, reproducibly in test mode', async t => {
+    t.mock.method(console, 'log', () => {});
+    const train = () => runFedAvg({ nbClients: 4, nbRounds: 3, epochs: 3, dropoutRate: 0.25, simulation: new Simulation('fedavg test', true) });
+
+    const model = await train();
+    const dataset = generateDataset(new Simulation('fedavg evaluation'), 1000);
+    assert.ok(evaluate(model, dataset).accuracy > 0.75);
+    assert.ok(model[0] > 0 && model[1] > 0);
+    assert.deepStrictEqual(await train(), model);
+});
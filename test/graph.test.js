@@ -0,0 +1,72 @@
+/**
+ * Tests of the SecAgg+ communication graphs
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Simulation = require("../src/simulation.js")
+const FixedPointEncoder = require("../src/encoder.js")
+const { logarithmicDegree, hararyGraph } = require("../src/graph.js")
+const { SeededRandomness } = require("../src/randomness.js")
+
+
+const ids = Array.from({ length: 11 }, (_, i) => 'client' + i)
+
+
+test('The Harary graph links each client to degree distinct neighbours, symmetrically', () => {
+    const randomness = new SeededRandomness('harary');
+    const neighbours = hararyGraph(ids, 4, max => randomness.int(max));
+    assert.deepStrictEqual(Object.keys(neighbours).sort(), [...ids].sort());
+    for (const id of ids) {
+        assert.strictEqual(new Set(neighbours[id]).size, 4, id);
+        assert.ok(!neighbours[id].includes(id));
+        for (const neighbour of neighbours[id]) {
+            assert.ok(neighbours[neighbour].includes(id), `${id} and ${neighbour}`);
+        }
+    }
+});
+
+test('The ring of the Harary graph is drawn from the randomness', () => {
+    const graph = seed => {
+        const randomness = new SeededRandomness(seed);
+        return hararyGraph(ids, 2, max => randomness.int(max));
+    };
+    assert.deepStrictEqual(graph('ring'), graph('ring'));
+    assert.ok(['a', 'b', 'c', 'd'].some(seed => JSON.stringify(graph(seed)) != JSON.stringify(graph('ring'))));
+});
+
+test('A degree of at least n - 1 gives the complete graph, and an invalid degree is refused', () => {
+    const neighbours = hararyGraph(ids.slice(0, 5), 4);
+    for (const id of ids.slice(0, 5)) {
+        assert.deepStrictEqual(neighbours[id], ids.slice(0, 5).filter(other => other != id));
+    }
+    for (const degree of [0, 3, 2.5]) {
+        assert.throws(() => hararyGraph(ids, degree), /must be an even integer of at least 2/);
+    }
+});
+
+test('The logarithmic degree is even and grows with the number of clients', () => {
+    assert.strictEqual(logarithmicDegree(1), 2);
+    assert.strictEqual(logarithmicDegree(100), 14);
+    assert.strictEqual(logarithmicDegree(1000), 20);
+});
+
+test('A SecAgg+ run with dropouts gives the mean of the surviving inputs', async () => {
+    const simulation = new Simulation('secagg+', true);
+    const encoder = new FixedPointEncoder();
+    const clients = simulation.randomClients(12, 3, encoder);
+    const dropped = [clients[0].id, clients[5].id];
+    const result = await simulation.runCohort({
+        clients,
+        threshold: 6,
+        dropouts: { beforeClientRound2: [dropped[0]], beforeClientRound3: [dropped[1]] },
+        config: { graph: { degree: 6, threshold: 4 } }
+    });
+
+    assert.strictEqual(result.clientIDsU3.length, 11);
+    assert.ok(!result.clientIDsU3.includes(dropped[0]));
+    result.mean.forEach((value, i) => assert.ok(Math.abs(value - result.reference[i]) < 1e-3, `${value} and ${result.reference[i]}`));
+});
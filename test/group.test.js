@@ -0,0 +1,84 @@
+/**
+ * Tests of the groups in which the inputs are masked
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Group = require("../src/group.js")
+const Server = require("../src/server.js")
+const FixedPointEncoder = require("../src/encoder.js")
+
+
+test('The arithmetic modulo 2^k wraps around the modulus', () => {
+    const group = Group.powerOfTwo(8);
+    assert.strictEqual(group.bits, 8);
+    assert.ok(group.isPowerOfTwo);
+
+    let accumulator = BigUint64Array.from([250n, 3n]);
+    group.addInPlace(accumulator, BigUint64Array.from([10n, 255n]));
+    assert.deepStrictEqual(accumulator, BigUint64Array.from([4n, 2n]));
+    group.subInPlace(accumulator, BigUint64Array.from([10n, 255n]));
+    assert.deepStrictEqual(accumulator, BigUint64Array.from([250n, 3n]));
+
+    assert.strictEqual(group.encode(-1), 255n);
+    assert.strictEqual(group.encode(300), 44n);
+    assert.strictEqual(group.decode(255n), -1n);
+    assert.strictEqual(group.decode(127n), 127n);
+    assert.strictEqual(group.decode(128n), -128n);
+});
+
+test('The arithmetic modulo 2^64 wraps around the words of the vectors', () => {
+    const group = Group.powerOfTwo(64);
+    let accumulator = BigUint64Array.from([2n ** 64n - 1n]);
+    group.addInPlace(accumulator, BigUint64Array.from([2n]));
+    assert.deepStrictEqual(accumulator, BigUint64Array.from([1n]));
+    group.subInPlace(accumulator, BigUint64Array.from([2n]));
+    assert.deepStrictEqual(accumulator, BigUint64Array.from([2n ** 64n - 1n]));
+    assert.strictEqual(group.decode(group.encode(-5n)), -5n);
+});
+
+test('The masks of a power of two modulus are below the modulus and cancel out', async () => {
+    const group = Group.powerOfTwo(12);
+    const seed = Uint8Array.from({ length: 32 }, (_, i) => i);
+    const mask = await group.mask(seed, 64);
+    assert.ok(mask.every(element => element < 4096n));
+    assert.deepStrictEqual(await group.mask(seed, 64), mask);
+
+    let accumulator = BigUint64Array.from({ length: 64 }, (_, i) => BigInt(i));
+    group.addInPlace(accumulator, mask);
+    group.subInPlace(accumulator, mask);
+    assert.deepStrictEqual(accumulator, BigUint64Array.from({ length: 64 }, (_, i) => BigInt(i)));
+});
+
+test('The Miller-Rabin test recognizes primes and composites below 2^64', () => {
+    for (const prime of [2n, 3n, 37n, 7919n, 2n ** 31n - 1n, 2n ** 61n - 1n, 2n ** 64n - 59n]) {
+        assert.ok(Group.isPrime(prime), `${prime} is a prime`);
+    }
+    /* Carmichael numbers and strong pseudoprimes to the first bases */
+    for (const composite of [0n, 1n, 4n, 561n, 3215031751n, 3825123056546413051n, 2n ** 64n - 1n, (2n ** 31n - 1n) * (2n ** 31n - 1n)]) {
+        assert.ok(!Group.isPrime(composite), `${composite} is not a prime`);
+    }
+});
+
+test('A prime modulus is checked and wraps around', () => {
+    assert.throws(() => Group.prime(561n), /is not a prime/);
+    assert.throws(() => Group.powerOfTwo(65), /between 1 and 64/);
+
+    const group = Group.prime(2n ** 61n - 1n);
+    assert.ok(!group.isPowerOfTwo);
+    assert.strictEqual(group.bits, 61);
+    let accumulator = BigUint64Array.from([2n ** 61n - 2n]);
+    group.addInPlace(accumulator, BigUint64Array.from([3n]));
+    assert.deepStrictEqual(accumulator, BigUint64Array.from([2n]));
+    assert.strictEqual(group.decode(group.encode(-7)), -7n);
+});
+
+test('The default configuration accepts large cohorts', () => {
+    assert.doesNotThrow(() => new Server(14, 8));
+    assert.doesNotThrow(() => new Server(100000, 50000));
+    assert.ok(!new Server(14, 8).overflowFlagged);
+    assert.throws(() => new Server(14, 8, { group: Group.powerOfTwo(32), encoder: new FixedPointEncoder() }), /requires 33 bits/);
+});
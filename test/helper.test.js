@@ -0,0 +1,90 @@
+/**
+ * Tests of the derivation of the pairwise secrets and of the share encryption
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { subtle } = crypto.webcrypto;
+const Helper = require("../src/helper.js")
+
+
+/**
+ * Fixed P-521 key pair whose private scalar repeats a byte
+ * @param {Number} byte Byte of the private scalar, its leading byte being zero to stay below the order of the curve
+ * @returns The WebCrypto private key and the raw public key
+ */
+async function fixedKeyPair(byte) {
+    const scalar = Buffer.alloc(66, byte);
+    scalar[0] = 0;
+    const ecdh = crypto.createECDH('secp521r1');
+    ecdh.setPrivateKey(scalar);
+    const rawPublicKey = ecdh.getPublicKey();
+
+    const jwk = {
+        kty: 'EC',
+        crv: 'P-521',
+        d: scalar.toString('base64url'),
+        x: rawPublicKey.subarray(1, 67).toString('base64url'),
+        y: rawPublicKey.subarray(67).toString('base64url')
+    };
+    const privateKey = await subtle.importKey('jwk', jwk, Helper.ecdhKeyParams, false, ['deriveKey', 'deriveBits']);
+    return { privateKey, rawPublicKey: new Uint8Array(rawPublicKey) };
+}
+
+/* Seeds computed with the ECDH and HKDF-SHA256 of OpenSSL, for the scalars 0x11.. and 0x22.. */
+const expectedSeeds = {
+    0: 'f4045abc995264bf3a66062a3e93b11c3f10afd1bc2a82f1009b9c905e554db4',
+    1: 'c3f921390cbf7850ccc2bef6d61f411a16f534e40121311b795bd6bf1494bbd3'
+};
+
+
+test('The pairwise mask seed of fixed key pairs matches the HKDF known answers', async () => {
+    const alice = await fixedKeyPair(0x11);
+    const bob = await fixedKeyPair(0x22);
+
+    for (const iteration of [0, 1]) {
+        const seed = await Helper.deriveSharedSeed(alice.privateKey, await Helper.importPublicKey(bob.rawPublicKey), iteration);
+        assert.strictEqual(Buffer.from(seed).toString('hex'), expectedSeeds[iteration]);
+
+        /* Both ends of the pair derive the same seed */
+        const otherSeed = await Helper.deriveSharedSeed(bob.privateKey, await Helper.importPublicKey(alice.rawPublicKey), iteration);
+        assert.deepStrictEqual(otherSeed, seed);
+    }
+});
+
+test('The known answers are the HKDF of the whole ECDH shared secret', () => {
+    const alice = crypto.createECDH('secp521r1');
+    alice.setPrivateKey(Buffer.concat([Buffer.alloc(1), Buffer.alloc(65, 0x11)]));
+    const bob = crypto.createECDH('secp521r1');
+    bob.setPrivateKey(Buffer.concat([Buffer.alloc(1), Buffer.alloc(65, 0x22)]));
+    const sharedSecret = alice.computeSecret(bob.getPublicKey());
+    assert.strictEqual(sharedSecret.length * 8, Helper.ecdhSharedSecretLength);
+
+    for (const iteration of [0, 1]) {
+        const info = `secure aggregation pairwise mask seed|iteration ${iteration}`;
+        const seed = crypto.hkdfSync('sha256', sharedSecret, Buffer.alloc(0), info, 32);
+        assert.strictEqual(Buffer.from(seed).toString('hex'), expectedSeeds[iteration]);
+    }
+});
+
+test('A share ciphertext only decrypts with the associated data it was encrypted with', async () => {
+    const alice = await fixedKeyPair(0x11);
+    const bob = await fixedKeyPair(0x22);
+    const key = await Helper.deriveEncryptionKey(alice.privateKey, await Helper.importPublicKey(bob.rawPublicKey));
+    const context = { sessionID: 'session', iteration: 1, senderID: 'alice', receiverID: 'bob' };
+    const associatedData = ({ sessionID, iteration, senderID, receiverID }) => Helper.encodeShareAssociatedData(sessionID, iteration, senderID, receiverID);
+
+    const { ciphertext, iv } = await Helper.AESGCMEncrypt(key, 'shares', associatedData(context));
+    const decrypted = await Helper.AESGCMDecrypt(key, ciphertext, iv, associatedData(context));
+    assert.strictEqual(new TextDecoder().decode(decrypted), 'shares');
+
+    /* Same key and IV, only one field of the associated data changes */
+    const changes = { sessionID: 'other session', iteration: 2, senderID: 'carol', receiverID: 'carol' };
+    for (const field in changes) {
+        await assert.rejects(Helper.AESGCMDecrypt(key, ciphertext, iv, associatedData({ ...context, [field]: changes[field] })), `${field} changed`);
+    }
+});
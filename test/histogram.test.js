@@ -0,0 +1,49 @@
+/**
+ * Tests of the federated histograms
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { Categories, Buckets, HistogramSession } = require("../src/histogram.js")
+
+
+test('An answer is encoded as the one-hot vector of its category', () => {
+    const categories = new Categories(['red', 'green', 'blue']);
+    assert.deepStrictEqual(categories.oneHot('green'), [0, 1, 0]);
+    assert.throws(() => categories.oneHot('yellow'), /is not one of the categories/);
+    assert.throws(() => new Categories([]), /distinct and non empty/);
+    assert.throws(() => new Categories(['a', 'a']), /distinct and non empty/);
+
+    assert.deepStrictEqual(categories.histogram([0.5, 0.25, 0.25], 4), { red: 2, green: 1, blue: 1 });
+    assert.throws(() => categories.histogram([1], 1), /the histogram has 3 categories/);
+});
+
+test('The numbers fall in the bucket of their range, the edges belonging to the upper bucket', () => {
+    const buckets = new Buckets([0, 10, 20]);
+    assert.deepStrictEqual(buckets.labels, ['(-Infinity, 0)', '[0, 10)', '[10, 20)', '[20, Infinity)']);
+    assert.strictEqual(buckets.indexOf(-5), 0);
+    assert.strictEqual(buckets.indexOf(0), 1);
+    assert.strictEqual(buckets.indexOf(9.99), 1);
+    assert.strictEqual(buckets.indexOf(10), 2);
+    assert.strictEqual(buckets.indexOf(1e9), 3);
+    assert.strictEqual(buckets.indexOf(-Infinity), 0);
+    assert.throws(() => buckets.indexOf(NaN), /Only numbers can be bucketed/);
+    assert.throws(() => buckets.indexOf('5'), /Only numbers can be bucketed/);
+    assert.throws(() => new Buckets([0, 0]), /must be increasing/);
+});
+
+test('A histogram session counts the answers of the clients that did not drop', async () => {
+    const session = new HistogramSession(new Categories(['yes', 'no', 'maybe']), 2);
+    const answers = { alice: 'yes', bob: 'no', carol: 'yes', dave: 'maybe', erin: 'yes' };
+
+    const first = await session.runIteration(answers);
+    assert.deepStrictEqual(first.histogram, { yes: 3, no: 1, maybe: 1 });
+    assert.strictEqual(first.privacy, null);
+
+    const second = await session.runIteration(answers, { carol: 2 });
+    assert.strictEqual(second.iteration, 1);
+    assert.deepStrictEqual(second.histogram, { yes: 2, no: 1, maybe: 1 });
+});
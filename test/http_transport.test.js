@@ -0,0 +1,80 @@
+/**
+ * Tests of the authentication of the clients by the HTTP transport
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Messages = require("../src/messages.js")
+const { HttpServerTransport, HttpClientTransport } = require("../src/http_transport.js")
+
+
+/**
+ * Start a server transport delivering the messages to a list, and register a client transport for each ID
+ * @param {Array<String>} ids IDs of the clients
+ * @returns The server transport, the received messages and the client transports with the client ID as key
+ */
+async function start(ids) {
+    const received = [];
+    const transport = new HttpServerTransport(50);
+    transport.registerServer({ receive: message => received.push(message) });
+    const url = `http://127.0.0.1:${await transport.listen(0)}`;
+
+    let clients = {};
+    for (const id of ids) {
+        clients[id] = new HttpClientTransport(url);
+        clients[id].registerClient({ id: id, receive: () => {} });
+        await clients[id].register();
+    }
+    return { transport, received, clients, url };
+}
+
+test('A registered client posts its messages and polls its queue', async () => {
+    const { transport, received, clients } = await start(['alice']);
+    try {
+        await clients.alice.sendToServer({ ...Messages.signatureU3('alice', new Uint8Array([1, 2])), iteration: 0 });
+        assert.strictEqual(received.length, 1);
+        assert.strictEqual(received[0].sender, 'alice');
+
+        await transport.sendToClient('alice', { ...Messages.clientIDsU3(['alice']), iteration: 0 });
+        const messages = await clients.alice.poll();
+        assert.deepStrictEqual(messages.map(message => message.type), [Messages.MessageType.CLIENT_IDS_U3]);
+    } finally {
+        await transport.close();
+    }
+});
+
+test('A client cannot post as another client nor poll its queue', async () => {
+    const { transport, received, clients } = await start(['alice', 'bob']);
+    try {
+        await assert.rejects(clients.alice.sendToServer({ ...Messages.signatureU3('bob', new Uint8Array([1, 2])), iteration: 0 }), /HTTP 403/);
+
+        const impostor = new HttpClientTransport(clients.alice.url);
+        impostor.registerClient({ id: 'bob', receive: () => {} });
+        impostor.token = clients.alice.token;
+        await assert.rejects(impostor.poll(), /HTTP 403/);
+
+        assert.strictEqual(received.length, 0);
+    } finally {
+        await transport.close();
+    }
+});
+
+test('The requests without a valid token and the second registration of an ID are rejected', async () => {
+    const { transport, received, url } = await start(['alice']);
+    try {
+        const unregistered = new HttpClientTransport(url);
+        unregistered.registerClient({ id: 'alice', receive: () => {} });
+        await assert.rejects(unregistered.sendToServer({ ...Messages.signatureU3('alice', new Uint8Array([1, 2])), iteration: 0 }), /HTTP 401/);
+        await assert.rejects(unregistered.poll(), /HTTP 401/);
+        await assert.rejects(unregistered.register(), /HTTP 409/);
+
+        unregistered.token = 'forged';
+        await assert.rejects(unregistered.poll(), /HTTP 401/);
+        assert.strictEqual(received.length, 0);
+    } finally {
+        await transport.close();
+    }
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests of the network simulator and of its calibration
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Simulation = require("../src/simulation.js")
+const FixedPointEncoder = require("../src/encoder.js")
+const { MessageType } = require("../src/messages.js")
+const { RecordingTransport, Calibration, NetworkModel, NetworkSimulator } = require("../src/network.js")
+
+
+/* Messages of 1250 bytes whatever the number of clients, and no computation time */
+const flatCalibration = new Calibration(Object.fromEntries(Object.values(MessageType).map(type => [type, { base: 1250, perClient: 0 }])), {});
+
+/* An upload takes 1 ms, a download from one of the 100 connections of the server 1 ms, and the server receives a message in 0.01 ms */
+const network = new NetworkModel({ clientUpload: 10, clientDownload: 50, clientLatency: 50, serverBandwidth: 1000, fanOut: 100 });
+
+
+test('The recording transport records the wire size of every message', async () => {
+    const transport = new RecordingTransport();
+    const simulation = new Simulation('recording', true);
+    await simulation.runCohort({ clients: simulation.randomClients(3, 2, new FixedPointEncoder()), threshold: 2, transport });
+
+    const types = new Set(transport.records.map(record => record.type));
+    for (const type of [MessageType.ADVERTISE_KEYS, MessageType.SHARE_KEYS, MessageType.MASKED_INPUT, MessageType.UNMASKING_RESPONSE]) {
+        assert.ok(types.has(type), `${type} recorded`);
+    }
+    assert.strictEqual(transport.records.filter(record => record.type == MessageType.ADVERTISE_KEYS).length, 3);
+    assert.ok(transport.records.every(record => Number.isInteger(record.bytes) && record.bytes > 0));
+});
+
+test('The calibration fits the sizes of the messages on the cohort sizes', async () => {
+    assert.deepStrictEqual(Calibration.fitLine([[1, 3], [2, 5], [3, 7]]), [1, 2]);
+    assert.deepStrictEqual(Calibration.fitLine([[2, 3], [2, 5]]), [4, 0]);
+    await assert.rejects(Calibration.measure({ sizes: [4, 4] }), /at least two cohort sizes/);
+    await assert.rejects(Calibration.measure({ config: { graph: {} } }), /does not support a SecAgg\+ graph/);
+
+    const calibration = await Calibration.measure({ sizes: [3, 5], simulation: new Simulation('calibration', true) });
+    /* A client sends a share to each other client, and its advertised keys do not depend on the cohort */
+    assert.ok(calibration.messageSizes[MessageType.SHARE_KEYS].perClient > 0);
+    assert.ok(calibration.messageSize(MessageType.SHARE_KEYS, 100) > calibration.messageSize(MessageType.SHARE_KEYS, 5));
+    assert.ok(Math.abs(calibration.messageSizes[MessageType.ADVERTISE_KEYS].perClient) < 1);
+    assert.throws(() => calibration.messageSize('Unknown', 3), /No size measured/);
+    assert.ok(calibration.computationTime('clientRound1', 100) >= 0);
+    assert.strictEqual(calibration.computationTime('unknownPhase', 100), 0);
+});
+
+test('The simulated rounds add the transfer times and the latencies', () => {
+    const simulator = new NetworkSimulator({ network, calibration: flatCalibration, threshold: 1 });
+    const result = simulator.run(1);
+    assert.strictEqual(result.outcome, 'success');
+    assert.deepStrictEqual(result.rounds.map(round => round.round), ['round0', 'round1', 'round2', 'round3']);
+
+    /* The round 0 has no message from the server, the other rounds add a download and a latency */
+    assert.ok(Math.abs(result.rounds[0].duration - 51.01) < 1e-9);
+    result.rounds.slice(1).forEach(round => assert.ok(Math.abs(round.duration - 102.01) < 1e-9));
+    assert.ok(Math.abs(result.total - (51.01 + 3 * 102.01)) < 1e-9);
+    assert.strictEqual(result.rounds[1].bytesToClients, 1250);
+    assert.strictEqual(result.rounds[1].bytesToServer, 1250);
+
+    const malicious = new NetworkSimulator({ network, calibration: flatCalibration, threshold: 1, maliciousServer: true }).run(1);
+    assert.deepStrictEqual(malicious.rounds.map(round => round.round), ['round0', 'round1', 'round2', 'roundConsistencyCheck', 'round3']);
+});
+
+test('The server link and its connections are shared by the clients', () => {
+    const simulator = new NetworkSimulator({ network: new NetworkModel({ fanOut: 1 }), calibration: flatCalibration, threshold: 1 });
+    const small = simulator.run(10);
+    const large = simulator.run(100);
+    assert.ok(large.total > small.total);
+    assert.strictEqual(large.rounds[0].clients, 100);
+    assert.strictEqual(large.rounds[2].bytesToServer, 100 * 1250);
+    /* With a single connection, the server sends the 100 messages of a round one after the other */
+    assert.ok(large.rounds[1].duration > 100 * 1250 / (10 * 125));
+});
+
+test('The dropouts shrink the sets and abort the run below the threshold', () => {
+    const simulator = new NetworkSimulator({ network, calibration: flatCalibration, threshold: 2 });
+    const dropping = simulator.run(4, { dropouts: { beforeClientRound1: ['client0'], beforeClientRound3: ['client1'] } });
+    assert.strictEqual(dropping.outcome, 'success');
+    assert.deepStrictEqual(dropping.rounds.map(round => round.clients), [4, 3, 3, 2]);
+
+    const aborting = simulator.run(3, { dropouts: { beforeClientRound2: ['client0', 'client1'] } });
+    assert.strictEqual(aborting.outcome, 'abort');
+    assert.strictEqual(aborting.abortedAfter, 'round2');
+    assert.strictEqual(aborting.rounds.length, 3);
+});
+
+test('The clients answering after the deadline are stragglers', () => {
+    /* The first client drawn has a latency of one second */
+    let draws = 0;
+    const slowFirst = new NetworkModel({ clientLatency: () => draws++ == 0 ? 1000 : 50 });
+    const simulator = new NetworkSimulator({ network: slowFirst, calibration: flatCalibration, threshold: 2, deadline: 300 });
+    const result = simulator.run(3);
+    assert.strictEqual(result.outcome, 'success');
+    assert.strictEqual(result.rounds[0].duration, 300);
+    assert.strictEqual(result.rounds[0].stragglers, 1);
+    assert.deepStrictEqual(result.rounds.map(round => round.clients), [2, 2, 2, 2]);
+});
+
+test('The links drawn from the seed give reproducible times', () => {
+    const variable = new NetworkModel({ clientLatency: simulation => simulation.floatBetween(10, 200) });
+    const simulator = new NetworkSimulator({ network: variable, calibration: flatCalibration, threshold: 5 });
+    const first = simulator.run(20, { simulation: new Simulation('links') });
+    assert.deepStrictEqual(simulator.run(20, { simulation: new Simulation('links') }), first);
+    assert.notStrictEqual(simulator.run(20, { simulation: new Simulation('other links') }).total, first.total);
+});
@@ -0,0 +1,43 @@
+/**
+ * Known-answer tests of the pseudo random generator expanding the mask seeds
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const PRG = require("../src/prg.js")
+const { SeededRandomness } = require("../src/randomness.js")
+
+
+test('The stream of the all-zero seed starts with the AES-256 known answer of the zero block', async () => {
+    /* FIPS-197 known answer: AES-256 of the zero block under the zero key */
+    const stream = await PRG.expandBytes(new Uint8Array(32), 16);
+    assert.strictEqual(Buffer.from(stream).toString('hex'), 'dc95c078a2408989ad48a21492842087');
+});
+
+test('The stream of a fixed seed matches the AES-256-CTR encryption of zeros from a zero counter', async () => {
+    const seed = Uint8Array.from({ length: 32 }, (_, i) => i);
+    const expected = 'f29000b62a499fd0a9f39a6add2e7780' + 'f05d76ae4ab99fe5a6f69b3148c2363d' + '0ebcb5deb52c83bd08a8a935182c9199';
+
+    const stream = await PRG.expandBytes(seed, 48);
+    assert.strictEqual(Buffer.from(stream).toString('hex'), expected);
+
+    /* The same bytes from the AES implementation of OpenSSL, including a length which is not a multiple of the block */
+    const cipher = crypto.createCipheriv('aes-256-ctr', seed, Buffer.alloc(16));
+    const reference = Buffer.concat([cipher.update(Buffer.alloc(37)), cipher.final()]);
+    assert.deepStrictEqual(Buffer.from(await PRG.expandBytes(seed, 37)), reference);
+});
+
+test('A seed drawn from a seeded randomness always expands into the same stream', async () => {
+    const first = PRG.generateSeed(new SeededRandomness('prg'));
+    const second = PRG.generateSeed(new SeededRandomness('prg'));
+    assert.deepStrictEqual(first, second);
+    assert.deepStrictEqual(await PRG.expandBytes(first, 64), await PRG.expandBytes(second, 64));
+});
+
+test('A seed of the wrong length is refused', async () => {
+    await assert.rejects(PRG.expandBytes(new Uint8Array(16), 16), /PRG seed must be 32 bytes long/);
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests of the distributed discrete Gaussian noise and of its privacy accounting
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const DistributedDiscreteGaussian = require("../src/privacy.js")
+const FixedPointEncoder = require("../src/encoder.js")
+const Group = require("../src/group.js")
+const Simulation = require("../src/simulation.js")
+const { SeededRandomness } = require("../src/randomness.js")
+
+
+const encoder = new FixedPointEncoder({ scale: 10**4, clipRange: [-1, 1] })
+
+
+test('An invalid privacy target is refused', () => {
+    assert.throws(() => new DistributedDiscreteGaussian({ epsilon: 0, delta: 1e-5, expectedClients: 10 }), /epsilon > 0 and 0 < delta < 1/);
+    assert.throws(() => new DistributedDiscreteGaussian({ epsilon: 1, delta: 1, expectedClients: 10 }), /epsilon > 0 and 0 < delta < 1/);
+    assert.throws(() => new DistributedDiscreteGaussian({ epsilon: 1, delta: 1e-5, expectedClients: 0 }), /positive integer/);
+});
+
+test('The noise reaches the target epsilon for the expected clients, and not for fewer clients', () => {
+    const privacy = new DistributedDiscreteGaussian({ epsilon: 1, delta: 1e-5, expectedClients: 10 });
+    const sigma = privacy.sigma(encoder, 4);
+    assert.ok(privacy.epsilonOf(sigma, 10, encoder, 4) <= 1);
+    assert.ok(privacy.epsilonOf(sigma / 1.05, 10, encoder, 4) > 1);
+    assert.ok(privacy.epsilonOf(sigma, 5, encoder, 4) > 1);
+    assert.strictEqual(privacy.epsilonOf(sigma, 0, encoder, 4), Infinity);
+
+    const report = privacy.report(encoder, 4, 10);
+    assert.ok(report.targetReached);
+    assert.strictEqual(report.clientNoiseStddev, sigma / encoder.scale);
+    assert.ok(!privacy.report(encoder, 4, 9).targetReached);
+
+    /* A larger sensitivity needs a larger noise */
+    assert.ok(privacy.sigma(encoder, 16) > sigma);
+});
+
+test('The discrete Gaussian sampler has the expected mean and variance', () => {
+    const privacy = new DistributedDiscreteGaussian({ epsilon: 1, delta: 1e-5, expectedClients: 10 });
+    const randomness = new SeededRandomness('discrete gaussian');
+    const sigma = 3;
+    const samples = Array.from({ length: 20000 }, () => privacy.sampleDiscreteGaussian(sigma, () => randomness.float()));
+    assert.ok(samples.every(Number.isInteger));
+    const mean = samples.reduce((sum, x) => sum + x, 0) / samples.length;
+    const variance = samples.reduce((sum, x) => sum + (x - mean) ** 2, 0) / samples.length;
+    assert.ok(Math.abs(mean) < 0.1, `mean ${mean}`);
+    assert.ok(Math.abs(variance / sigma ** 2 - 1) < 0.05, `variance ${variance}`);
+
+    const noise = privacy.noise(encoder, 5, randomness);
+    assert.strictEqual(noise.length, 5);
+    assert.ok(noise.every(value => typeof value === 'bigint'));
+});
+
+test('A noisy aggregation stays within the noise bound of the exact mean', async () => {
+    const simulation = new Simulation('privacy', true);
+    const privacy = new DistributedDiscreteGaussian({ epsilon: 1, delta: 1e-5, expectedClients: 5 });
+    const clients = simulation.randomClients(5, 2, encoder);
+    const result = await simulation.runCohort({ clients, threshold: 3, config: { group: Group.powerOfTwo(64), encoder, privacy } });
+    assert.ok(result.mean.some((value, i) => value != result.reference[i]));
+
+    const bound = Number(privacy.noiseBound(encoder, 2, 5)) / encoder.scale / 5;
+    result.mean.forEach((value, i) => {
+        assert.ok(Math.abs(value - result.reference[i]) <= bound, `${value} and ${result.reference[i]}`);
+    });
+});
+
+test('A group too small for the noisy sum is rejected once the inputs are received', async () => {
+    const simulation = new Simulation('privacy overflow', true);
+    const privacy = new DistributedDiscreteGaussian({ epsilon: 1, delta: 1e-5, expectedClients: 5 });
+    const clients = simulation.randomClients(5, 2, encoder);
+    await assert.rejects(simulation.runCohort({ clients, threshold: 3, config: { encoder, privacy } }), /The noisy sum of 5 inputs requires 21 bits/);
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests of the sources of randomness and of the transcripts reproduced from a seed
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { subtle } = require('crypto').webcrypto;
+const Helper = require("../src/helper.js")
+const Simulation = require("../src/simulation.js")
+const FixedPointEncoder = require("../src/encoder.js")
+const { LocalTransport } = require("../src/transport.js")
+const { encode } = require("../src/wire.js")
+const { Randomness, SystemRandomness, SeededRandomness } = require("../src/randomness.js")
+
+
+/**
+ * Transport keeping the wire format of every message, in the order they are sent
+ */
+class TranscriptTransport extends LocalTransport {
+
+    constructor() {
+        super();
+        this.transcript = [];
+    }
+
+    async sendToServer(message) {
+        this.transcript.push(encode(message));
+        await super.sendToServer(message);
+    }
+
+    async sendToClient(clientID, message) {
+        this.transcript.push(encode(message));
+        await super.sendToClient(clientID, message);
+    }
+}
+
+/**
+ * Run a cohort of four clients, the last one dropping before the client round 2
+ * @param {Simulation} simulation
+ * @returns The transcript and the result of the run
+ */
+async function runTranscript(simulation) {
+    const transport = new TranscriptTransport();
+    const clients = simulation.randomClients(4, 2, new FixedPointEncoder());
+    const result = await simulation.runCohort({ clients, threshold: 2, dropouts: { beforeClientRound2: [clients[3].id] }, transport });
+    return { transcript: transport.transcript, result };
+}
+
+
+test('The seeded stream is reproduced from its seed', () => {
+    const bytes = new SeededRandomness('seed').bytes(64);
+    assert.deepStrictEqual(new SeededRandomness('seed').bytes(64), bytes);
+    assert.notDeepStrictEqual(new SeededRandomness('other seed').bytes(64), bytes);
+
+    /* The draws consume the stream in order, whatever their sizes */
+    const split = new SeededRandomness('seed');
+    assert.deepStrictEqual(Uint8Array.from([...split.bytes(10), ...split.bytes(54)]), bytes);
+
+    assert.strictEqual(new SystemRandomness().bytes(32).length, 32);
+    assert.throws(() => new Randomness().bytes(1), /not implemented/);
+});
+
+test('The draws are uniform integers, floats and version 4 UUIDs', () => {
+    const randomness = new SeededRandomness('draws');
+    let counts = new Array(6).fill(0);
+    for (let i = 0; i < 6000; ++i) {
+        const value = randomness.int(6);
+        assert.ok(Number.isInteger(value) && value >= 0 && value < 6);
+        counts[value] += 1;
+    }
+    counts.forEach(count => assert.ok(Math.abs(count - 1000) < 150));
+
+    const floats = Array.from({ length: 1000 }, () => randomness.float());
+    assert.ok(floats.every(value => value >= 0 && value < 1));
+    assert.ok(Math.abs(floats.reduce((a, b) => a + b, 0) / 1000 - 0.5) < 0.05);
+
+    assert.match(randomness.uuid(), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+});
+
+test('The seeded key pairs agree on a secret and sign verifiable signatures', async () => {
+    const exportPair = async pair => Buffer.from(await subtle.exportKey('raw', pair.publicKey)).toString('hex');
+    const alice = await new SeededRandomness('alice').generateKeyPair(Helper.ecdhKeyParams, ['deriveKey', 'deriveBits']);
+    const aliceAgain = await new SeededRandomness('alice').generateKeyPair(Helper.ecdhKeyParams, ['deriveKey', 'deriveBits']);
+    const bob = await new SeededRandomness('bob').generateKeyPair(Helper.ecdhKeyParams, ['deriveKey', 'deriveBits']);
+    assert.strictEqual(await exportPair(aliceAgain), await exportPair(alice));
+    assert.notStrictEqual(await exportPair(bob), await exportPair(alice));
+    assert.deepStrictEqual(await Helper.deriveSharedSeed(alice.privateKey, bob.publicKey), await Helper.deriveSharedSeed(bob.privateKey, alice.publicKey));
+
+    const randomness = new SeededRandomness('identity');
+    const identity = await randomness.generateKeyPair(Helper.ecdsaKeyParams, ['sign', 'verify']);
+    const message = new TextEncoder().encode('message');
+    const signature = await Helper.sign(identity.privateKey, message, randomness);
+    assert.ok(await Helper.verify(identity.publicKey, signature, message));
+    assert.ok(!await Helper.verify(identity.publicKey, signature, new TextEncoder().encode('other message')));
+
+    await assert.rejects(randomness.generateKeyPair({ name: 'ECDH', namedCurve: 'P-256' }, ['deriveBits']), /only generates P-521 key pairs/);
+});
+
+test('A simulation in test mode reproduces the whole transcript of the protocol', async () => {
+    const first = await runTranscript(new Simulation('transcript', true));
+    const second = await runTranscript(new Simulation('transcript', true));
+    assert.ok(first.transcript.length > 0);
+    assert.deepStrictEqual(second.transcript, first.transcript);
+    assert.deepStrictEqual(second.result.mean, first.result.mean);
+
+    /* Outside of test mode, only the inputs and the dropouts are reproduced */
+    const system = await runTranscript(new Simulation('transcript'));
+    assert.deepStrictEqual(system.result.clientIDs, first.result.clientIDs);
+    assert.deepStrictEqual(system.result.reference, first.result.reference);
+    assert.notDeepStrictEqual(system.transcript, first.transcript);
+
+    assert.strictEqual(new Simulation('transcript', true).reproductionOptions(), '--seed transcript --test');
+    assert.deepStrictEqual(new Simulation('transcript').config({ threshold: 2 }), { threshold: 2 });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests of the scenarios describing a run and its expected outcome
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const Group = require("../src/group.js")
+const { loadScenario, validateScenario, buildConfig, runScenario } = require("../src/scenario.js")
+
+
+const scenariosFolder = path.join(__dirname, '..', 'scenarios')
+
+const scenario = {
+    name: 'one dropout',
+    threshold: 2,
+    clients: [
+        { id: 'alice', values: [1, 2] },
+        { id: 'bob', values: [3, 4] },
+        { id: 'carol', generator: { constant: 5, length: 2 } }
+    ],
+    dropouts: { beforeClientRound2: ['carol'] },
+    expected: { outcome: 'success', clientIDsU3: ['alice', 'bob'], mean: [2, 3] }
+}
+
+
+test('Every scenario of the scenarios folder passes', async () => {
+    const files = fs.readdirSync(scenariosFolder).filter(file => file.endsWith('.json'));
+    assert.ok(files.length > 0);
+    for (const file of files) {
+        const report = await runScenario(loadScenario(path.join(scenariosFolder, file)), true);
+        assert.ok(report.passed, `${file}: ${report.failures.join('; ')}`);
+    }
+});
+
+test('A run differing from the expected outcome is reported as failing', async () => {
+    assert.ok((await runScenario(scenario)).passed);
+
+    const wrongMean = await runScenario({ ...scenario, expected: { ...scenario.expected, mean: [2, 4] } });
+    assert.ok(!wrongMean.passed);
+    assert.match(wrongMean.failures[0], /expected the mean \[2,4\]/);
+
+    const wrongU3 = await runScenario({ ...scenario, expected: { outcome: 'success', clientIDsU3: ['alice', 'bob', 'carol'] } });
+    assert.match(wrongU3.failures[0], /expected U3/);
+
+    const aborting = { ...scenario, dropouts: { beforeClientRound1: ['bob', 'carol'] } };
+    const unexpectedAbort = await runScenario(aborting);
+    assert.strictEqual(unexpectedAbort.outcome, 'abort');
+    assert.match(unexpectedAbort.failures[0], /expected success, the run ended in abort/);
+
+    assert.ok((await runScenario({ ...aborting, expected: { outcome: 'abort' } })).passed);
+    const wrongError = await runScenario({ ...aborting, expected: { outcome: 'abort', error: 'no such error' } });
+    assert.match(wrongError.failures[0], /expected an error containing "no such error"/);
+});
+
+test('The generated values are drawn from the seed of the scenario', async () => {
+    const generated = { ...scenario, clients: scenario.clients.map(client => ({ id: client.id, generator: { uniform: [-10, 10], length: 3 } })), expected: { outcome: 'success' } };
+    const first = await runScenario({ ...generated, seed: 'values' });
+    const second = await runScenario({ ...generated, seed: 'values' });
+    const other = await runScenario({ ...generated, seed: 'other values' });
+    assert.ok(first.passed);
+    assert.deepStrictEqual(first.result.reference, second.result.reference);
+    assert.notDeepStrictEqual(first.result.reference, other.result.reference);
+});
+
+test('An invalid scenario is refused', () => {
+    const refuses = (changes, pattern) => assert.throws(() => validateScenario({ ...scenario, ...changes }), pattern);
+    refuses({ clients: [] }, /clients must be a non empty array/);
+    refuses({ clients: [{ id: 'alice', values: [1] }, { id: 'alice', values: [2] }] }, /distinct string id/);
+    refuses({ clients: [{ id: 'alice' }] }, /needs either values or a generator/);
+    refuses({ threshold: '2' }, /threshold must be an integer/);
+    refuses({ config: { clock: {} } }, /configuration field clock is not supported/);
+    refuses({ dropouts: { duringRound2: ['bob'] } }, /unknown dropout moment duringRound2/);
+    refuses({ dropouts: { beforeClientRound2: ['dave'] } }, /client dave dropping beforeClientRound2 is not in the clients/);
+    refuses({ expected: { outcome: 'maybe' } }, /expected.outcome must be success or abort/);
+});
+
+test('The configuration of a scenario is built into protocol objects', () => {
+    const config = buildConfig({ group: { prime: '18446744073709551557' }, encoder: { scale: 100, maxWeight: 10 }, maliciousServer: true });
+    assert.strictEqual(config.group.modulus, 18446744073709551557n);
+    assert.strictEqual(config.encoder.scale, 100);
+    assert.strictEqual(config.encoder.maxWeight, 10);
+    assert.ok(config.identityRegistry !== undefined);
+    assert.strictEqual(buildConfig({ group: { bits: 20 } }).group.modulus, Group.powerOfTwo(20).modulus);
+});
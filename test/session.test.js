@@ -0,0 +1,99 @@
+/**
+ * Tests of the aggregation sessions, running successive iterations with the same clients
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Session = require("../src/session.js")
+const Client = require("../src/client.js")
+const Helper = require("../src/helper.js")
+const IdentityRegistry = require("../src/identity.js")
+const { ShareRevealError } = require("../src/errors.js")
+
+
+test('The clients generate new key pairs at every iteration', async () => {
+    const session = new Session(2);
+    const inputs = { alice: [0.1], bob: [0.2], carol: [0.3] };
+
+    await session.runIteration(inputs);
+    const seedKeys = await Promise.all(Object.keys(inputs).map(id => Helper.exportPublicKey(session.client(id).seedPublicKey)));
+    await session.runIteration(inputs);
+    for (const [i, id] of Object.keys(inputs).entries()) {
+        const seedKey = await Helper.exportPublicKey(session.client(id).seedPublicKey);
+        assert.notDeepStrictEqual(Buffer.from(seedKey), Buffer.from(seedKeys[i]));
+    }
+});
+
+test('Without key rotation, only the key pairs whose shares were never sent are reused', async () => {
+    const session = new Session(2, { rotateKeys: false });
+    const inputs = { alice: [0.1], bob: [0.2], carol: [0.3] };
+    const seedKey = async id => Buffer.from(await Helper.exportPublicKey(session.client(id).seedPublicKey));
+
+    /* carol drops before its round 1, so it never sent the shares of its keys */
+    await session.runIteration(inputs, { carol: 1 });
+    const seedKeys = { alice: await seedKey('alice'), carol: await seedKey('carol') };
+    const result = await session.runIteration(inputs);
+    assert.deepStrictEqual(result.clientIDsU3.sort(), ['alice', 'bob', 'carol']);
+
+    assert.deepStrictEqual(await seedKey('carol'), seedKeys.carol);
+    assert.notDeepStrictEqual(await seedKey('alice'), seedKeys.alice);
+});
+
+test('A client never reveals both shares of the same peer key pair, even in another iteration', () => {
+    const client = new Client('alice', [0.1], 3, 2);
+    const peerKeys = { bob: { seedPublicKey: new Uint8Array([1, 2, 3]) } };
+
+    client.clientList = peerKeys;
+    client.recordRevealedShare('bob', 'keySplit');
+    client.startIteration(1, [0.1], 3);
+    client.clientList = peerKeys;
+    assert.throws(() => client.recordRevealedShare('bob', 'seedSplit'), ShareRevealError);
+
+    /* A new key pair of the peer is a new secret, whose other share can be revealed */
+    client.clientList = { bob: { seedPublicKey: new Uint8Array([4, 5, 6]) } };
+    assert.doesNotThrow(() => client.recordRevealedShare('bob', 'seedSplit'));
+});
+
+test('A client rejects the signatures of a previous iteration', async () => {
+    const config = { maliciousServer: true, identityRegistry: new IdentityRegistry(), sessionID: 'session' };
+    const clients = ['alice', 'bob', 'carol'].map(id => new Client(id, [0.1], 3, 2, config));
+    const clientIDsU3 = clients.map(client => client.id);
+
+    /* The server keeps the signatures of the keys and of U3 sent at iteration 0 */
+    let keySignatures = {};
+    let signaturesU3 = {};
+    for (const client of clients) {
+        await client.generateIdentityKeys();
+        await client.generateKeyPairs();
+        await client.signPublicKeys(await Helper.exportPublicKey(client.encryptionPublicKey), await Helper.exportPublicKey(client.seedPublicKey));
+        keySignatures[client.id] = client.keySignature;
+        client.clientIDsU3 = clientIDsU3;
+        await client.signClientIDsU3();
+        signaturesU3[client.id] = client.clientIDsU3Signature;
+    }
+
+    const [alice, bob] = clients;
+    alice.startIteration(1, [0.1], 3);
+    alice.clientIDsU3 = clientIDsU3;
+    alice.receiveSignaturesU3(signaturesU3);
+    await assert.rejects(alice.verifySignaturesU3(), /Invalid signature of U3/);
+
+    const replayedKeys = {
+        bob: {
+            encryptionPublicKey: await Helper.exportPublicKey(bob.encryptionPublicKey),
+            seedPublicKey: await Helper.exportPublicKey(bob.seedPublicKey),
+            keySignature: keySignatures.bob
+        }
+    };
+    await assert.rejects(alice.verifyPublicKeys(replayedKeys), /Invalid signature of the public keys/);
+
+    /* The same signatures are accepted in the iteration they were made for */
+    alice.startIteration(0, [0.1], 3);
+    alice.clientIDsU3 = clientIDsU3;
+    alice.receiveSignaturesU3(signaturesU3);
+    await alice.verifySignaturesU3();
+    await alice.verifyPublicKeys(replayedKeys);
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests of the Shamir t out of n secret sharing
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { split, join } = require("../src/shamir.js")
+const { SeededRandomness } = require("../src/randomness.js")
+
+
+/**
+ * Source of random bytes drawn from a seed, as given to split
+ * @param {String} seed
+ * @returns {Function}
+ */
+function randomBytes(seed) {
+    const randomness = new SeededRandomness(seed);
+    return length => randomness.bytes(length);
+}
+
+/**
+ * Keep the shares of some indexes
+ * @param {Object} shares The shares, with their index as key
+ * @param {Array<Number>} indexes
+ * @returns {Object} The selected shares
+ */
+function select(shares, indexes) {
+    return Object.fromEntries(indexes.map(index => [index, shares[index]]));
+}
+
+const secret = Uint8Array.from({ length: 133 }, (_, i) => (7 * i + 3) % 256);
+
+
+test('The shares of a secret join into the secret', () => {
+    for (const length of [0, 1, 32, 61, 62, 133]) {
+        const shares = split(randomBytes('round trip'), 5, 3, secret.slice(0, length));
+        assert.deepStrictEqual(Object.keys(shares), ['1', '2', '3', '4', '5']);
+        assert.deepStrictEqual(join(shares), secret.slice(0, length));
+    }
+});
+
+test('More than 255 shares can be produced and joined', () => {
+    const shares = split(randomBytes('many shares'), 300, 4, secret);
+    assert.strictEqual(Object.keys(shares).length, 300);
+    assert.deepStrictEqual(join(select(shares, [1, 128, 256, 300])), secret);
+    assert.deepStrictEqual(join(select(shares, [255, 256, 257, 299])), secret);
+});
+
+test('Any t shares out of n join into the secret', () => {
+    const shares = split(randomBytes('any t'), 6, 3, secret);
+    for (let a = 1; a <= 6; ++a) {
+        for (let b = a + 1; b <= 6; ++b) {
+            for (let c = b + 1; c <= 6; ++c) {
+                assert.deepStrictEqual(join(select(shares, [a, b, c])), secret, `shares ${a}, ${b}, ${c}`);
+            }
+        }
+    }
+    assert.deepStrictEqual(join(shares), secret);
+});
+
+test('Fewer than t shares do not recover the secret', () => {
+    const shares = split(randomBytes('fewer'), 6, 4, secret);
+    for (const indexes of [[1], [1, 2], [2, 4, 6], [3, 5, 6]]) {
+        let recovered = null;
+        try {
+            recovered = join(select(shares, indexes));
+        } catch (error) {
+            assert.match(String(error), /^Shamir: /);
+        }
+        assert.notDeepStrictEqual(recovered, secret, `shares ${indexes}`);
+    }
+});
+
+test('Duplicate, invalid and corrupted share indexes are rejected', () => {
+    const shares = split(randomBytes('indexes'), 5, 3, secret.slice(0, 32));
+
+    assert.throws(() => join({ '1': shares[1], '01': shares[2], '3': shares[3] }), /duplicate share index/);
+    assert.throws(() => join({ '0': shares[1], '2': shares[2], '3': shares[3] }), /invalid share index 0/);
+    assert.throws(() => join({ '-1': shares[1], '2': shares[2], '3': shares[3] }), /invalid share index -1/);
+    assert.throws(() => join({ 'x': shares[1], '2': shares[2], '3': shares[3] }), /invalid share index x/);
+    assert.throws(() => join({}), /no share/);
+    assert.throws(() => join({ '1': shares[1], '2': shares[2].slice(1), '3': shares[3] }), /has 65 bytes/);
+
+    /* A share given under the index of another one reconstructs no valid secret */
+    assert.throws(() => join({ '1': shares[1], '2': shares[2], '4': shares[3] }), /do not reconstruct a valid secret/);
+    const corrupted = shares[2].slice();
+    corrupted[0] = 0xff;
+    assert.throws(() => join({ '1': shares[1], '2': corrupted, '3': shares[3] }), /not a field element/);
+});
+
+test('A threshold larger than the number of shares is refused', () => {
+    assert.throws(() => split(randomBytes('threshold'), 3, 4, secret), /must be between 1 and the number of shares/);
+    assert.throws(() => split(randomBytes('threshold'), 3, 0, secret), /must be between 1 and the number of shares/);
+});
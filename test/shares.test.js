@@ -0,0 +1,53 @@
+/**
+ * Tests of the binary encoding of the shares encrypted for each client
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeSharePayload, decodeSharePayload } = require("../src/shares.js")
+
+
+const keyShare = Uint8Array.from({ length: 132 }, (_, i) => i)
+const seedShare = Uint8Array.from({ length: 66 }, (_, i) => 255 - i)
+
+
+test('A payload holds the index and the length-prefixed shares', () => {
+    const payload = encodeSharePayload(300, keyShare, seedShare);
+    assert.strictEqual(payload.length, 12 + keyShare.length + seedShare.length);
+    assert.deepStrictEqual([...payload.subarray(0, 8)], [0, 0, 1, 44, 0, 0, 0, 132]);
+
+    const decoded = decodeSharePayload(payload);
+    assert.strictEqual(decoded.index, 300);
+    assert.deepStrictEqual(decoded.keyShare, keyShare);
+    assert.deepStrictEqual(decoded.seedShare, seedShare);
+});
+
+test('Empty shares and a payload inside a larger buffer are decoded', () => {
+    const decoded = decodeSharePayload(encodeSharePayload(1, new Uint8Array(0), seedShare));
+    assert.deepStrictEqual(decoded.keyShare, new Uint8Array(0));
+    assert.deepStrictEqual(decoded.seedShare, seedShare);
+
+    const payload = encodeSharePayload(7, keyShare, seedShare);
+    const buffer = new Uint8Array(payload.length + 10);
+    buffer.set(payload, 5);
+    assert.strictEqual(decodeSharePayload(buffer.subarray(5, 5 + payload.length)).index, 7);
+});
+
+test('Truncated, overlong and padded payloads are rejected', () => {
+    const payload = encodeSharePayload(2, keyShare, seedShare);
+    assert.throws(() => decodeSharePayload(payload.slice(0, 3)), /too short for the index/);
+    assert.throws(() => decodeSharePayload(payload.slice(0, 6)), /missing the length of share 0/);
+    assert.throws(() => decodeSharePayload(payload.slice(0, 8 + keyShare.length + 2)), /missing the length of share 1/);
+    assert.throws(() => decodeSharePayload(payload.slice(0, payload.length - 1)), /share 1 of 66 bytes exceeds the payload/);
+
+    const padded = new Uint8Array(payload.length + 2);
+    padded.set(payload);
+    assert.throws(() => decodeSharePayload(padded), /2 trailing bytes/);
+
+    const overlong = payload.slice();
+    new DataView(overlong.buffer).setUint32(4, 0xffffffff);
+    assert.throws(() => decodeSharePayload(overlong), /exceeds the payload/);
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests of the verification of the protocol across dropout patterns
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Simulation = require("../src/simulation.js")
+const { drawClients, verify } = require("../src/verification.js")
+
+
+test('The dropping clients are distinct and drawn from the seed', () => {
+    const ids = Array.from({ length: 6 }, (_, i) => 'client' + i);
+    const draws = Array.from({ length: 20 }, () => drawClients(ids, 3, new Simulation('draws')));
+    draws.forEach(draw => assert.deepStrictEqual(draw, draws[0]));
+
+    const simulation = new Simulation('draws');
+    let first = new Set();
+    for (let i = 0; i < 20; ++i) {
+        const draw = drawClients(ids, 3, simulation);
+        assert.strictEqual(new Set(draw).size, 3);
+        assert.ok(draw.every(id => ids.includes(id)));
+        first.add(draw[0]);
+    }
+    assert.ok(first.size > 1);
+});
+
+test('The sweep drops other clients than the first ones and passes', async () => {
+    let dropped = new Set();
+    const { cohorts, failures } = await verify({
+        cohortSizes: [3],
+        thresholds: [2],
+        maxPhases: 1,
+        simulation: new Simulation('sweep'),
+        onCase: report => {
+            const match = report.name.match(/dropping (client\d)/);
+            if (match !== null) {
+                dropped.add(match[1]);
+            }
+        }
+    });
+    assert.deepStrictEqual(failures, []);
+    assert.strictEqual(cohorts[0].cases, 9);
+    assert.ok(dropped.size > 1);
+});
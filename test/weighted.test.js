@@ -0,0 +1,54 @@
+/**
+ * Tests of the weighted aggregation, the weights of the clients being masked with their inputs
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Session = require("../src/session.js")
+const FixedPointEncoder = require("../src/encoder.js")
+
+
+/**
+ * Weighted mean of vectors
+ * @param {Array<Array<Number>>} vectors
+ * @param {Array<Number>} weights
+ * @returns {Array<Number>}
+ */
+function weightedMean(vectors, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return vectors[0].map((_, j) => vectors.reduce((sum, vector, i) => sum + weights[i] * vector[j], 0) / total);
+}
+
+const encoder = new FixedPointEncoder({ scale: 10**4, clipRange: [-10, 10], maxWeight: 100 })
+const inputs = { alice: [1, -2], bob: [3, 4], carol: [-5, 0.5], dave: [2, 2] }
+
+
+test('The mean of a session is weighted by the weights of the clients', async () => {
+    const session = new Session(2, { encoder });
+    const weights = { alice: 1, bob: 3, carol: 0, dave: 12.5 };
+    const result = await session.runIteration(inputs, {}, weights);
+
+    const expected = weightedMean(Object.values(inputs), Object.values(weights));
+    result.mean.forEach((value, j) => assert.ok(Math.abs(value - expected[j]) < 1e-3, `${value} and ${expected[j]}`));
+    assert.strictEqual(result.mean.length, 2);
+});
+
+test('The weight of a dropped client is left out of the weighted mean', async () => {
+    const session = new Session(2, { encoder });
+    const weights = { alice: 1, bob: 3, carol: 2, dave: 50 };
+    const result = await session.runIteration(inputs, { dave: 2 }, weights);
+
+    assert.ok(!result.clientIDsU3.includes('dave'));
+    const survivors = ['alice', 'bob', 'carol'];
+    const expected = weightedMean(survivors.map(id => inputs[id]), survivors.map(id => weights[id]));
+    result.mean.forEach((value, j) => assert.ok(Math.abs(value - expected[j]) < 1e-3, `${value} and ${expected[j]}`));
+});
+
+test('The sum of the weights enters the overflow check', () => {
+    const plain = new FixedPointEncoder({ scale: 10**4, clipRange: [-10, 10] });
+    assert.strictEqual(encoder.maxAbsEncoded(), 100n * plain.maxAbsEncoded());
+    assert.ok(encoder.requiredBits(1000) > plain.requiredBits(1000));
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests of the wire format of the messages
+ */
+
+/**
+ * Imports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Messages = require("../src/messages.js")
+const { WIRE_VERSION, toWire, encode, decode } = require("../src/wire.js")
+const { WireFormatError } = require("../src/errors.js")
+
+
+const { MessageType } = Messages
+
+const key = fill => new Uint8Array(133).fill(fill)
+const ciphertext = { ciphertext: new Uint8Array([1, 2, 3]), iv: new Uint8Array(16).fill(4) }
+
+/* One message of each type, with the iteration added by the sender */
+const examples = {
+    [MessageType.ADVERTISE_KEYS]: Messages.advertiseKeys('alice', key(1), key(2), new Uint8Array([5, 6])),
+    [MessageType.CLIENT_LIST]: Messages.clientList({
+        alice: { encryptionPublicKey: key(1), seedPublicKey: key(2), keySignature: new Uint8Array([5, 6]) },
+        bob: { encryptionPublicKey: key(3), seedPublicKey: key(4) }
+    }),
+    [MessageType.SHARE_KEYS]: Messages.shareKeys('alice', { 'alice|bob': ciphertext }),
+    [MessageType.CIPHERTEXTS]: Messages.ciphertexts({ 'alice|bob': ciphertext }),
+    [MessageType.MASKED_INPUT]: Messages.maskedInput('alice', BigUint64Array.from([0n, 1n, 2n ** 64n - 1n]), 2),
+    [MessageType.CLIENT_IDS_U3]: Messages.clientIDsU3(['alice', 'bob']),
+    [MessageType.SIGNATURE_U3]: Messages.signatureU3('alice', new Uint8Array([7, 8, 9])),
+    [MessageType.SIGNATURES_U3]: Messages.signaturesU3({ alice: new Uint8Array([7]), bob: new Uint8Array([8]) }),
+    [MessageType.UNMASKING_RESPONSE]: Messages.unmaskingResponse('alice', {
+        alice: { seedSplit: new Uint8Array([1]), index: 1 },
+        bob: { keySplit: new Uint8Array([2]), index: 300 }
+    })
+}
+
+/**
+ * Wire representation of the example of a type, as parsed from JSON
+ * @param {String} type
+ * @returns {Object}
+ */
+function wireOf(type) {
+    return JSON.parse(encode({ ...examples[type], iteration: 3 }));
+}
+
+
+test('Every message type is encoded and decoded back', () => {
+    assert.deepStrictEqual(Object.keys(examples).sort(), Object.values(MessageType).sort());
+    for (const type of Object.values(MessageType)) {
+        const message = { ...examples[type], iteration: 3 };
+        const wire = JSON.parse(encode(message));
+        assert.strictEqual(wire.version, WIRE_VERSION);
+        assert.strictEqual(wire.type, type);
+        assert.strictEqual(wire.iteration, 3);
+
+        /* An absent optional field stays absent */
+        const expected = Object.fromEntries(Object.entries(message).filter(([, value]) => value !== undefined));
+        assert.deepStrictEqual(decode(encode(message)), expected, type);
+    }
+});
+
+test('An unknown version or message type is rejected', () => {
+    const wire = wireOf(MessageType.SIGNATURE_U3);
+    assert.throws(() => decode(JSON.stringify({ ...wire, version: WIRE_VERSION - 1 })), error => error instanceof WireFormatError && /unsupported version/.test(error.message));
+    assert.throws(() => decode(JSON.stringify({ ...wire, version: undefined })), /unsupported version/);
+    assert.throws(() => decode(JSON.stringify({ ...wire, type: 'Unknown' })), /unknown message type Unknown/);
+    assert.throws(() => toWire({ type: 'Unknown', iteration: 0 }), /unknown message type/);
+});
+
+test('Malformed messages are rejected', () => {
+    const rejects = (wire, pattern) => assert.throws(() => decode(typeof wire === 'string' ? wire : JSON.stringify(wire)), error => error instanceof WireFormatError && pattern.test(error.message));
+    const signature = wireOf(MessageType.SIGNATURE_U3);
+
+    rejects('{"version"', /not valid JSON/);
+    rejects([], /expected an object/);
+    rejects({ ...signature, iteration: -1 }, /an iteration number/);
+    rejects({ ...signature, iteration: 1.5 }, /an iteration number/);
+    rejects({ ...signature, payload: { signature: signature.payload.signature } }, /missing field sender/);
+    rejects({ ...signature, payload: { ...signature.payload, extra: 1 } }, /unknown field extra/);
+    rejects({ ...signature, payload: { ...signature.payload, sender: 3 } }, /expected a string/);
+    rejects({ ...signature, payload: { ...signature.payload, signature: 'not base64!' } }, /a base64 string/);
+
+    const masked = wireOf(MessageType.MASKED_INPUT);
+    rejects({ ...masked, payload: { ...masked.payload, maskedInput: Buffer.from([1, 2, 3]).toString('base64') } }, /64 bits words/);
+    rejects({ ...masked, payload: { ...masked.payload, clippedCount: 'two' } }, /expected a number/);
+
+    const clients = wireOf(MessageType.CLIENT_IDS_U3);
+    rejects({ ...clients, payload: { clientIDsU3: 'alice' } }, /expected an array/);
+});
+
+test('The reserved keys of the maps are rejected', () => {
+    const signatures = wireOf(MessageType.SIGNATURES_U3);
+    const encoded = JSON.stringify(signatures).replace('"alice":', '"__proto__":');
+    assert.throws(() => decode(encoded), /reserved map key __proto__/);
+
+    const withConstructor = JSON.stringify(signatures).replace('"alice":', '"constructor":');
+    assert.throws(() => decode(withConstructor), /reserved map key constructor/);
+    assert.throws(() => encode({ ...Messages.signaturesU3(JSON.parse('{"__proto__": "AQ=="}')), iteration: 0 }), /reserved map key __proto__/);
+});
+
+test('A share index must be a positive integer', () => {
+    const response = wireOf(MessageType.UNMASKING_RESPONSE);
+    for (const index of [0, -1, 1.5, '1', null]) {
+        const payload = { ...response.payload, splits: { bob: { keySplit: response.payload.splits.bob.keySplit, index: index } } };
+        assert.throws(() => decode(JSON.stringify({ ...response, payload })), /a share index/, `index ${index}`);
+    }
+    assert.throws(() => encode({ ...Messages.unmaskingResponse('alice', { bob: { keySplit: new Uint8Array([1]), index: 0 } }), iteration: 0 }), /a share index/);
+});